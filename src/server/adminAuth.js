@@ -0,0 +1,44 @@
+// Admin Authority
+// Control events (resets, game modes, AI and balance settings) are only accepted from sockets that
+// have logged in with the admin PIN. ADMIN_PIN sets it; otherwise a random PIN is generated at
+// startup and printed to the server console.
+
+import crypto from 'crypto';
+
+export const MAX_FAILED_LOGINS = 5; // per address within LOGIN_LOCKOUT, then further attempts are refused
+export const LOGIN_LOCKOUT = 60000; // ms
+
+function hash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+export class AdminAuth {
+  constructor(pin = null) {
+    this.generated = !pin;
+    this.pin = pin || String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    this.pinHash = hash(this.pin);
+    this.failedLogins = new Map(); // address -> timestamps of recent failures
+  }
+
+  isLockedOut(address, now = Date.now()) {
+    const failures = (this.failedLogins.get(address) || []).filter(time => now - time < LOGIN_LOCKOUT);
+    this.failedLogins.set(address, failures);
+    return failures.length >= MAX_FAILED_LOGINS;
+  }
+
+  // Returns { success } or { success: false, error }; failures count towards the address lockout
+  login(pin, address, now = Date.now()) {
+    if (this.isLockedOut(address, now)) {
+      return { success: false, error: 'Too many failed attempts - try again in a minute' };
+    }
+
+    // Compare digests so the check takes the same time however much of the PIN matches
+    if (typeof pin === 'string' && crypto.timingSafeEqual(hash(pin), this.pinHash)) {
+      this.failedLogins.delete(address);
+      return { success: true };
+    }
+
+    this.failedLogins.get(address).push(now);
+    return { success: false, error: 'Wrong admin PIN' };
+  }
+}
@@ -0,0 +1,37 @@
+// Audit Log
+// Every control event - allowed or denied - and every admin login is appended to a JSON-lines file
+// with who sent it, from where, for which room and when. The most recent entries stay in memory
+// for the admin API.
+
+import fs from 'fs';
+import path from 'path';
+
+export const RECENT_AUDIT_ENTRIES = 200;
+
+export class AuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.recent = [];
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  // entry: { action, room, actor: { socketId, address, playerId }, outcome, details }
+  record(entry) {
+    const record = { time: new Date().toISOString(), ...entry };
+
+    this.recent.push(record);
+    if (this.recent.length > RECENT_AUDIT_ENTRIES) {
+      this.recent.shift();
+    }
+
+    fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`, (error) => {
+      if (error) console.error(`❌ Failed to write audit log ${this.filePath}:`, error.message);
+    });
+    return record;
+  }
+
+  // Newest first
+  getRecent(limit = RECENT_AUDIT_ENTRIES) {
+    return this.recent.slice(-limit).reverse();
+  }
+}
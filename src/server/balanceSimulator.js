@@ -0,0 +1,270 @@
+// Headless Balance Simulator
+// Plays AI-only rounds on a GameEngine with a SimulationClock: no sockets and no timers, just
+// update() stepped at the live loop's fixed timestep as fast as the CPU allows. Match i is seeded
+// with seed + i, so any match in a report can be played again on its own.
+
+import { GameEngine } from './gameEngine.js';
+import { GAME_MODES } from './gameModes.js';
+import { AI_LEVELS } from './inputValidation.js';
+import { SimulationClock, SeededRandom } from '../shared/simulation.js';
+import { TERRAIN_MAPS } from '../shared/terrainMaps.js';
+import { UPGRADE_TYPES } from '../shared/constants.js';
+
+export const SIMULATION_TICK = 1000 / 60; // same step as the live 60 FPS game loop
+
+export const DEFAULT_SIMULATION_OPTIONS = {
+  matches: 10,
+  aiLevels: ['easy', 'intermediate', 'hard', 'insane'], // one AI tank per entry
+  map: 'mudlands',
+  mode: 'ffa',
+  modeParams: {},               // score and time limits on top of the mode defaults
+  settings: null,               // balance settings (BALANCE_SECTIONS) applied before the round
+  seed: null,                   // base seed; random when null
+  maxMatchTime: 30 * 60 * 1000  // ms of live play before an undecided match is called off
+};
+
+// Kills without a credited killer (self-destruction, the LTS safe zone)
+const UNCREDITED = 'uncredited';
+
+export class BalanceSimulator {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+    if (this.options.seed === null || this.options.seed === undefined) {
+      this.options.seed = SeededRandom.generateSeed();
+    }
+    this.validateOptions();
+    this.results = [];
+  }
+
+  // Throws an Error describing the first bad option
+  validateOptions() {
+    const { matches, aiLevels, map, mode, maxMatchTime } = this.options;
+    if (!Number.isInteger(matches) || matches < 1) throw new Error('matches must be a positive integer');
+    if (!Array.isArray(aiLevels) || aiLevels.length < 2) throw new Error('at least two AI tanks are needed for a match');
+    for (const level of aiLevels) {
+      if (!AI_LEVELS.includes(level)) throw new Error(`unknown AI level '${level}' (expected ${AI_LEVELS.join(', ')})`);
+    }
+    if (!TERRAIN_MAPS[map]) throw new Error(`unknown terrain map '${map}' (expected ${Object.keys(TERRAIN_MAPS).join(', ')})`);
+    if (!GAME_MODES[mode]) throw new Error(`unknown game mode '${mode}' (expected ${Object.keys(GAME_MODES).join(', ')})`);
+    if (!(maxMatchTime > 0)) throw new Error('maxMatchTime must be positive');
+  }
+
+  getMatchSeed(index) {
+    return (this.options.seed + index) >>> 0;
+  }
+
+  createEngine(seed) {
+    const { map, settings, mode, modeParams } = this.options;
+    const engine = new GameEngine({ seed, clock: new SimulationClock() });
+
+    if (map !== engine.getCurrentTerrainMap()) {
+      engine.changeTerrainMap(map);
+    }
+    if (settings) {
+      engine.applyBalanceSettings(settings);
+
+      // Tree settings only shape newly generated terrain
+      if (settings.treeParams) {
+        engine.gameState.trees = [];
+        engine.gameState.patches = [];
+        engine.initializeBattlefield();
+      }
+    }
+
+    // Straight into the round, and no next round after it
+    engine.updateSettings({ matchParams: { countdownTime: 0, autoRestart: false } });
+    engine.setGameMode(mode, modeParams);
+    return engine;
+  }
+
+  // Play one round to its result (or to maxMatchTime) and return what happened in it
+  runMatch(index) {
+    const seed = this.getMatchSeed(index);
+    const engine = this.createEngine(seed);
+
+    const levels = new Map(); // tankId -> AI level
+    for (const level of this.options.aiLevels) {
+      levels.set(engine.addAITank(level), level);
+    }
+
+    const kills = [];
+    engine.events.on('tankDestroyed', ({ victimId, killerId }) => kills.push({ victimId, killerId }));
+
+    // The first update starts the round, the rest play it
+    engine.update(SIMULATION_TICK);
+    while (!engine.roundResult && engine.gameState.gameTime - engine.roundStartTime < this.options.maxMatchTime) {
+      engine.update(SIMULATION_TICK);
+    }
+
+    const duration = Math.round(engine.gameState.gameTime - engine.roundStartTime);
+    const result = engine.roundResult || { reason: 'maxMatchTime' };
+    const tanks = engine.gameState.scoreboard.getEntries().map(entry => ({
+      id: entry.playerId,
+      name: entry.callname,
+      level: levels.get(entry.playerId),
+      team: entry.team ? entry.team.name : null,
+      kills: entry.kills,
+      deaths: entry.deaths,
+      assists: entry.assists,
+      damageDealt: Math.round(entry.damageDealt),
+      shotsFired: entry.shotsFired,
+      shotsHit: entry.shotsHit,
+      upgrades: entry.upgrades
+    }));
+
+    // FFA and LTS have one winning tank, team modes a winning team; ties have neither
+    const winners = tanks.filter(tank =>
+      (result.winnerId && tank.id === result.winnerId) ||
+      (result.winningTeam && tank.team === result.winningTeam));
+
+    const match = {
+      index,
+      seed,
+      duration,
+      reason: result.reason,
+      winnerIds: winners.map(tank => tank.id),
+      winningTeam: result.winningTeam || null,
+      tanks,
+      kills: kills.map(({ victimId, killerId }) => ({
+        killer: killerId ? levels.get(killerId) : UNCREDITED,
+        victim: levels.get(victimId)
+      }))
+    };
+    this.results.push(match);
+    return match;
+  }
+
+  // Play every match; onMatch(match, index) is called as each one finishes
+  run(onMatch = null) {
+    this.results = [];
+    for (let index = 0; index < this.options.matches; index++) {
+      const match = this.runMatch(index);
+      if (onMatch) onMatch(match, index);
+    }
+    return this.getReport();
+  }
+
+  getReport() {
+    const { matches, aiLevels, map, mode, modeParams, settings, seed } = this.options;
+    const results = this.results;
+    const durations = results.map(match => match.duration);
+    const totalKills = results.reduce((sum, match) => sum + match.kills.length, 0);
+
+    const levels = {};
+    for (const level of new Set(aiLevels)) {
+      levels[level] = { tanks: 0, wins: 0, kills: 0, deaths: 0, assists: 0, damageDealt: 0, shotsFired: 0, shotsHit: 0, upgrades: {} };
+    }
+
+    const endReasons = {};
+    const upgrades = Object.fromEntries(Object.keys(UPGRADE_TYPES).map(type => [type, 0]));
+    const killMatrix = {}; // killer level -> victim level -> kills
+
+    for (const match of results) {
+      endReasons[match.reason] = (endReasons[match.reason] || 0) + 1;
+
+      for (const tank of match.tanks) {
+        const stats = levels[tank.level];
+        if (!stats) continue;
+        stats.tanks++;
+        if (match.winnerIds.includes(tank.id)) stats.wins++;
+        for (const field of ['kills', 'deaths', 'assists', 'damageDealt', 'shotsFired', 'shotsHit']) {
+          stats[field] += tank[field];
+        }
+        for (const [type, count] of Object.entries(tank.upgrades)) {
+          stats.upgrades[type] = (stats.upgrades[type] || 0) + count;
+          upgrades[type] = (upgrades[type] || 0) + count;
+        }
+      }
+
+      for (const { killer, victim } of match.kills) {
+        killMatrix[killer] = killMatrix[killer] || {};
+        killMatrix[killer][victim] = (killMatrix[killer][victim] || 0) + 1;
+      }
+    }
+
+    for (const stats of Object.values(levels)) {
+      stats.winRate = ratio(stats.wins, stats.tanks);
+      stats.killsPerMatch = ratio(stats.kills, stats.tanks);
+      stats.killShare = ratio(stats.kills, totalKills);
+      stats.kdRatio = ratio(stats.kills, stats.deaths);
+      stats.accuracy = ratio(stats.shotsHit, stats.shotsFired);
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      options: { matches, aiLevels, map, mode, modeParams, settings, seed },
+      summary: {
+        matchesPlayed: results.length,
+        averageMatchLength: results.length ? Math.round(durations.reduce((sum, duration) => sum + duration, 0) / results.length) : 0,
+        shortestMatch: results.length ? Math.min(...durations) : 0,
+        longestMatch: results.length ? Math.max(...durations) : 0,
+        endReasons,
+        totalKills,
+        upgrades,
+        levels,
+        killMatrix
+      },
+      matches: results
+    };
+  }
+}
+
+// Rounded to 3 decimals; null when there is nothing to divide by
+function ratio(value, total) {
+  return total ? Math.round((value / total) * 1000) / 1000 : null;
+}
+
+function formatTime(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatPercent(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+// Plain-text summary of a report for the terminal
+export function formatReport(report) {
+  const { options, summary } = report;
+  const lines = [];
+  const table = (rows) => {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+    for (const row of rows) {
+      lines.push(`  ${row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ')}`.trimEnd());
+    }
+  };
+
+  lines.push(`${summary.matchesPlayed} matches of ${options.mode} on ${options.map} (seed ${options.seed}), AI: ${options.aiLevels.join(', ')}`);
+  lines.push(`Match length: average ${formatTime(summary.averageMatchLength)}, shortest ${formatTime(summary.shortestMatch)}, longest ${formatTime(summary.longestMatch)}`);
+  lines.push(`End reasons: ${Object.entries(summary.endReasons).map(([reason, count]) => `${reason} ${count}`).join(', ')}`);
+  lines.push('');
+
+  lines.push('Per AI level:');
+  table([
+    ['level', 'tanks', 'win rate', 'kills/match', 'kill share', 'K/D', 'accuracy', 'upgrades'],
+    ...Object.entries(summary.levels).map(([level, stats]) => [
+      level,
+      stats.tanks,
+      formatPercent(stats.winRate),
+      stats.killsPerMatch === null ? '-' : stats.killsPerMatch.toFixed(2),
+      formatPercent(stats.killShare),
+      stats.kdRatio === null ? '-' : stats.kdRatio.toFixed(2),
+      formatPercent(stats.accuracy),
+      Object.values(stats.upgrades).reduce((sum, count) => sum + count, 0)
+    ])
+  ]);
+  lines.push('');
+
+  const victims = Object.keys(summary.levels);
+  lines.push(`Kills (${summary.totalKills}), killer level by victim level:`);
+  table([
+    ['killer \\ victim', ...victims],
+    ...[...victims, UNCREDITED]
+      .filter(killer => summary.killMatrix[killer])
+      .map(killer => [killer, ...victims.map(victim => summary.killMatrix[killer][victim] || 0)])
+  ]);
+  lines.push('');
+
+  lines.push(`Upgrade pickups: ${Object.entries(summary.upgrades).map(([type, count]) => `${type.toLowerCase()} ${count}`).join(', ')}`);
+  return lines.join('\n');
+}
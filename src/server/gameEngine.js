@@ -1,12 +1,11 @@
-import { GameState, Tank, Shell, Upgrade, Tree, Patch, Vector2 } from '../shared/types.js';
+import { GameState, Tank, Shell, Upgrade, Tree, Patch, Vector2, createCombatRules } from '../shared/types.js';
 import { AIController } from '../shared/ai.js';
-import { checkAABBCollision, getRandomPositionAvoidingObstacles } from '../shared/collision.js';
+import { getRandomPositionAvoidingObstacles, sweepSegmentOBB, sweepSegmentCircle } from '../shared/collision.js';
 import { SpatialManager, createBounds } from '../shared/spatialPartitioning.js';
 import { memoryManager } from '../shared/objectPools.js';
 import { HybridSpatialSystem } from '../shared/spatialHashing.js';
-import { changeTracker, lazyEvaluator } from '../shared/eventSystem.js';
-import { VectorUtils } from '../shared/vectorOptimizations.js';
-import { gameLoop, updateScheduler } from '../shared/gameLoop.js';
+import { EventSystem, changeTracker, lazyEvaluator } from '../shared/eventSystem.js';
+import { FixedTimestepGameLoop, UpdateScheduler } from '../shared/gameLoop.js';
 import { priorityUpdateManager } from '../shared/priorityUpdates.js';
 import { 
   GAME_TICK_RATE, 
@@ -15,10 +14,31 @@ import {
   BATTLEFIELD,
   TANK_ATTRIBUTES,
   GAME_PARAMS,
-  DAMAGE_PARAMS
+  TANK_COLLISION,
+  DAMAGE_PARAMS,
+  TEAMS,
+  ARENA_BOUNDS,
+  SAFE_ZONE_PARAMS
 } from '../shared/constants.js';
 import { defaultNames, ranks } from '../shared/defaultNames.js';
 import { getTerrainMap } from '../shared/terrainMaps.js';
+import { createGameMode, DEFAULT_MODE_PARAMS } from './gameModes.js';
+import { MatchLifecycle, DEFAULT_MATCH_PARAMS } from './matchLifecycle.js';
+import { checkSettingsConsistency } from './inputValidation.js';
+import { Simulation } from '../shared/simulation.js';
+import { SnapshotHistory } from '../shared/snapshots.js';
+import { TankHistory, getRewind } from './lagCompensation.js';
+
+// Settings sections the balance panel can tune live; each change can be undone
+export const BALANCE_SECTIONS = ['gameParams', 'damageParams', 'upgradeTypes', 'treeParams', 'attributeLimits'];
+export const MAX_SETTINGS_HISTORY = 20;
+
+// How far around a shell's path to look for tanks and trunks; covers a turned tank's corners, which its
+// axis-aligned spatial bounds leave out
+const SHELL_SWEEP_MARGIN = 32;
+
+// Centers closer than this may have overlapping hulls: the length of a tank's diagonal
+const TANK_CONTACT_RANGE = Math.hypot(48, 32);
 
 // Tank colors for AI tanks (hardcoded to avoid import issues)
 const tankColors = {
@@ -33,28 +53,47 @@ const tankColors = {
 };
 
 export class GameEngine {
-  constructor() {
+  // seed: PRNG seed (random when left out); clock: SystemClock by default, SimulationClock for
+  // reproducible runs that step update() themselves (see simulation.js)
+  constructor({ seed, clock } = {}) {
+    // Shared by the engine, its tanks, trees, upgrades and AI
+    this.simulation = new Simulation({ seed, clock });
+    this.random = this.simulation.random;
+
     this.gameState = new GameState();
     this.aiControllers = new Map();
     this.lastUpdate = Date.now();
-    this.gameLoop = null;
     this.isRunning = false;
     
-    // Network optimization: track last sent state for delta compression
-    this.lastSentState = null;
-    this.lastSentTime = 0;
-    this.networkUpdateInterval = 100; // Reduced from 50ms to 100ms (10 FPS)
+    // Each engine (room) runs its own loop and update schedule
+    this.gameLoop = new FixedTimestepGameLoop(60, 5);
+    this.updateScheduler = new UpdateScheduler();
+    
+    // Engine events (roundOver, ...) for the server to broadcast
+    this.events = new EventSystem();
+    
+    // Numbered network snapshots that clients ack and get deltas against (see snapshots.js)
+    this.snapshots = new SnapshotHistory();
+
+    // Recent tank poses, to resolve shots where their shooter saw the tanks (see lagCompensation.js)
+    this.tankHistory = new TankHistory();
+    
+    // Bumped whenever trees, patches or the settings that pick their images change (snapshots only re-serialize terrain then)
+    this.terrainVersion = 0;
     
         // Initialize default settings with Mudlands terrain map
         const mudlandsMap = getTerrainMap('mudlands');
         this.gameSettings = {
+      terrainMap: 'mudlands',
       gameParams: {
-        respawnTime: 5000,
-        reloadTime: 1000,
+        respawnTime: GAME_PARAMS.RESPAWN_TIME,
+        reloadTime: GAME_PARAMS.RELOAD_TIME,
         acceleration: 0.1,
         shellLifetime: 1000,
         gasolinePerUnit: GAME_PARAMS.GASOLINE_PER_UNIT,
-        gasolineSpeedPenalty: GAME_PARAMS.GASOLINE_SPEED_PENALTY
+        gasolineSpeedPenalty: GAME_PARAMS.GASOLINE_SPEED_PENALTY,
+        maxLagCompensation: GAME_PARAMS.MAX_LAG_COMPENSATION,
+        rammingDamage: TANK_COLLISION.RAMMING_DAMAGE
       },
       damageParams: {
         health: DAMAGE_PARAMS.HEALTH,
@@ -63,14 +102,8 @@ export class GameEngine {
         kinetics: DAMAGE_PARAMS.KINETICS,
         gasoline: DAMAGE_PARAMS.GASOLINE
       },
-      upgradeTypes: {
-        speed: { count: 1 },
-        gasoline: { count: 1 },
-        rotation: { count: 1 },
-        ammunition: { count: 2 },
-        kinetics: { count: 1 },
-        health: { count: 0 }
-      },
+      // How many of each upgrade lie on the battlefield at once
+      upgradeTypes: Object.fromEntries(Object.entries(UPGRADE_TYPES).map(([type, config]) => [type.toLowerCase(), { count: config.count }])),
       treeParams: mudlandsMap.treeParams,
       patchParams: mudlandsMap.patchParams,
       groundParams: mudlandsMap.groundParams,
@@ -85,9 +118,36 @@ export class GameEngine {
         rotation: TANK_ATTRIBUTES.ROTATION,
         ammunition: TANK_ATTRIBUTES.AMMUNITION,
         kinetics: TANK_ATTRIBUTES.KINETICS
-      }
+      },
+      arenaBounds: { ...ARENA_BOUNDS },
+      safeZoneParams: {
+        center: { ...SAFE_ZONE_PARAMS.CENTER },
+        initialRadius: SAFE_ZONE_PARAMS.INITIAL_RADIUS,
+        schedule: SAFE_ZONE_PARAMS.SCHEDULE.map(stage => ({ ...stage })),
+        healthDrain: SAFE_ZONE_PARAMS.HEALTH_DRAIN,
+        gasolineDrain: SAFE_ZONE_PARAMS.GASOLINE_DRAIN,
+        clampMargin: SAFE_ZONE_PARAMS.CLAMP_MARGIN
+      },
+      gameMode: 'ffa',
+      modeParams: { ...DEFAULT_MODE_PARAMS },
+      matchParams: { ...DEFAULT_MATCH_PARAMS }
     };
     
+    // Previous balance values, newest last (undo)
+    this.settingsHistory = [];
+
+    // Shared by every tank in this engine; refreshed in place when balance settings change
+    this.combatRules = createCombatRules();
+    this.refreshCombatRules();
+    
+    // Game mode rules and round state
+    this.gameMode = createGameMode(this.gameSettings.gameMode, this, this.gameSettings.modeParams);
+    this.roundStartTime = 0;
+    this.roundResult = null;
+    
+    // Match phases (waiting, countdown, live, round over, intermission)
+    this.match = new MatchLifecycle(this, this.gameSettings.matchParams);
+    
     this.initializeBattlefield();
     
     // OPTIMIZATION: Initialize hybrid spatial system for ultra-fast collision detection
@@ -101,7 +161,7 @@ export class GameEngine {
     // Helper method to get random tank color for AI tanks
     this.getRandomTankColor = () => {
       const colorKeys = Object.keys(tankColors);
-      const randomKey = colorKeys[Math.floor(Math.random() * colorKeys.length)];
+      const randomKey = this.random.pick(colorKeys);
       return tankColors[randomKey].hex;
     };
     
@@ -121,7 +181,7 @@ export class GameEngine {
     this.isRunning = true;
     
     // OPTIMIZATION: Use fixed timestep game loop for consistent 60fps
-    gameLoop.start(
+    this.gameLoop.start(
       (deltaTime) => this.update(deltaTime), // Update callback
       (interpolationAlpha) => this.render(interpolationAlpha) // Render callback
     );
@@ -133,7 +193,7 @@ export class GameEngine {
     this.isRunning = false;
     
     // OPTIMIZATION: Stop fixed timestep game loop
-    gameLoop.stop();
+    this.gameLoop.stop();
   }
 
   update(deltaTime) {
@@ -144,17 +204,31 @@ export class GameEngine {
 
     // Update game time
     this.gameState.gameTime += deltaTime;
+    this.simulation.clock.advance(deltaTime);
+
+    // Tanks are frozen outside the live phase
+    const isLive = this.match.isLive();
+    if (!isLive) {
+      for (const tank of this.gameState.tanks.values()) {
+        tank.targetVelocity = new Vector2(0, 0);
+      }
+    }
 
-    // Update all tanks
+    // Update all tanks (eliminated tanks stay down in modes without respawns)
+    const arenaBounds = this.gameMode.getArenaBounds();
     for (const [id, tank] of this.gameState.tanks) {
-      tank.update(deltaTime, this.gameSettings.gameParams.gasolinePerUnit, this.gameSettings.gameParams.gasolineSpeedPenalty, this.gameState.trees);
+      if (!tank.isAlive && !this.gameMode.allowsRespawn) continue;
+      tank.update(deltaTime, this.gameSettings.gameParams.gasolinePerUnit, this.gameSettings.gameParams.gasolineSpeedPenalty, this.gameState.trees, arenaBounds);
+      tank.inputTicks++;
     }
+    this.resolveTankCollisions();
+    this.tankHistory.record(this.simulation.now(), this.gameState.tanks);
 
     // 🚀 CRITICAL OPTIMIZATION: AI frame-skipping system
     this.aiUpdateFrameCounter++;
     
     // Only update AI controllers every few frames to spread the load
-    if (this.aiUpdateFrameCounter >= this.aiUpdateInterval) {
+    if (isLive && this.aiUpdateFrameCounter >= this.aiUpdateInterval) {
       this.aiUpdateFrameCounter = 0;
       
       const aiUpdateStart = performance.now();
@@ -168,6 +242,7 @@ export class GameEngine {
         if (aiTank && aiTank.lastShotShell) {
           // Add AI shell to game state
           this.gameState.shells.push(aiTank.lastShotShell);
+          this.gameState.scoreboard.recordShot(id);
           aiTank.lastShotShell = null; // Clear the shell reference
         }
       }
@@ -201,6 +276,14 @@ export class GameEngine {
     // Check collisions (this handles shell removal when they hit something)
     this.checkCollisions();
 
+    // Apply game mode rules (scoring, round limits) while the round is live
+    if (isLive) {
+      this.updateGameMode(deltaTime);
+    }
+
+    // Advance the match phase (countdown, round over, intermission)
+    this.match.update();
+
     // Spawn new upgrades if needed
     this.spawnUpgrades();
 
@@ -229,67 +312,48 @@ export class GameEngine {
     // Update spatial manager with current entity positions
     this.updateSpatialManager();
     
-    // Check shell-tank collisions using spatial partitioning
+    // Check shells along the path they took this tick (swept), so fast shells cannot skip past a tank or trunk
+    const shellRadius = BATTLEFIELD.BULLET_SIZE / 2;
     for (let i = this.gameState.shells.length - 1; i >= 0; i--) {
       const shell = this.gameState.shells[i];
-      let shellHit = false;
-
-      // Get potential tank collision candidates using spatial partitioning
-      const tankCandidates = this.spatialManager.getCollisionCandidates(shell, 25); // 25px search radius
-      
-      for (const tank of tankCandidates) {
-        if (!tank.isAlive || tank.constructor.name !== 'Tank') continue;
+      const start = shell.previous;
+      const end = shell.position;
+      const area = {
+        x: Math.min(start.x, end.x) - SHELL_SWEEP_MARGIN,
+        y: Math.min(start.y, end.y) - SHELL_SWEEP_MARGIN,
+        width: Math.abs(end.x - start.x) + SHELL_SWEEP_MARGIN * 2,
+        height: Math.abs(end.y - start.y) + SHELL_SWEEP_MARGIN * 2
+      };
 
-        if (checkAABBCollision(shell.bounds, tank.bounds)) {
-          // Use robust damage system that handles immunity
-          const damageApplied = tank.takeDamage(shell);
-          
-          if (damageApplied) {
-            // OPTIMIZATION: Release shell back to object pool instead of destroying it
-            memoryManager.release(this.gameState.shells[i]);
-            this.gameState.shells.splice(i, 1);
-            shellHit = true;
-            break;
-          }
-        } else {
-          // OPTIMIZATION: Use fast distance check (no sqrt) for high-velocity shells
-          const shellSpeed = shell.velocity.magnitude();
-          if (shellSpeed > 10) { // Only check for fast shells
-            // Use fast distance check without square root
-            if (VectorUtils.fastDistanceCheck(shell.position, tank.position, 20)) {
-              const damageApplied = tank.takeDamage(shell);
-              if (damageApplied) {
-                // OPTIMIZATION: Release shell back to object pool
-                memoryManager.release(this.gameState.shells[i]);
-                this.gameState.shells.splice(i, 1);
-                shellHit = true;
-                break;
-              }
-            }
-          }
-        }
+      // Every tank and trunk on the path, nearest first
+      const impacts = [];
+      for (const { tank, obb } of this.getShellTargets(shell, area)) {
+        const hit = sweepSegmentOBB(start, end, obb, shellRadius);
+        if (hit) impacts.push({ hit, tank });
+      }
+      for (const entity of this.spatialManager.getEntitiesInArea(area)) {
+        if (entity.constructor.name !== 'Tree') continue;
+        const trunk = entity.getTrunkCircle();
+        const hit = sweepSegmentCircle(start, end, trunk.center, trunk.radius + shellRadius);
+        if (hit) impacts.push({ hit, tree: entity });
       }
+      impacts.sort((a, b) => a.hit.t - b.hit.t);
 
-      // Only check tree collision if shell didn't hit a tank
-      if (!shellHit) {
-        const treeCandidates = this.spatialManager.getCollisionCandidates(shell, 15); // 15px search radius
-        
-        for (const tree of treeCandidates) {
-          if (tree.constructor.name !== 'Tree') continue;
-          
-          if (checkAABBCollision(shell.bounds, tree.bounds)) {
-            // OPTIMIZATION: Use object pool for tree impact velocity
-            const impactVelocity = memoryManager.getVector(shell.velocity.x, shell.velocity.y);
-            const shellSpeed = shell.velocity.magnitude();
-            tree.impact(impactVelocity, shellSpeed);
-            memoryManager.release(impactVelocity);
-            
-            // OPTIMIZATION: Release shell back to object pool
-            memoryManager.release(this.gameState.shells[i]);
-            this.gameState.shells.splice(i, 1);
-            break;
-          }
+      for (const { tank, tree } of impacts) {
+        // Use robust damage system that handles immunity; an immune tank lets the shell fly on
+        if (tank && !this.applyShellHit(shell, tank)) continue;
+
+        if (tree) {
+          // OPTIMIZATION: Use object pool for tree impact velocity
+          const impactVelocity = memoryManager.getVector(shell.velocity.x, shell.velocity.y);
+          tree.impact(impactVelocity, shell.velocity.magnitude());
+          memoryManager.release(impactVelocity);
         }
+
+        // OPTIMIZATION: Release shell back to object pool
+        memoryManager.release(shell);
+        this.gameState.shells.splice(i, 1);
+        break;
       }
     }
 
@@ -318,6 +382,7 @@ export class GameEngine {
         if (this.checkTankUpgradeCollision(tank, upgrade)) {
           console.log(`🎯 COLLISION: Tank ${tank.id} collected ${upgrade.type} upgrade!`);
           this.applyUpgrade(tank, upgrade.type);
+          this.gameState.scoreboard.recordUpgrade(tank.id, upgrade.type);
           upgrade.collected = true;
           
           // Remove from upgrades array
@@ -330,6 +395,149 @@ export class GameEngine {
         }
       }
     }
+
+    // Check mode objectives (flag pickups, captures) while the round is live
+    if (this.match.isLive()) {
+      this.gameMode.checkObjectives();
+    }
+  }
+
+  // Push overlapping tanks apart (see Tank.collideWith); AI tanks included, so they cannot pile up on one spot
+  resolveTankCollisions() {
+    const tanks = [...this.gameState.tanks.values()].filter(tank => tank.isAlive);
+    for (let i = 0; i < tanks.length; i++) {
+      for (let j = i + 1; j < tanks.length; j++) {
+        const a = tanks[i];
+        const b = tanks[j];
+        const dx = b.position.x - a.position.x;
+        const dy = b.position.y - a.position.y;
+        if (dx * dx + dy * dy >= TANK_CONTACT_RANGE * TANK_CONTACT_RANGE) continue;
+
+        const contact = a.collideWith(b);
+        if (contact) this.applyRamming(a, b, contact.closingSpeed);
+      }
+    }
+  }
+
+  // Optional ramming damage (gameParams.rammingDamage) for tanks that met fast enough; each takes the
+  // share of the blow the other's mass gives it, credited to the other tank
+  applyRamming(a, b, closingSpeed) {
+    const { rammingDamage } = this.gameSettings.gameParams;
+    const excess = closingSpeed - TANK_COLLISION.RAMMING_MIN_SPEED;
+    if (!rammingDamage || excess <= 0 || !this.match.isLive()) return;
+
+    const massA = a.getMass();
+    const massB = b.getMass();
+    const damage = rammingDamage * excess / 10;
+    this.applyRammingDamage(a, b, damage * massB / (massA + massB));
+    this.applyRammingDamage(b, a, damage * massA / (massA + massB));
+  }
+
+  applyRammingDamage(tank, rammer, damage) {
+    if (!tank.isAlive || !this.gameMode.canDamage(rammer.id, tank)) return;
+
+    const healthBefore = tank.attributes.health;
+    tank.attributes.health = Math.max(0, healthBefore - damage);
+    const healthLost = healthBefore - tank.attributes.health;
+    this.gameState.scoreboard.recordDamage(rammer.id, tank.id, healthLost, this.simulation.now(), { shellHit: false });
+    if (tank.attributes.health <= 0) {
+      tank.die();
+      this.recordKill(tank.id, rammer.id);
+    }
+  }
+
+  // Living tanks a shell may hit within `area`, each with the oriented box to sweep it against: their current
+  // one, or for a lag-compensated shell the one they had shell.rewind ms ago (see lagCompensation.js)
+  getShellTargets(shell, area) {
+    const targets = [];
+    if (!shell.rewind) {
+      for (const tank of this.spatialManager.getEntitiesInArea(area)) {
+        if (!tank.isAlive || tank.constructor.name !== 'Tank') continue;
+        targets.push({ tank, obb: tank.getOrientedBoundingBox() });
+      }
+      return targets;
+    }
+
+    const time = this.simulation.now() - shell.rewind;
+    for (const tank of this.gameState.tanks.values()) {
+      if (!tank.isAlive) continue;
+      const pose = this.tankHistory.getPose(tank.id, time);
+      if (!pose || !pose.isAlive) continue;
+      const obb = { center: pose.position, width: tank.collisionWidth, height: tank.collisionHeight, angle: pose.angle };
+      targets.push({ tank, obb });
+    }
+    return targets;
+  }
+
+  // Controllers' measured round trips, smoothed; used to rewind their shots
+  setPlayerLatency(playerId, roundTrip) {
+    const tank = this.gameState.tanks.get(playerId);
+    if (!tank) return;
+    tank.latency = tank.latency > 0 ? tank.latency * 0.7 + roundTrip * 0.3 : roundTrip;
+  }
+
+  // Apply a shell hit to a tank and credit the shooter on the scoreboard
+  // Returns true when the shell was stopped by the tank
+  applyShellHit(shell, tank) {
+    // Outside the live phase, and for protected teammates, shells are absorbed without damage
+    if (!this.match.isLive() || !this.gameMode.canDamage(shell.shooterId, tank)) {
+      return shell.shooterId !== tank.id;
+    }
+
+    const healthBefore = tank.attributes.health;
+    const damageApplied = tank.takeDamage(shell);
+    if (!damageApplied) return false;
+
+    const healthLost = healthBefore - Math.max(0, tank.attributes.health);
+    this.gameState.scoreboard.recordDamage(shell.shooterId, tank.id, healthLost, this.simulation.now());
+
+    if (!tank.isAlive) {
+      this.recordKill(tank.id, shell.shooterId);
+    }
+
+    return true;
+  }
+
+  // Credit a destroyed tank on the scoreboard and the game mode (killerId null: nobody gets the kill)
+  recordKill(victimId, killerId) {
+    const attribution = this.gameState.scoreboard.recordKill(victimId, killerId, this.simulation.now());
+    this.gameMode.onKill(attribution);
+    this.events.emit('tankDestroyed', attribution);
+    return attribution;
+  }
+
+  // Run the game mode and end the round once it reports a result
+  updateGameMode(deltaTime) {
+    this.gameMode.update(deltaTime);
+
+    if (this.roundResult) return;
+
+    const result = this.gameMode.getRoundResult();
+    if (result) {
+      this.endRound(result);
+    }
+  }
+
+  endRound(result) {
+    this.roundResult = {
+      ...result,
+      mode: this.gameMode.id,
+      scoreboard: this.gameState.scoreboard.getEntries()
+    };
+    this.events.emit('roundOver', this.roundResult);
+  }
+
+  // A live round cut short (admin restart, mode change or reset) still counts for the players in it
+  settleRound(reason) {
+    if (this.roundResult || !this.match.isLive()) return;
+
+    // Ends the round without a winner; the caller starts the next one
+    this.roundResult = {
+      reason,
+      mode: this.gameMode.id,
+      scoreboard: this.gameState.scoreboard.getEntries()
+    };
+    this.events.emit('roundAbandoned', this.roundResult);
   }
 
   // OPTIMIZATION: Update spatial manager with current entity positions
@@ -380,76 +588,42 @@ export class GameEngine {
   // OPTIMIZATION: Schedule entities for different update frequencies
   scheduleEntities() {
     // Clear existing schedules
-    updateScheduler.clear();
+    this.updateScheduler.clear();
     
     // Schedule tanks at 60fps (highest priority)
     for (const [id, tank] of this.gameState.tanks) {
       if (tank.isAlive) {
-        updateScheduler.schedule(id, 60);
+        this.updateScheduler.schedule(id, 60);
       }
     }
     
     // Schedule AI controllers at 30fps
     for (const [id, aiController] of this.aiControllers) {
-      updateScheduler.schedule(id, 30);
+      this.updateScheduler.schedule(id, 30);
     }
     
     // Schedule shells at 60fps
     for (const shell of this.gameState.shells) {
-      updateScheduler.schedule(shell.id, 60);
+      this.updateScheduler.schedule(shell.id, 60);
     }
     
     // Schedule trees at 15fps (less frequent for animations)
     for (const tree of this.gameState.trees) {
-      updateScheduler.schedule(tree.id, 15);
+      this.updateScheduler.schedule(tree.id, 15);
     }
     
     // Schedule upgrade spawning at 5fps (very low priority)
-    updateScheduler.schedule('upgrade_spawner', 5);
+    this.updateScheduler.schedule('upgrade_spawner', 5);
   }
 
   applyUpgrade(tank, upgradeType) {
     const upgradeConfig = UPGRADE_TYPES[upgradeType];
     if (!upgradeConfig) return;
 
-    switch (upgradeType) {
-      case 'HEALTH':
-        tank.attributes.health = Math.min(
-          TANK_ATTRIBUTES.HEALTH.max,
-          tank.attributes.health + upgradeConfig.value
-        );
-        break;
-      case 'SPEED':
-        tank.attributes.speed = Math.min(
-          TANK_ATTRIBUTES.SPEED.max,
-          tank.attributes.speed + upgradeConfig.value
-        );
-        break;
-      case 'GASOLINE':
-        tank.attributes.gasoline = Math.min(
-          TANK_ATTRIBUTES.GASOLINE.max,
-          tank.attributes.gasoline + upgradeConfig.value
-        );
-        break;
-      case 'ROTATION':
-        tank.attributes.rotation = Math.min(
-          TANK_ATTRIBUTES.ROTATION.max,
-          tank.attributes.rotation + upgradeConfig.value
-        );
-        break;
-      case 'AMMUNITION':
-        tank.attributes.ammunition = Math.min(
-          TANK_ATTRIBUTES.AMMUNITION.max,
-          tank.attributes.ammunition + upgradeConfig.value
-        );
-        break;
-      case 'KINETICS':
-        tank.attributes.kinetics = Math.min(
-          TANK_ATTRIBUTES.KINETICS.max,
-          tank.attributes.kinetics + upgradeConfig.value
-        );
-        break;
-    }
+    // Capped at this match's attribute limits (balance settings), not the defaults
+    const attribute = upgradeType.toLowerCase();
+    const limit = this.gameSettings.attributeLimits[attribute];
+    tank.attributes[attribute] = Math.min(limit.max, tank.attributes[attribute] + upgradeConfig.value);
   }
 
   // Check collision between tank and upgrade using more forgiving bounds overlap
@@ -505,16 +679,22 @@ export class GameEngine {
     }
 
     // Spawn missing upgrades
-    for (const [type, config] of Object.entries(UPGRADE_TYPES)) {
+    for (const type of Object.keys(UPGRADE_TYPES)) {
       const currentCount = upgradeCounts[type] || 0;
-      if (currentCount < config.count) {
-        const position = getRandomPositionAvoidingObstacles([
+      const targetCount = this.gameSettings.upgradeTypes[type.toLowerCase()]?.count ?? 0;
+
+      // A lowered count removes the surplus right away
+      if (currentCount > targetCount) {
+        let surplus = currentCount - targetCount;
+        this.gameState.upgrades = this.gameState.upgrades.filter(upgrade => upgrade.type !== type || surplus-- <= 0);
+      } else if (currentCount < targetCount) {
+        const position = this.getRandomPosition([
           ...this.gameState.trees.values(),
           ...this.gameState.upgrades,
           ...this.gameState.tanks.values()
         ]);
         
-        const newUpgrade = new Upgrade(type, new Vector2(position.x, position.y), this.gameSettings.upgradeParams.rotationRange);
+        const newUpgrade = new Upgrade(type, new Vector2(position.x, position.y), this.gameSettings.upgradeParams.rotationRange, this.simulation);
         this.gameState.upgrades.push(newUpgrade);
       }
     }
@@ -537,47 +717,66 @@ export class GameEngine {
       tankColor,
       tankCamo,
       team,
-      lastUpdate: Date.now()
+      connected: true, // False while the controller is reconnecting
+      lastUpdate: this.simulation.now()
     };
 
     this.gameState.players.set(playerId, player);
+    this.gameState.scoreboard.ensurePlayer(playerId, callname, team);
 
     // Create tank for player
-    const position = getRandomPositionAvoidingObstacles([
+    const position = this.getRandomPosition([
       ...this.gameState.trees,
       ...this.gameState.upgrades,
       ...this.gameState.tanks.values()
     ]);
 
-    const tank = new Tank(playerId, new Vector2(position.x, position.y));
+    const tank = new Tank(playerId, new Vector2(position.x, position.y), 0, this.combatRules, this.simulation);
     
     // Apply current balance settings to new player
-
-    
-    // Apply max values from current balance settings as starting values
-    tank.attributes.health = this.gameSettings.attributeLimits.health.max;
-    tank.attributes.speed = this.gameSettings.attributeLimits.speed.max;
-    tank.attributes.gasoline = this.gameSettings.attributeLimits.gasoline.max;
-    tank.attributes.rotation = this.gameSettings.attributeLimits.rotation.max;
-    tank.attributes.ammunition = this.gameSettings.attributeLimits.ammunition.max;
-    tank.attributes.kinetics = this.gameSettings.attributeLimits.kinetics.max;
-    
-
-    
-
+    this.applyStartingAttributes(tank);
     
     this.gameState.tanks.set(playerId, tank);
 
     return { player, tank };
   }
 
+  // Controller dropped or came back: a dropped player's tank stops and waits for them
+  setPlayerConnected(playerId, connected) {
+    const player = this.gameState.players.get(playerId);
+    if (!player) return false;
+
+    player.connected = connected;
+    const tank = this.gameState.tanks.get(playerId);
+    if (tank && !connected) {
+      tank.targetVelocity = new Vector2(0, 0);
+    }
+    return true;
+  }
+
+  // Link a player to their lifetime profile (credited from the scoreboard when the round is settled)
+  setPlayerProfile(playerId, profileId) {
+    const player = this.gameState.players.get(playerId);
+    if (!player) return false;
+
+    player.profileId = profileId;
+    this.gameState.scoreboard.setProfile(playerId, profileId);
+    return true;
+  }
+
   removePlayer(playerId) {
+    // Scoreboard entry is kept so the player's tally survives until the match is reset
+    this.gameState.scoreboard.clearDamageHistory(playerId);
     this.gameState.players.delete(playerId);
     this.gameState.tanks.delete(playerId);
     this.aiControllers.delete(playerId);
   }
 
   setPlayerAttributes(attributes) {
+    // Values outside the balance limits are pulled back inside them
+    const limits = this.gameSettings.attributeLimits;
+    attributes = Object.fromEntries(Object.entries(attributes).map(([name, value]) =>
+      [name, limits[name] ? Math.min(limits[name].max, Math.max(limits[name].min, value)) : value]));
 
     // Reduced debug logging to prevent spam
     
@@ -632,24 +831,33 @@ export class GameEngine {
 
   }
 
+  // Change one balance limit (e.g. speed max); throws if it would leave min above max
+  setPlayerAttributeLimit(attributeName, type, value) {
+    const limit = this.gameSettings.attributeLimits[attributeName];
+    if (!limit) throw new Error(`Unknown attribute: ${attributeName}`);
+    if (type !== 'min' && type !== 'max') throw new Error(`Unknown limit type: ${type}`);
+
+    this.applyBalanceSettings({ attributeLimits: { [attributeName]: { ...limit, [type]: value } } });
+  }
+
 
 
   addAITank(aiLevel = 'intermediate') {
-    const aiId = `ai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const aiId = `ai_${this.simulation.now()}_${this.random.id()}`;
     
     // Create obstacle list with tank positions
     const tankObstacles = Array.from(this.gameState.tanks.values()).map(tank => ({
       position: tank.position
     }));
     
-    const position = getRandomPositionAvoidingObstacles([
+    const position = this.getRandomPosition([
       ...this.gameState.trees,
       ...this.gameState.upgrades,
       ...tankObstacles
     ]);
 
     // Create AI tank with proper setup
-    const tank = new Tank(aiId, new Vector2(position.x, position.y));
+    const tank = new Tank(aiId, new Vector2(position.x, position.y), 0, this.combatRules, this.simulation);
     tank.isAI = true;
     
     // Set AI level-specific attributes
@@ -658,12 +866,12 @@ export class GameEngine {
     // Add tank to game state
     this.gameState.tanks.set(aiId, tank);
 
-    // Assign random team and name
+    // Assign team (balanced by team modes, random otherwise) and name
     const teamNames = ['NATO', 'CSTO', 'PLA'];
-    const randomTeam = teamNames[Math.floor(Math.random() * teamNames.length)];
-    const randomRank = ranks[Math.floor(Math.random() * ranks.length)];
+    const randomTeam = this.gameMode.chooseAITeam() || this.random.pick(teamNames);
+    const randomRank = this.random.pick(ranks);
     const teamNamesList = defaultNames[randomTeam];
-    const randomName = teamNamesList[Math.floor(Math.random() * teamNamesList.length)];
+    const randomName = this.random.pick(teamNamesList);
     const fullName = `${randomRank} ${randomName}`;
 
     // Create AI player data for proper rendering
@@ -672,14 +880,17 @@ export class GameEngine {
       callname: `${fullName} (AI)`,
       tankColor: this.getRandomTankColor(), // Random color for AI tanks
       tankCamo: 'none', // No camo for AI
-      team: { name: randomTeam, color: '#FF6B6B' }, // Random team for AI
+      // Team modes show the real team colour; otherwise AI tanks share a neutral marker
+      team: { name: randomTeam, color: this.gameMode.isTeamMode ? TEAMS[randomTeam].color : '#FF6B6B' },
       isAI: true,
       aiLevel: aiLevel
     };
     this.gameState.players.set(aiId, aiPlayer);
+    this.gameState.scoreboard.ensurePlayer(aiId, aiPlayer.callname, aiPlayer.team, true);
 
     // Create AI controller with level-specific behavior
-    const aiController = new AIController(tank, this.gameState, aiLevel);
+    const aiController = new AIController(tank, this.gameState, aiLevel,
+      (tankId, otherTankId) => this.gameMode.areEnemies(tankId, otherTankId));
     this.aiControllers.set(aiId, aiController);
 
     // Add strategy to player data for display
@@ -691,19 +902,24 @@ export class GameEngine {
 
   setAILevelAttributes(tank, aiLevel) {
     // AI tanks start with EXACTLY the same stats as regular players
-    // Apply max values from current balance settings as starting values (same as regular players)
+    this.applyStartingAttributes(tank);
+    
+    // AI tank initialized with player stats
+  }
+
+  // Apply max values from current balance settings as starting values
+  applyStartingAttributes(tank) {
     tank.attributes.health = this.gameSettings.attributeLimits.health.max;
     tank.attributes.speed = this.gameSettings.attributeLimits.speed.max;
     tank.attributes.gasoline = this.gameSettings.attributeLimits.gasoline.max;
     tank.attributes.rotation = this.gameSettings.attributeLimits.rotation.max;
     tank.attributes.ammunition = this.gameSettings.attributeLimits.ammunition.max;
     tank.attributes.kinetics = this.gameSettings.attributeLimits.kinetics.max;
-    
-    // AI tank initialized with player stats
   }
 
   removeAITank(aiId) {
     // Clean up AI tank and associated data
+    this.gameState.scoreboard.clearDamageHistory(aiId);
     this.gameState.tanks.delete(aiId);
     this.gameState.players.delete(aiId);
     this.aiControllers.delete(aiId);
@@ -725,6 +941,12 @@ export class GameEngine {
       }
       return;
     }
+
+    // Numbered controller inputs count as processed even when ignored, so prediction stops replaying them
+    if (input.seq !== undefined) {
+      tank.inputSeq = input.seq;
+      tank.inputTicks = 0;
+    }
     
     if (!tank.isAlive) {
       // Reduced logging - only log once per tank per session
@@ -738,6 +960,14 @@ export class GameEngine {
       return;
     }
 
+    // Input is locked outside the live phase
+    if (!this.match.isLive()) {
+      return;
+    }
+
+    // Accepted input is part of the match record (see replays.js)
+    this.events.emit('playerInput', { playerId, input });
+
     // Ensure tank angle is never null
     if (tank.angle === null || tank.angle === undefined) {
       tank.angle = 0;
@@ -745,10 +975,7 @@ export class GameEngine {
 
     // Update tank movement
     if (input.movement) {
-  
-      // Scale the movement vector by tank speed
-      const speed = tank.attributes.speed;
-      tank.targetVelocity = new Vector2(input.movement.x * speed, input.movement.y * speed);
+      tank.setMovementInput(input.movement);
     }
 
     // Don't override rotation from client - let tank.update() handle rotation based on movement
@@ -766,19 +993,32 @@ export class GameEngine {
         // Tank attempting to shoot
       }
       
-      const shell = tank.shoot();
+      // Fired from where the player saw their tank (see lagCompensation.js)
+      const rewind = getRewind(tank, this.gameSettings.gameParams.maxLagCompensation);
+      const origin = rewind > 0 ? this.tankHistory.getPose(tank.id, this.simulation.now() - rewind) : null;
+      const compensated = !!(origin && origin.isAlive);
+      const shell = tank.shoot(compensated ? origin : null);
       if (shell) {
+        shell.rewind = compensated ? rewind : 0;
         if (this.shootLogCounter % 10 === 0) { // Log every 10th successful shot
           // Tank shot shell successfully
         }
         this.gameState.shells.push(shell);
+        this.gameState.scoreboard.recordShot(playerId);
       } else {
         // Don't log failed shots to reduce spam
       }
     }
   }
 
+  // Random spot inside the arena margins, away from the given obstacles
+  getRandomPosition(obstacles, minDistance = 50) {
+    return getRandomPositionAvoidingObstacles(obstacles, minDistance, 50, 50, 1450, 850, this.random);
+  }
+
   initializeBattlefield() {
+    this.terrainVersion++;
+
     // Get tree parameters from game settings, fallback to constants if not set
     const treeParams = this.gameSettings.treeParams || {
       minTrees: TREE_PARAMS.MIN_TREES,
@@ -790,10 +1030,7 @@ export class GameEngine {
     };
 
     // Generate trees using dynamic parameters
-    const treeCount = Math.floor(
-      Math.random() * (treeParams.maxTrees - treeParams.minTrees + 1) + 
-      treeParams.minTrees
-    );
+    const treeCount = this.random.int(treeParams.maxTrees - treeParams.minTrees + 1) + treeParams.minTrees;
 
 
 
@@ -808,15 +1045,15 @@ export class GameEngine {
       const numClusters = Math.min(clusterGroups, treeCount);
       for (let i = 0; i < numClusters; i++) {
         clusterCenters.push({
-          x: Math.random() * 1400 + 50, // 50 to 1450
-          y: Math.random() * 800 + 50   // 50 to 850
+          x: this.random.range(50, 1450),
+          y: this.random.range(50, 850)
         });
       }
     }
 
     for (let i = 0; i < treeCount; i++) {
       const size = treeParams.treeSize + 
-        (Math.random() - 0.5) * treeParams.treeSizeVariance;
+        (this.random.next() - 0.5) * treeParams.treeSizeVariance;
       
       let position;
       
@@ -829,8 +1066,8 @@ export class GameEngine {
         // At 0 clustering: radius = 200-400 pixels (very spread out)
         // At 100 clustering: radius = 10-50 pixels (very tight)
         const baseRadius = 400 - (clustering / 100) * 350; // 400 to 50 pixels
-        const radius = Math.random() * baseRadius + 10; // Add 10px minimum
-        const angle = Math.random() * 2 * Math.PI;
+        const radius = this.random.range(10, baseRadius + 10); // Add 10px minimum
+        const angle = this.random.range(0, 2 * Math.PI);
         
         position = {
           x: center.x + radius * Math.cos(angle),
@@ -842,13 +1079,13 @@ export class GameEngine {
         position.y = Math.max(50, Math.min(850, position.y));
       } else {
         // Random placement
-        position = getRandomPositionAvoidingObstacles([
+        position = this.getRandomPosition([
           ...this.gameState.trees,
           ...this.gameState.upgrades
-        ], 60, 50, 50, 1450, 850);
+        ], 60);
       }
 
-      this.gameState.trees.push(new Tree(new Vector2(position.x, position.y), size));
+      this.gameState.trees.push(new Tree(new Vector2(position.x, position.y), size, this.simulation));
     }
 
     // Generate patches using dynamic parameters
@@ -860,19 +1097,19 @@ export class GameEngine {
         if (patchConfig.enabled) {
             for (let i = 0; i < patchConfig.quantity; i++) {
                 const size = patchConfig.size + 
-                    (Math.random() - 0.5) * patchConfig.sizeVariance;
+                    (this.random.next() - 0.5) * patchConfig.sizeVariance;
                 
-                const position = getRandomPositionAvoidingObstacles([
+                const position = this.getRandomPosition([
                     ...this.gameState.trees,
                     ...this.gameState.upgrades,
                     ...this.gameState.patches
-                ], 60, 50, 50, 1450, 850);
+                ], 60);
 
                 this.gameState.patches.push(new Patch(
                     new Vector2(position.x, position.y), 
                     size, 
                     patchType, 
-                    Math.random() * 2 * Math.PI // 360 degrees of rotation
+                    this.random.range(0, 2 * Math.PI) // 360 degrees of rotation
                 ));
             }
         }
@@ -892,6 +1129,14 @@ export class GameEngine {
       patches: this.gameState.patches,
       patchConfigs: this.gameSettings.patchParams.patchTypes,
       treeParams: this.gameSettings.treeParams,
+      scoreboard: this.gameState.scoreboard.getEntries(),
+      gameMode: this.gameMode.getState(),
+      roundResult: this.roundResult,
+      match: this.match.getState(),
+      flags: this.gameState.flags,
+      bases: this.gameState.bases,
+      zones: this.gameState.zones,
+      safeZone: this.gameState.safeZone,
       gameTime: this.gameState.gameTime
     };
     
@@ -936,73 +1181,29 @@ export class GameEngine {
       patches: this.gameState.patches,
       patchConfigs: this.gameSettings.patchParams.patchTypes,
       treeParams: this.gameSettings.treeParams,
+      scoreboard: this.gameState.scoreboard.getEntries(),
+      gameMode: this.gameMode.getState(),
+      roundResult: this.roundResult,
+      match: this.match.getState(),
+      flags: this.gameState.flags,
+      bases: this.gameState.bases,
+      zones: this.gameState.zones.map(zone => ({
+        ...zone,
+        progress: Math.round(zone.progress * 100) / 100
+      })),
+      safeZone: this.gameState.safeZone && {
+        ...this.gameState.safeZone,
+        radius: Math.round(this.gameState.safeZone.radius),
+        // Whole seconds so the zone only re-sends once per second while it holds still
+        nextChangeIn: this.gameState.safeZone.nextChangeIn === null ? null : Math.ceil(this.gameState.safeZone.nextChangeIn / 1000) * 1000
+      },
       gameTime: this.gameState.gameTime
     };
   }
 
-  getDeltaGameState() {
-    const currentTime = Date.now();
-    const currentState = this.getOptimizedGameState();
-    
-    // If this is the first time or enough time has passed, send full state
-    if (!this.lastSentState || (currentTime - this.lastSentTime) > this.networkUpdateInterval) {
-      this.lastSentState = currentState;
-      this.lastSentTime = currentTime;
-      return { type: 'full', data: currentState };
-    }
-    
-    // Calculate delta (only changed entities)
-    const delta = {
-      type: 'delta',
-      timestamp: currentTime,
-      tanks: [],
-      shells: [],
-      upgrades: [],
-      players: [],
-      patches: currentState.patches,
-      patchConfigs: currentState.patchConfigs,
-      treeParams: currentState.treeParams
-    };
-    
-    // Check for changed tanks
-    for (const tank of currentState.tanks) {
-      const lastTank = this.lastSentState.tanks.find(t => t.id === tank.id);
-      if (!lastTank || this.hasTankChanged(tank, lastTank)) {
-        delta.tanks.push(tank);
-      }
-    }
-    
-    // Check for changed shells - send all shells since they're always moving
-    if (currentState.shells.length > 0) {
-      delta.shells = currentState.shells;
-    }
-    
-    // Check for changed upgrades
-    for (const upgrade of currentState.upgrades) {
-      const lastUpgrade = this.lastSentState.upgrades.find(u => 
-        u.position.x === upgrade.position.x && u.position.y === upgrade.position.y);
-      if (!lastUpgrade || lastUpgrade.collected !== upgrade.collected) {
-        delta.upgrades.push(upgrade);
-      }
-    }
-    
-    // Check for changed players
-    for (const player of currentState.players) {
-      const lastPlayer = this.lastSentState.players.find(p => p.id === player.id);
-      if (!lastPlayer || JSON.stringify(player) !== JSON.stringify(lastPlayer)) {
-        delta.players.push(player);
-      }
-    }
-    
-    // Only send delta if there are changes
-    if (delta.tanks.length > 0 || delta.shells.length > 0 || 
-        delta.upgrades.length > 0 || delta.players.length > 0) {
-      this.lastSentState = currentState;
-      this.lastSentTime = currentTime;
-      return delta;
-    }
-    
-    return null; // No changes
+  // Record the current state as the next network snapshot
+  captureSnapshot() {
+    return this.snapshots.capture(this.getOptimizedGameState(), this.terrainVersion);
   }
 
   // OPTIMIZATION: Get priority-based game state updates
@@ -1038,31 +1239,28 @@ export class GameEngine {
     return priorityUpdates;
   }
 
-  hasTankChanged(currentTank, lastTank) {
-    // Check if tank position, health, or other critical attributes changed
-    return currentTank.position.x !== lastTank.position.x ||
-           currentTank.position.y !== lastTank.position.y ||
-           currentTank.angle !== lastTank.angle ||
-           currentTank.attributes.health !== lastTank.attributes.health ||
-           currentTank.attributes.ammunition !== lastTank.attributes.ammunition ||
-           currentTank.attributes.gasoline !== lastTank.attributes.gasoline ||
-           currentTank.isAlive !== lastTank.isAlive;
-  }
-
+  // What a controller shows of its own tank; the battle around it comes with its snapshot view.
+  // The pose and input ack let its prediction reconcile with the server (see prediction.js).
   getPlayerGameState(playerId) {
     const tank = this.gameState.tanks.get(playerId);
     if (!tank) return null;
 
     return {
-      tank: tank,
       attributes: tank.attributes,
+      speedFactor: tank.speedFactor,
       isAlive: tank.isAlive,
-      respawnTime: tank.respawnTime
+      respawnTime: tank.respawnTime,
+      position: { x: tank.position.x, y: tank.position.y },
+      angle: tank.angle,
+      velocity: { x: tank.velocity.x, y: tank.velocity.y },
+      inputSeq: tank.inputSeq,
+      inputTicks: tank.inputTicks
     };
   }
 
   resetGame() {
     // Resetting game state...
+    this.settleRound('gameReset');
     
     // Clear all game entities
     this.gameState.tanks.clear();
@@ -1071,19 +1269,21 @@ export class GameEngine {
     this.gameState.upgrades = [];
     this.gameState.trees = [];
     this.gameState.patches = [];
+    this.clearObjectives();
+    this.gameState.scoreboard.reset();
 
     this.aiControllers.clear();
     
     // OPTIMIZATION: Clear spatial manager
     this.spatialManager.clear();
     
-    // Reset game time
+    // Reset game time and round
     this.gameState.gameTime = 0;
     this.lastUpdate = Date.now();
-    
-    // Reset network optimization state
-    this.lastSentState = null;
-    this.lastSentTime = 0;
+    this.roundStartTime = 0;
+    this.roundResult = null;
+    this.gameMode.startRound();
+    this.match.reset();
     
     // Reinitialize battlefield with current settings
     this.initializeBattlefield();
@@ -1099,7 +1299,7 @@ export class GameEngine {
       // Store settings for future reference
       this.gameSettings = {
         ...this.gameSettings,
-        gameParams: { ...newSettings.gameParams }
+        gameParams: { ...this.gameSettings.gameParams, ...newSettings.gameParams }
       };
     }
 
@@ -1107,7 +1307,7 @@ export class GameEngine {
     if (newSettings.damageParams) {
       this.gameSettings = {
         ...this.gameSettings,
-        damageParams: { ...newSettings.damageParams }
+        damageParams: { ...this.gameSettings.damageParams, ...newSettings.damageParams }
       };
     }
 
@@ -1115,10 +1315,10 @@ export class GameEngine {
     if (newSettings.upgradeTypes) {
       this.gameSettings = {
         ...this.gameSettings,
-        upgradeTypes: { ...newSettings.upgradeTypes }
+        upgradeTypes: { ...this.gameSettings.upgradeTypes, ...newSettings.upgradeTypes }
       };
       
-      // Respawn upgrades to match new counts
+      // Spawn or remove upgrades to match the new counts
       this.spawnUpgrades();
     }
 
@@ -1126,8 +1326,9 @@ export class GameEngine {
     if (newSettings.treeParams) {
       this.gameSettings = {
         ...this.gameSettings,
-        treeParams: { ...newSettings.treeParams }
+        treeParams: { ...this.gameSettings.treeParams, ...newSettings.treeParams }
       };
+      this.terrainVersion++;
     }
 
     // Update patch parameters (affects future patch generation)
@@ -1136,6 +1337,7 @@ export class GameEngine {
         ...this.gameSettings,
         patchParams: { ...newSettings.patchParams }
       };
+      this.terrainVersion++;
     }
 
     // Update upgrade parameters
@@ -1150,13 +1352,167 @@ export class GameEngine {
     if (newSettings.attributeLimits) {
       this.gameSettings = {
         ...this.gameSettings,
-        attributeLimits: { ...newSettings.attributeLimits }
+        attributeLimits: { ...this.gameSettings.attributeLimits, ...newSettings.attributeLimits }
+      };
+    }
+
+    // Update game mode parameters (friendly fire, limits) for the running mode
+    if (newSettings.modeParams) {
+      this.gameSettings = {
+        ...this.gameSettings,
+        modeParams: { ...this.gameSettings.modeParams, ...newSettings.modeParams }
+      };
+      this.gameMode.params = { ...this.gameMode.params, ...this.gameSettings.modeParams };
+    }
+
+    // Update arena bounds (tank clamp)
+    if (newSettings.arenaBounds) {
+      this.gameSettings = {
+        ...this.gameSettings,
+        arenaBounds: { ...this.gameSettings.arenaBounds, ...newSettings.arenaBounds }
       };
     }
 
+    // Update the Last Tank Standing safe zone (the centre moves from the next round)
+    if (newSettings.safeZoneParams) {
+      this.gameSettings = {
+        ...this.gameSettings,
+        safeZoneParams: { ...this.gameSettings.safeZoneParams, ...newSettings.safeZoneParams }
+      };
+    }
+
+    // Update match phase timings (take effect from the next phase change)
+    if (newSettings.matchParams) {
+      this.gameSettings = {
+        ...this.gameSettings,
+        matchParams: { ...this.gameSettings.matchParams, ...newSettings.matchParams }
+      };
+      this.match.params = { ...this.match.params, ...this.gameSettings.matchParams };
+    }
+
+    this.refreshCombatRules();
+
     // Settings applied successfully
   }
 
+  refreshCombatRules() {
+    const { damageParams, gameParams, attributeLimits } = this.gameSettings;
+    Object.assign(this.combatRules, createCombatRules({
+      damageParams,
+      reloadTime: gameParams.reloadTime,
+      respawnTime: gameParams.respawnTime,
+      attributeLimits
+    }));
+  }
+
+  getBalanceSettings() {
+    return JSON.parse(JSON.stringify(Object.fromEntries(BALANCE_SECTIONS.map(section => [section, this.gameSettings[section]]))));
+  }
+
+  // Apply a balance change to the running match and remember the previous values for undo.
+  // Throws (without changing anything) when the merged settings would be inconsistent.
+  applyBalanceSettings(changes) {
+    const sections = BALANCE_SECTIONS.filter(section => changes[section]);
+    const merged = Object.fromEntries(sections.map(section => [section, { ...this.gameSettings[section], ...changes[section] }]));
+
+    checkSettingsConsistency(merged);
+
+    const previous = JSON.parse(JSON.stringify(Object.fromEntries(sections.map(section => [section, this.gameSettings[section]]))));
+    this.settingsHistory.push(previous);
+    if (this.settingsHistory.length > MAX_SETTINGS_HISTORY) {
+      this.settingsHistory.shift();
+    }
+
+    this.updateSettings(changes);
+    this.capTankAttributes();
+  }
+
+  // Restore the values replaced by the most recent balance change; false when there is nothing to undo
+  undoBalanceSettings() {
+    const previous = this.settingsHistory.pop();
+    if (!previous) return false;
+
+    this.updateSettings(previous);
+    this.capTankAttributes();
+    return true;
+  }
+
+  // Lowered maximums apply to tanks already on the field
+  capTankAttributes() {
+    const limits = this.gameSettings.attributeLimits;
+    for (const tank of this.gameState.tanks.values()) {
+      for (const [name, limit] of Object.entries(limits)) {
+        if (tank.attributes[name] > limit.max) tank.attributes[name] = limit.max;
+      }
+    }
+  }
+
+  // Switch game mode and start a fresh round with the connected players
+  setGameMode(modeId, params = {}) {
+    const modeParams = { ...this.gameSettings.modeParams, ...params };
+    const gameMode = createGameMode(modeId, this, modeParams);
+    if (!gameMode) {
+      console.error(`Game mode '${modeId}' not found`);
+      return false;
+    }
+
+    // Credit the round played under the old mode before it is replaced
+    this.settleRound('modeChanged');
+
+    this.gameSettings.gameMode = modeId;
+    this.gameSettings.modeParams = modeParams;
+    this.gameMode = gameMode;
+
+    // Team colours and AI team balance depend on the mode: re-deal AI tanks one by one
+    const aiPlayers = Array.from(this.gameState.players.values()).filter(player => player.isAI);
+    const previousTeams = new Map(aiPlayers.map(player => [player.id, player.team]));
+    aiPlayers.forEach(player => { player.team = null; });
+    for (const player of aiPlayers) {
+      const teamName = gameMode.chooseAITeam() || previousTeams.get(player.id).name;
+      player.team = { name: teamName, color: gameMode.isTeamMode ? TEAMS[teamName].color : '#FF6B6B' };
+    }
+
+    // Mode objectives are rebuilt by the new mode when the round restarts
+    this.clearObjectives();
+    this.match.restart();
+
+    console.log(`✅ Game mode changed to: ${gameMode.name}`);
+    return true;
+  }
+
+  // Remove mode objectives (CTF flags and bases, KOTH zones, LTS safe zone)
+  clearObjectives() {
+    this.gameState.flags = [];
+    this.gameState.bases = [];
+    this.gameState.zones = [];
+    this.gameState.safeZone = null;
+  }
+
+  // Start a new round without dropping players: respawn every tank and clear the scores
+  restartRound() {
+    this.settleRound('restarted');
+
+    for (const shell of this.gameState.shells) {
+      memoryManager.release(shell);
+    }
+    this.gameState.shells = [];
+
+    for (const tank of this.gameState.tanks.values()) {
+      tank.respawn();
+      this.applyStartingAttributes(tank);
+    }
+
+    this.gameState.scoreboard.reset();
+    for (const player of this.gameState.players.values()) {
+      this.gameState.scoreboard.ensurePlayer(player.id, player.callname, player.team, !!player.isAI);
+      if (player.profileId) this.gameState.scoreboard.setProfile(player.id, player.profileId);
+    }
+
+    this.roundStartTime = this.gameState.gameTime;
+    this.roundResult = null;
+    this.gameMode.startRound();
+  }
+
   // Change terrain map
   changeTerrainMap(mapName) {
     const terrainMap = getTerrainMap(mapName);
@@ -1166,6 +1522,7 @@ export class GameEngine {
     }
 
     // Update terrain settings
+    this.gameSettings.terrainMap = mapName;
     this.gameSettings.treeParams = terrainMap.treeParams;
     this.gameSettings.patchParams = terrainMap.patchParams;
     this.gameSettings.groundParams = terrainMap.groundParams;
@@ -1181,9 +1538,7 @@ export class GameEngine {
 
   // Get current terrain map name
   getCurrentTerrainMap() {
-    // This is a simple implementation - you might want to store the current map name
-    // For now, we'll return 'mudlands' as default since that's what we're using
-    return 'mudlands';
+    return this.gameSettings.terrainMap;
   }
 
   // OPTIMIZATION: Get spatial partitioning performance statistics
@@ -0,0 +1,632 @@
+// Game Modes
+// Each mode decides who can damage whom, how kills are scored and when a round ends.
+// The GameEngine owns exactly one mode instance and delegates these rules to it.
+
+import { TEAMS, CTF_PARAMS, KOTH_PARAMS } from '../shared/constants.js';
+import { Vector2, Flag, Base, ControlZone, SafeZone } from '../shared/types.js';
+
+// Default parameters shared by all modes (overridden by gameSettings.modeParams)
+export const DEFAULT_MODE_PARAMS = {
+  friendlyFire: false,
+  scoreLimit: 25,      // Kills needed to win the round (0 = no limit)
+  timeLimit: 600000    // Round length in ms (0 = no limit)
+};
+
+export class GameMode {
+  constructor(engine, params = {}) {
+    this.engine = engine;
+    this.params = { ...DEFAULT_MODE_PARAMS, ...params };
+  }
+
+  get id() { return 'base'; }
+  get name() { return 'Base'; }
+  get isTeamMode() { return false; }
+  get allowsRespawn() { return true; }
+
+  // Called when a new round starts (engine reset or mode change)
+  startRound() {}
+
+  // Called every engine tick
+  update(deltaTime) {}
+
+  // Resolve the team name for a player/tank id
+  getTeamName(playerId) {
+    const player = this.engine.gameState.players.get(playerId);
+    return player && player.team ? player.team.name : null;
+  }
+
+  areTeammates(playerIdA, playerIdB) {
+    if (!this.isTeamMode || playerIdA === playerIdB) return false;
+    const teamA = this.getTeamName(playerIdA);
+    return teamA !== null && teamA === this.getTeamName(playerIdB);
+  }
+
+  // Whether two tanks should treat each other as enemies (used by AI targeting)
+  areEnemies(playerIdA, playerIdB) {
+    return playerIdA !== playerIdB && !this.areTeammates(playerIdA, playerIdB);
+  }
+
+  // Whether a shell fired by shooterId may damage the given tank
+  canDamage(shooterId, tank) {
+    if (shooterId === tank.id) return true;
+    return this.params.friendlyFire || !this.areTeammates(shooterId, tank.id);
+  }
+
+  // Pick the team for a newly added AI tank (null = keep the engine's random pick)
+  chooseAITeam() {
+    return null;
+  }
+
+  // Called by the engine after a kill has been recorded on the scoreboard
+  onKill(attribution) {}
+
+  // Called from the engine's collision pass for mode objectives (flags, zones)
+  checkObjectives() {}
+
+  // Area tanks are clamped to this tick
+  getArenaBounds() {
+    return this.engine.gameSettings.arenaBounds;
+  }
+
+  // Time left in the round in ms, or null when the round is untimed
+  getTimeRemaining() {
+    if (!this.params.timeLimit) return null;
+    const elapsed = this.engine.gameState.gameTime - this.engine.roundStartTime;
+    return Math.max(0, this.params.timeLimit - elapsed);
+  }
+
+  // Returns a result object once the round is decided, otherwise null
+  getRoundResult() {
+    return null;
+  }
+
+  // Serializable mode state broadcast with the game state
+  getState() {
+    const timeRemaining = this.getTimeRemaining();
+    return {
+      id: this.id,
+      name: this.name,
+      isTeamMode: this.isTeamMode,
+      allowsRespawn: this.allowsRespawn,
+      friendlyFire: this.params.friendlyFire,
+      scoreLimit: this.params.scoreLimit,
+      timeLimit: this.params.timeLimit,
+      timeRemaining: timeRemaining === null ? null : Math.ceil(timeRemaining / 1000) * 1000
+    };
+  }
+}
+
+// Free-for-all: everyone is an enemy, the top fragger wins at the score or time limit
+export class FreeForAllMode extends GameMode {
+  get id() { return 'ffa'; }
+  get name() { return 'Free For All'; }
+
+  canDamage() {
+    return true;
+  }
+
+  getRoundResult() {
+    const [leader, runnerUp] = this.engine.gameState.scoreboard.getEntries();
+    if (!leader) return null;
+
+    if (this.params.scoreLimit && leader.kills >= this.params.scoreLimit) {
+      return { reason: 'scoreLimit', winnerId: leader.playerId, winnerName: leader.callname };
+    }
+
+    const timeRemaining = this.getTimeRemaining();
+    if (timeRemaining !== null && timeRemaining <= 0) {
+      const isTied = runnerUp && runnerUp.kills === leader.kills;
+      return {
+        reason: 'timeLimit',
+        winnerId: isTied ? null : leader.playerId,
+        winnerName: isTied ? null : leader.callname
+      };
+    }
+
+    return null;
+  }
+}
+
+// Team Deathmatch: NATO/CSTO/PLA compete for kills until the score or time limit
+export class TeamDeathmatchMode extends GameMode {
+  constructor(engine, params = {}) {
+    super(engine, params);
+    this.resetTeamScores();
+  }
+
+  get id() { return 'tdm'; }
+  get name() { return 'Team Deathmatch'; }
+  get isTeamMode() { return true; }
+
+  // Team score needed to win the round (0 = no limit)
+  get scoreLimit() { return this.params.scoreLimit; }
+
+  resetTeamScores() {
+    this.teamScores = Object.fromEntries(Object.keys(TEAMS).map(teamName => [teamName, 0]));
+  }
+
+  startRound() {
+    this.resetTeamScores();
+  }
+
+  // Balance AI tanks onto the team with the fewest tanks
+  chooseAITeam() {
+    const counts = Object.fromEntries(Object.keys(TEAMS).map(teamName => [teamName, 0]));
+    for (const player of this.engine.gameState.players.values()) {
+      if (player.team && counts[player.team.name] !== undefined) {
+        counts[player.team.name]++;
+      }
+    }
+    return Object.keys(counts).reduce((best, teamName) => counts[teamName] < counts[best] ? teamName : best);
+  }
+
+  onKill({ victimId, killerId }) {
+    if (!killerId || this.areTeammates(killerId, victimId)) return;
+    const killerTeam = this.getTeamName(killerId);
+    if (killerTeam && this.teamScores[killerTeam] !== undefined) {
+      this.teamScores[killerTeam]++;
+    }
+  }
+
+  getRoundResult() {
+    const ranking = Object.entries(this.teamScores).sort((a, b) => b[1] - a[1]);
+    const [leaderTeam, leaderScore] = ranking[0];
+    const isTied = ranking.length > 1 && ranking[1][1] === leaderScore;
+
+    if (this.scoreLimit && leaderScore >= this.scoreLimit) {
+      return { reason: 'scoreLimit', winningTeam: leaderTeam, teamScores: { ...this.teamScores } };
+    }
+
+    const timeRemaining = this.getTimeRemaining();
+    if (timeRemaining !== null && timeRemaining <= 0) {
+      return { reason: 'timeLimit', winningTeam: isTied ? null : leaderTeam, teamScores: { ...this.teamScores } };
+    }
+
+    return null;
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      teams: Object.keys(TEAMS).map(teamName => ({
+        name: teamName,
+        color: TEAMS[teamName].color,
+        score: this.teamScores[teamName]
+      }))
+    };
+  }
+}
+
+export const DEFAULT_CTF_PARAMS = {
+  captureLimit: 3,          // Captures needed to win the round (0 = no limit)
+  flagReturnTime: 30000,    // ms before a dropped flag returns to its base on its own
+  carrierSpeedFactor: 0.7   // Flag carriers keep this share of their speed
+};
+
+// Capture the Flag: steal an enemy flag and bring it to your own base while your flag is home
+export class CaptureTheFlagMode extends TeamDeathmatchMode {
+  constructor(engine, params = {}) {
+    super(engine, { ...DEFAULT_CTF_PARAMS, ...params });
+    this.carriers = new Set(); // tankIds carrying a flag
+  }
+
+  get id() { return 'ctf'; }
+  get name() { return 'Capture the Flag'; }
+  get scoreLimit() { return this.params.captureLimit; }
+
+  // Every round starts with all flags at their bases
+  startRound() {
+    super.startRound();
+    this.carriers = new Set();
+
+    const gameState = this.engine.gameState;
+    gameState.bases = [];
+    gameState.flags = [];
+    for (const teamName of Object.keys(TEAMS)) {
+      const { x, y } = CTF_PARAMS.BASE_POSITIONS[teamName];
+      gameState.bases.push(new Base(teamName, TEAMS[teamName].color, new Vector2(x, y), CTF_PARAMS.BASE_RADIUS));
+      gameState.flags.push(new Flag(teamName, TEAMS[teamName].color, new Vector2(x, y)));
+    }
+  }
+
+  // Team points come from captures, not kills
+  onKill() {}
+
+  isCarrying(tankId) {
+    return this.carriers.has(tankId);
+  }
+
+  checkObjectives() {
+    const { tanks, flags, bases, gameTime } = this.engine.gameState;
+    const pickupRadiusSquared = CTF_PARAMS.FLAG_PICKUP_RADIUS * CTF_PARAMS.FLAG_PICKUP_RADIUS;
+
+    for (const flag of flags) {
+      if (flag.carrierId) {
+        const carrier = tanks.get(flag.carrierId);
+
+        // Carrier destroyed or left: the flag falls where it was last seen
+        if (!carrier || !carrier.isAlive) {
+          this.dropFlag(flag, flag.position);
+          continue;
+        }
+
+        flag.followCarrier(carrier.position);
+
+        // Capture at the carrier's own base, but only while their own flag is safe at home
+        const carrierTeam = this.getTeamName(carrier.id);
+        const homeBase = bases.find(base => base.team === carrierTeam);
+        const ownFlag = flags.find(other => other.team === carrierTeam);
+        if (homeBase && homeBase.contains(carrier.position) && (!ownFlag || ownFlag.isHome)) {
+          this.captureFlag(flag, carrier);
+        }
+        continue;
+      }
+
+      if (flag.isDropped && gameTime - flag.droppedAt >= this.params.flagReturnTime) {
+        this.returnFlag(flag, null);
+        continue;
+      }
+
+      for (const tank of tanks.values()) {
+        if (!tank.isAlive || flag.position.distanceSquared(tank.position) > pickupRadiusSquared) continue;
+
+        const tankTeam = this.getTeamName(tank.id);
+        if (!tankTeam) continue;
+
+        if (tankTeam === flag.team) {
+          // Touching your own dropped flag sends it home
+          if (flag.isDropped) {
+            this.returnFlag(flag, tank.id);
+            break;
+          }
+        } else if (!this.isCarrying(tank.id)) {
+          this.pickUpFlag(flag, tank);
+          break;
+        }
+      }
+    }
+  }
+
+  pickUpFlag(flag, tank) {
+    flag.pickUp(tank.id);
+
+    // Carriers are slowed down on top of their speed attribute, which stays untouched
+    tank.speedFactor = this.params.carrierSpeedFactor;
+    this.carriers.add(tank.id);
+
+    this.emitFlagEvent('pickup', flag, tank.id);
+  }
+
+  // Lift the carrier slowdown once the flag is dropped or captured
+  releaseCarrier(tankId) {
+    if (!this.carriers.delete(tankId)) return;
+
+    const tank = this.engine.gameState.tanks.get(tankId);
+    if (tank) tank.speedFactor = 1;
+  }
+
+  dropFlag(flag, position) {
+    const carrierId = flag.carrierId;
+    this.releaseCarrier(carrierId);
+    flag.drop(position, this.engine.gameState.gameTime);
+    this.emitFlagEvent('drop', flag, carrierId);
+  }
+
+  returnFlag(flag, playerId) {
+    flag.returnHome();
+    this.emitFlagEvent('return', flag, playerId);
+  }
+
+  captureFlag(flag, carrier) {
+    this.releaseCarrier(carrier.id);
+    flag.returnHome();
+
+    const carrierTeam = this.getTeamName(carrier.id);
+    if (this.teamScores[carrierTeam] !== undefined) {
+      this.teamScores[carrierTeam]++;
+    }
+    this.engine.gameState.scoreboard.recordCapture(carrier.id);
+
+    this.emitFlagEvent('capture', flag, carrier.id);
+  }
+
+  emitFlagEvent(type, flag, playerId) {
+    const player = playerId ? this.engine.gameState.players.get(playerId) : null;
+    this.engine.events.emit('flagEvent', {
+      type,
+      flagTeam: flag.team,
+      playerId,
+      callname: player ? player.callname : null,
+      playerTeam: playerId ? this.getTeamName(playerId) : null
+    });
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      captureLimit: this.params.captureLimit,
+      flagReturnTime: this.params.flagReturnTime
+    };
+  }
+}
+
+export const DEFAULT_KOTH_PARAMS = {
+  zoneCount: 1,         // Number of control zones (1-3)
+  captureTime: 8000,    // ms for a single tank to capture a neutral zone
+  maxCaptureRate: 3,    // Extra tanks speed up capturing, up to this multiplier
+  holdLimit: 120        // Seconds of zone control needed to win the round (0 = no limit)
+};
+
+// King of the Hill: capture control zones by standing in them, holding a zone earns score over time
+export class KingOfTheHillMode extends TeamDeathmatchMode {
+  constructor(engine, params = {}) {
+    super(engine, { ...DEFAULT_KOTH_PARAMS, ...params });
+    this.holdTime = {};
+  }
+
+  get id() { return 'koth'; }
+  get name() { return 'King of the Hill'; }
+  get scoreLimit() { return this.params.holdLimit; }
+
+  startRound() {
+    super.startRound();
+    this.holdTime = Object.fromEntries(Object.keys(TEAMS).map(teamName => [teamName, 0]));
+
+    const zoneCount = Math.min(3, Math.max(1, Math.floor(this.params.zoneCount) || 1));
+    this.engine.gameState.zones = KOTH_PARAMS.ZONE_LAYOUTS[zoneCount].map(({ label, x, y }) =>
+      new ControlZone(`zone_${label}`, label, new Vector2(x, y), KOTH_PARAMS.ZONE_RADIUS));
+  }
+
+  // Team points come from holding zones, not kills
+  onKill() {}
+
+  update(deltaTime) {
+    for (const zone of this.engine.gameState.zones) {
+      this.updateZone(zone, this.getTeamCountsInZone(zone), deltaTime);
+
+      // Holding an uncontested zone earns score over time
+      if (zone.owner && !zone.contested && this.holdTime[zone.owner] !== undefined) {
+        this.holdTime[zone.owner] += deltaTime / 1000;
+        this.teamScores[zone.owner] = Math.floor(this.holdTime[zone.owner]);
+      }
+    }
+  }
+
+  // Count living tanks per team inside a zone using the engine's spatial index
+  getTeamCountsInZone(zone) {
+    const counts = new Map();
+    for (const entity of this.engine.spatialManager.getEntitiesInArea(zone.bounds)) {
+      if (entity.constructor.name !== 'Tank' || !entity.isAlive || !zone.contains(entity.position)) continue;
+
+      const teamName = this.getTeamName(entity.id);
+      if (teamName) {
+        counts.set(teamName, (counts.get(teamName) || 0) + 1);
+      }
+    }
+    return counts;
+  }
+
+  updateZone(zone, teamCounts, deltaTime) {
+    zone.contested = teamCounts.size > 1;
+    if (teamCounts.size !== 1) return; // Empty zones hold their state, contested zones freeze
+
+    const [[teamName, tankCount]] = teamCounts;
+    const step = (deltaTime / this.params.captureTime) * Math.min(tankCount, this.params.maxCaptureRate);
+
+    if (zone.capturingTeam === null || zone.capturingTeam === teamName) {
+      zone.capturingTeam = teamName;
+      zone.progress = Math.min(1, zone.progress + step);
+      if (zone.progress >= 1 && zone.owner !== teamName) {
+        zone.owner = teamName;
+        this.emitZoneEvent('captured', zone, teamName);
+      }
+    } else {
+      // Another team's progress has to be drained to neutral first
+      zone.progress = Math.max(0, zone.progress - step);
+      if (zone.progress <= 0) {
+        if (zone.owner) {
+          this.emitZoneEvent('lost', zone, zone.owner);
+          zone.owner = null;
+        }
+        zone.capturingTeam = teamName;
+      }
+    }
+  }
+
+  emitZoneEvent(type, zone, teamName) {
+    this.engine.events.emit('zoneEvent', { type, zoneId: zone.id, label: zone.label, team: teamName });
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      holdLimit: this.params.holdLimit,
+      zoneCount: this.engine.gameState.zones.length
+    };
+  }
+}
+
+// Last Tank Standing: no respawns, a shrinking safe zone drains tanks outside it, the last survivor wins
+// The zone schedule lives in gameSettings.safeZoneParams
+export class LastTankStandingMode extends FreeForAllMode {
+  constructor(engine, params = {}) {
+    super(engine, params);
+    this.roster = null; // Tank ids in the round, fixed when the round goes live
+  }
+
+  get id() { return 'lts'; }
+  get name() { return 'Last Tank Standing'; }
+  get allowsRespawn() { return false; }
+
+  startRound() {
+    this.roster = null;
+    const { center, initialRadius } = this.engine.gameSettings.safeZoneParams;
+    this.engine.gameState.safeZone = new SafeZone(new Vector2(center.x, center.y), initialRadius);
+  }
+
+  update(deltaTime) {
+    const tanks = this.engine.gameState.tanks;
+    if (!this.roster) {
+      this.roster = new Set(tanks.keys());
+    }
+
+    // Tanks that join a running round spectate until the next one
+    for (const tank of tanks.values()) {
+      if (tank.isAlive && !this.roster.has(tank.id)) {
+        tank.die();
+      }
+    }
+
+    this.updateSafeZone();
+    this.drainOutsideZone(deltaTime);
+  }
+
+  // Walk the schedule: each stage holds for `delay`, then shrinks to `radius` over `duration`
+  updateSafeZone() {
+    const zone = this.engine.gameState.safeZone;
+    if (!zone) return;
+
+    const { initialRadius, schedule } = this.engine.gameSettings.safeZoneParams;
+    const elapsed = this.engine.gameState.gameTime - this.engine.roundStartTime;
+    const wasShrinking = zone.shrinking;
+    let radius = initialRadius;
+    let stageStart = 0;
+
+    for (let i = 0; i < schedule.length; i++) {
+      const stage = schedule[i];
+      const shrinkStart = stageStart + stage.delay;
+      const shrinkEnd = shrinkStart + stage.duration;
+
+      if (elapsed < shrinkEnd) {
+        zone.shrinking = elapsed >= shrinkStart;
+        zone.radius = zone.shrinking ? radius + (stage.radius - radius) * (elapsed - shrinkStart) / stage.duration : radius;
+        zone.targetRadius = stage.radius;
+        zone.stage = zone.shrinking ? i + 1 : i;
+        zone.nextChangeIn = (zone.shrinking ? shrinkEnd : shrinkStart) - elapsed;
+
+        if (zone.shrinking && !wasShrinking) {
+          this.engine.events.emit('safeZoneEvent', { type: 'shrinking', stage: zone.stage, radius: stage.radius });
+        }
+        return;
+      }
+
+      radius = stage.radius;
+      stageStart = shrinkEnd;
+    }
+
+    // Schedule finished: the zone keeps its final size
+    zone.radius = radius;
+    zone.targetRadius = radius;
+    zone.stage = schedule.length;
+    zone.shrinking = false;
+    zone.nextChangeIn = null;
+  }
+
+  drainOutsideZone(deltaTime) {
+    const { gameState, gameSettings } = this.engine;
+    const zone = gameState.safeZone;
+    if (!zone) return;
+
+    const { healthDrain, gasolineDrain } = gameSettings.safeZoneParams;
+    const seconds = deltaTime / 1000;
+
+    for (const tank of gameState.tanks.values()) {
+      if (!tank.isAlive || zone.contains(tank.position)) continue;
+
+      tank.attributes.gasoline = Math.max(0, tank.attributes.gasoline - gasolineDrain * seconds);
+      tank.attributes.health = Math.max(0, tank.attributes.health - healthDrain * seconds);
+      if (tank.attributes.health <= 0) {
+        tank.die();
+        // The zone gets no kill credit, recent attackers still get assists
+        this.engine.recordKill(tank.id, null);
+      }
+    }
+  }
+
+  // Keep tanks near the safe zone so nobody can wait it out in a far corner
+  getArenaBounds() {
+    const arena = super.getArenaBounds();
+    const zone = this.engine.gameState.safeZone;
+    if (!zone || !this.engine.match.isLive()) return arena;
+
+    const reach = zone.radius + this.engine.gameSettings.safeZoneParams.clampMargin;
+    return {
+      minX: Math.max(arena.minX, zone.position.x - reach),
+      minY: Math.max(arena.minY, zone.position.y - reach),
+      maxX: Math.min(arena.maxX, zone.position.x + reach),
+      maxY: Math.min(arena.maxY, zone.position.y + reach)
+    };
+  }
+
+  // Living tanks that are part of the round (everyone alive before it goes live)
+  getSurvivors() {
+    return Array.from(this.engine.gameState.tanks.values())
+      .filter(tank => tank.isAlive && (!this.roster || this.roster.has(tank.id)));
+  }
+
+  onKill({ victimId, killerId }) {
+    const players = this.engine.gameState.players;
+    const victim = players.get(victimId);
+    const killer = killerId ? players.get(killerId) : null;
+    this.engine.events.emit('eliminationEvent', {
+      playerId: victimId,
+      callname: victim ? victim.callname : null,
+      killerId,
+      killerName: killer ? killer.callname : null,
+      remaining: this.getSurvivors().length
+    });
+  }
+
+  getRoundResult() {
+    if (!this.roster) return null;
+
+    const survivors = this.getSurvivors();
+    // A solo round (practice) only ends when that tank is gone
+    const decided = this.roster.size > 1 ? survivors.length <= 1 : survivors.length === 0;
+    if (decided) {
+      const winner = survivors[0];
+      return this.createResult('lastStanding', winner);
+    }
+
+    // Out of time: the healthiest survivor wins
+    const timeRemaining = this.getTimeRemaining();
+    if (timeRemaining !== null && timeRemaining <= 0) {
+      const [leader, runnerUp] = survivors.sort((a, b) => b.attributes.health - a.attributes.health);
+      const isTied = runnerUp && runnerUp.attributes.health === leader.attributes.health;
+      return this.createResult('timeLimit', isTied ? null : leader);
+    }
+
+    return null;
+  }
+
+  createResult(reason, winnerTank) {
+    const winner = winnerTank ? this.engine.gameState.players.get(winnerTank.id) : null;
+    return {
+      reason,
+      winnerId: winnerTank ? winnerTank.id : null,
+      winnerName: winner ? winner.callname : null
+    };
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      survivors: this.getSurvivors().length,
+      rosterSize: this.roster ? this.roster.size : this.engine.gameState.tanks.size
+    };
+  }
+}
+
+export const GAME_MODES = {
+  ffa: FreeForAllMode,
+  tdm: TeamDeathmatchMode,
+  ctf: CaptureTheFlagMode,
+  koth: KingOfTheHillMode,
+  lts: LastTankStandingMode
+};
+
+export function createGameMode(modeId, engine, params = {}) {
+  const ModeClass = GAME_MODES[modeId];
+  if (!ModeClass) return null;
+  return new ModeClass(engine, params);
+}
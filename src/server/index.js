@@ -4,13 +4,22 @@ import { Server } from 'socket.io';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { GameEngine } from './gameEngine.js';
+import { RoomManager, DEFAULT_ROOM_CODE } from './roomManager.js';
+import { ProfileStore } from './profileStore.js';
+import { SessionManager, SESSION_GRACE_PERIOD } from './sessionManager.js';
+import { ClientGuard, EVENT_RULES } from './inputValidation.js';
+import { AdminAuth } from './adminAuth.js';
+import { AuditLog, RECENT_AUDIT_ENTRIES } from './auditLog.js';
+import { PresetStore } from './presetStore.js';
+import { ReplayStore, ReplayRecorder } from './replays.js';
+import { StateEncoder } from './stateEncoder.js';
+import { ClientView } from './interest.js';
+import { PROTOCOL_VERSION } from '../shared/protocol.js';
 import { DAMAGE_PARAMS } from '../shared/constants.js';
 import { getAllTerrainMaps, getTerrainMap } from '../shared/terrainMaps.js';
 import { memoryManager } from '../shared/objectPools.js';
 import { changeTracker, lazyEvaluator } from '../shared/eventSystem.js';
 import { batchVectorOps } from '../shared/vectorOptimizations.js';
-import { gameLoop, updateScheduler } from '../shared/gameLoop.js';
 import { priorityUpdateManager } from '../shared/priorityUpdates.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -27,13 +36,196 @@ const io = new Server(server, {
 
 // Middleware
 app.use(cors());
+app.use(express.json());
 app.use(express.static(path.join(__dirname, '../../public')));
 app.use('/assets', express.static(path.join(__dirname, '../../assets')));
 app.use('/src', express.static(path.join(__dirname, '../')));
 
-// Game engine instance
-const gameEngine = new GameEngine();
-gameEngine.start();
+// Game rooms - each room runs its own GameEngine
+const roomManager = new RoomManager();
+
+// Player profiles with lifetime stats (PROFILE_STORE_PATH overrides the default file)
+const profileStore = new ProfileStore(process.env.PROFILE_STORE_PATH || path.join(__dirname, '../../data/profiles.json'));
+
+// Player sessions keep a player's tank through reconnects (SESSION_GRACE_PERIOD env overrides the ms)
+const sessionManager = new SessionManager(Number(process.env.SESSION_GRACE_PERIOD) || SESSION_GRACE_PERIOD);
+
+// Control events need the admin PIN (ADMIN_PIN env, or a generated one printed at startup)
+const adminAuth = new AdminAuth(process.env.ADMIN_PIN || null);
+
+// Who changed what and when (AUDIT_LOG_PATH overrides the default file)
+const auditLog = new AuditLog(process.env.AUDIT_LOG_PATH || path.join(__dirname, '../../data/audit.log'));
+
+// Named balance presets, one JSON file each (PRESET_DIR overrides the default directory)
+const presetStore = new PresetStore(process.env.PRESET_DIR || path.join(__dirname, '../../data/presets'));
+
+// Recorded rounds (REPLAY_DIR overrides the default directory), one recorder per room
+const replayStore = new ReplayStore(process.env.REPLAY_DIR || path.join(__dirname, '../../data/replays'));
+const replayRecorders = new Map(); // room code -> ReplayRecorder
+
+// Binary state broadcasts for sockets that completed the protocol handshake, one encoder per room
+const stateEncoders = new Map(); // room code -> StateEncoder
+
+// Grace period over without a reconnect: the player leaves for good
+sessionManager.events.on('sessionExpired', (session) => {
+  const room = roomManager.getRoom(session.roomCode);
+  if (!room) return;
+
+  room.engine.removePlayer(session.playerId);
+  io.to(room.code).emit('playerLeft', { playerId: session.playerId });
+});
+
+// Forward engine events to the sockets in each room
+roomManager.events.on('roomCreated', (room) => {
+  replayRecorders.set(room.code, new ReplayRecorder(room, replayStore));
+  stateEncoders.set(room.code, new StateEncoder(room.engine));
+
+  // Announce round results (score or time limit reached)
+  room.engine.events.on('roundOver', (result) => {
+    profileStore.recordRound(result, room.engine.gameState.scoreboard.profileIds);
+    io.to(room.code).emit('roundOver', result);
+  });
+
+  // Rounds cut short by an admin (restart, mode change, reset) still go into lifetime stats
+  room.engine.events.on('roundAbandoned', (result) => {
+    profileStore.recordRound(result, room.engine.gameState.scoreboard.profileIds);
+  });
+
+  // Announce match phase changes (waiting, countdown, live, round over, intermission)
+  room.engine.events.on('matchPhaseChanged', (matchState) => {
+    io.to(room.code).emit('matchPhase', matchState);
+  });
+
+  // Announce flag pickups, drops, returns and captures (Capture the Flag)
+  room.engine.events.on('flagEvent', (flagEvent) => {
+    io.to(room.code).emit('flagEvent', flagEvent);
+  });
+
+  // Announce control zone captures and losses (King of the Hill)
+  room.engine.events.on('zoneEvent', (zoneEvent) => {
+    io.to(room.code).emit('zoneEvent', zoneEvent);
+  });
+
+  // Announce eliminations and safe zone shrinks (Last Tank Standing)
+  room.engine.events.on('eliminationEvent', (eliminationEvent) => {
+    io.to(room.code).emit('eliminationEvent', eliminationEvent);
+  });
+
+  room.engine.events.on('safeZoneEvent', (safeZoneEvent) => {
+    io.to(room.code).emit('safeZoneEvent', safeZoneEvent);
+  });
+});
+
+// Keep whatever a closed room was recording
+roomManager.events.on('roomRemoved', (room) => {
+  const recorder = replayRecorders.get(room.code);
+  if (recorder) recorder.close();
+  replayRecorders.delete(room.code);
+  stateEncoders.delete(room.code);
+});
+
+// The default room always exists so plain /battlefield and /controller URLs keep working
+roomManager.getDefaultRoom();
+
+// Controllers answering a latency ping later than this are left at their last measurement
+const LATENCY_PING_TIMEOUT = 2000;
+
+function getSocketRoom(socket) {
+  return roomManager.getRoom(socket.data.roomCode) || roomManager.getDefaultRoom();
+}
+
+// Send a socket its view of the room's latest snapshot in whichever format it speaks: a delta against the
+// newest snapshot it acked, or the whole view when it has none the room still keeps
+function sendSnapshot(socket, room) {
+  const { update, baseline } = socket.data.view.getUpdate(room.engine, socket.data.playerId);
+  if (socket.data.binaryProtocol) {
+    socket.emit('state', stateEncoders.get(room.code).encode(update, baseline));
+  } else {
+    socket.emit('gameState', update);
+  }
+}
+
+// Send one socket the room's latest snapshot whole; its acks start over from there. Only a room without
+// one yet is captured here: extra captures would push baselines other sockets acked out of the history
+function sendGameState(socket, room) {
+  if (!room.engine.snapshots.latest) room.engine.captureSnapshot();
+  socket.data.view.reset();
+  sendSnapshot(socket, room);
+}
+
+// Snapshot the room and bring every socket in it up to date (every broadcast tick, and right after joins,
+// mode and map changes)
+function broadcastGameState(room) {
+  room.engine.captureSnapshot();
+  for (const socketId of room.sockets) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) sendSnapshot(socket, room);
+  }
+}
+
+// Move a socket into a room, leaving its previous room (and tank) behind
+function enterRoom(socket, room) {
+  const previousRoom = roomManager.getRoom(socket.data.roomCode);
+  if (previousRoom === room) return;
+
+  if (previousRoom) {
+    // A tank left behind in another room is removed right away, without a grace period
+    const playerId = socket.data.playerId;
+    if (playerId) {
+      const session = sessionManager.getByPlayerId(playerId);
+      if (session) sessionManager.end(session.token);
+      previousRoom.engine.removePlayer(playerId);
+      socket.to(previousRoom.code).emit('playerLeft', { playerId });
+      socket.data.playerId = null;
+    }
+    previousRoom.removeSocket(socket.id);
+    socket.leave(previousRoom.code);
+  }
+
+  socket.join(room.code);
+  socket.data.roomCode = room.code;
+  socket.data.view.reset(); // snapshots of the old room are no use as baselines here
+  room.addSocket(socket.id);
+  socket.emit('roomJoined', room.getSummary());
+}
+
+// Reject a malformed or rate-limited event; clients that keep doing it are disconnected
+function rejectInput(socket, guard, eventName, { error, rateLimited }) {
+  if (guard.recordViolation()) {
+    console.warn(`🚫 Disconnecting ${socket.id}: too many rejected events (last: ${eventName} - ${error})`);
+    socket.emit('inputRejected', { event: eventName, error: 'Too many invalid or excessive messages', disconnected: true });
+    socket.disconnect(true);
+    return;
+  }
+
+  // Dropped quietly: echoing or logging every message of a flood would amplify it
+  if (rateLimited) return;
+
+  console.warn(`⚠️ Rejected ${eventName} from ${socket.id}: ${error}`);
+  socket.emit('inputRejected', { event: eventName, error });
+}
+
+function getSettingsState(room) {
+  return { settings: room.engine.getBalanceSettings(), undoAvailable: room.engine.settingsHistory.length > 0 };
+}
+
+// What controllers need of the balance settings: attribute limits for their bars, and the gasoline
+// settings their predicted tank moves with (src/shared/prediction.js)
+function getControllerSettings(room) {
+  const { attributeLimits, gameParams } = room.engine.gameSettings;
+  const { gasolinePerUnit, gasolineSpeedPenalty } = gameParams;
+  return { attributeLimits, gameParams: { gasolinePerUnit, gasolineSpeedPenalty } };
+}
+
+// Announce a balance change (or undo) to the room; controllers rescale their attribute bars
+function broadcastSettings(room, details) {
+  io.to(room.code).emit('settingsApplied', { ...getSettingsState(room), ...details });
+  io.to(room.code).emit('balanceSettings', getControllerSettings(room));
+}
+
+function getActor(socket) {
+  return { socketId: socket.id, address: socket.handshake.address, playerId: socket.data.playerId || null };
+}
 
 // Connection counters for reduced logging
 let connectionLogCounter = 0;
@@ -48,9 +240,88 @@ io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id} (connection #${connectionLogCounter})`);
   }
 
+  // What the socket shows decides which part of each snapshot it is sent
+  socket.data.view = new ClientView();
+
+  // Battlefields pick their room with ?room=CODE, everyone else starts in the default room
+  const requestedCode = socket.handshake.query.room;
+  const requestedRoom = requestedCode ? roomManager.getRoom(requestedCode) : null;
+  if (requestedCode && !requestedRoom) {
+    socket.emit('roomError', { error: `Room ${requestedCode} not found` });
+  }
+  enterRoom(socket, requestedRoom || roomManager.getDefaultRoom());
+
+  // Handlers only run for payloads that pass the event's rate limit and schema
+  const guard = new ClientGuard();
+  const on = (eventName, handler) => {
+    socket.on(eventName, (data) => {
+      const result = guard.check(eventName, data);
+      if (result.error) {
+        rejectInput(socket, guard, eventName, result);
+        return;
+      }
+
+      // Control events: only admins may send them, and every attempt goes in the audit log
+      if (EVENT_RULES[eventName].admin) {
+        const allowed = !!socket.data.isAdmin;
+        auditLog.record({
+          action: eventName,
+          room: socket.data.roomCode,
+          actor: getActor(socket),
+          outcome: allowed ? 'allowed' : 'denied',
+          details: result.value
+        });
+        if (!allowed) {
+          console.warn(`⚠️ Denied ${eventName} from non-admin ${socket.id}`);
+          socket.emit('adminRequired', { event: eventName, error: 'Admin PIN required' });
+          return;
+        }
+      }
+
+      handler(result.value);
+    });
+  };
+
+  // Protocol handshake: pages that speak our binary protocol version get binary state broadcasts
+  on('hello', ({ protocolVersion }) => {
+    const accepted = protocolVersion === PROTOCOL_VERSION;
+    socket.emit('protocol', { version: PROTOCOL_VERSION, accepted });
+    if (!accepted) {
+      // Outdated (cached) pages keep working on JSON
+      console.warn(`⚠️ ${socket.id} speaks protocol ${protocolVersion}, server speaks ${PROTOCOL_VERSION}: sending JSON`);
+      return;
+    }
+    if (socket.data.binaryProtocol) return;
+
+    // The page decodes binary updates into a fresh snapshot buffer, so it starts from a full state
+    socket.data.binaryProtocol = true;
+    sendGameState(socket, getSocketRoom(socket));
+  });
+
+  // Snapshot acks: the newest snapshot the page holds becomes the baseline for its next delta
+  on('ackSnapshot', ({ snapshotId }) => {
+    socket.data.view.ack(snapshotId);
+  });
+
+  // Pages say what they show (see interest.js); it applies from the next broadcast
+  on('setView', (view) => {
+    socket.data.view.set(view);
+  });
+
   // Handle player join
-  socket.on('join', (data) => {
-    const { callname, tankColor, tankCamo, teamName } = data;
+  on('join', (data) => {
+    const { callname, tankColor, tankCamo, teamName, roomCode, profileToken } = data;
+
+    // Controllers may join a specific room by code
+    if (roomCode) {
+      const targetRoom = roomManager.getRoom(roomCode);
+      if (!targetRoom) {
+        socket.emit('joinError', { error: `Room ${roomCode} not found` });
+        return;
+      }
+      enterRoom(socket, targetRoom);
+    }
+    const room = getSocketRoom(socket);
     
     // Convert team name to team object
     const teamMap = {
@@ -59,72 +330,159 @@ io.on('connection', (socket) => {
       'PLA': { name: 'PLA', color: '#DE2910' }
     };
     const team = teamMap[teamName] || teamMap['NATO'];
+
+    // Unknown or missing tokens get a fresh profile; the controller keeps the token for next time
+    const profile = profileStore.resolve(profileToken, { callname, tankColor, tankCamo, team: team.name });
+    socket.emit('profile', { token: profile.token, profile: profileStore.toPublic(profile) });
     
-    // Check if player already exists (reconnection)
-    let playerId = socket.id;
-    const existingPlayer = gameEngine.gameState.players.get(playerId);
-    
-    
+    // A socket that already controls a tank in this room (join sent twice) keeps it
+    let playerId = socket.data.playerId;
+    const existingPlayer = playerId ? room.engine.gameState.players.get(playerId) : null;
     
     if (!existingPlayer) {
-      // New player
+      // Forget a session whose player is gone (e.g. the game was reset underneath it)
+      const staleSession = sessionManager.getByPlayerId(playerId);
+      if (staleSession) sessionManager.end(staleSession.token);
+
+      // New player: the session token lets this controller take the tank back after a reconnect
+      const session = sessionManager.create(socket.id, room.code);
+      playerId = session.playerId;
+      socket.data.playerId = playerId;
       
-      const { player, tank } = gameEngine.addPlayer(playerId, callname, tankColor, tankCamo, team);
+      const { player, tank } = room.engine.addPlayer(playerId, callname, tankColor, tankCamo, team);
+      room.engine.setPlayerProfile(playerId, profile.id);
       
-      socket.emit('joined', { playerId, player, tank });
-      console.log(`Player ${callname} joined the game`);
+      socket.emit('joined', { playerId, player, tank, sessionToken: session.token });
+      console.log(`Player ${callname} joined room ${room.code}`);
       
       // Force immediate broadcast of updated game state to all clients
-      const gameState = gameEngine.getGameState();
-      
-      io.emit('gameState', gameState);
+      broadcastGameState(room);
     } else {
       // Reconnection
+      room.engine.setPlayerProfile(playerId, profile.id);
       
-      socket.emit('reconnected', { playerId, player: existingPlayer });
+      socket.emit('reconnected', { playerId, player: existingPlayer, sessionToken: sessionManager.getByPlayerId(playerId).token });
       console.log(`Player ${existingPlayer.callname} reconnected`);
     }
 
-    // Send current game state to the joining player
-    const gameState = gameEngine.getGameState();
-    socket.emit('gameState', gameState);
+    // Send current game state and match phase to the joining player
+    sendGameState(socket, room);
+    socket.emit('matchPhase', room.engine.match.getState());
+    socket.emit('balanceSettings', getControllerSettings(room));
+  });
+
+  // Admin login from the battlefield control panel
+  on('adminLogin', ({ pin }) => {
+    const address = socket.handshake.address;
+    const { success, error } = adminAuth.login(pin, address);
+    socket.data.isAdmin = success;
+    auditLog.record({ action: 'adminLogin', room: socket.data.roomCode, actor: getActor(socket), outcome: success ? 'allowed' : 'denied' });
+
+    if (!success) console.warn(`⚠️ Failed admin login from ${address} (${socket.id})`);
+    socket.emit('adminStatus', { isAdmin: success, error });
+  });
+
+  on('adminLogout', () => {
+    socket.data.isAdmin = false;
+    socket.emit('adminStatus', { isAdmin: false });
+  });
+
+  // Resume a session after a reconnect (page reload, dropped Wi-Fi) and take back the same tank
+  on('resumeSession', (data) => {
+    const session = sessionManager.get(data && data.sessionToken);
+    const room = session ? roomManager.getRoom(session.roomCode) : null;
+    const player = room ? room.engine.gameState.players.get(session.playerId) : null;
+    if (!player) {
+      if (session) sessionManager.end(session.token);
+      socket.emit('sessionExpired', { error: 'Session expired - please join again' });
+      return;
+    }
+
+    // The old socket may not have noticed the drop yet: take the tank from it and close it
+    const previousSocket = session.socketId !== socket.id ? io.sockets.sockets.get(session.socketId) : null;
+    if (previousSocket) {
+      previousSocket.data.playerId = null;
+      previousSocket.disconnect(true);
+    }
+
+    sessionManager.resume(session.token, socket.id);
+    enterRoom(socket, room);
+    socket.data.playerId = session.playerId;
+    room.engine.setPlayerConnected(session.playerId, true);
+
+    socket.emit('reconnected', { playerId: session.playerId, player, sessionToken: session.token });
+    sendGameState(socket, room);
+    socket.emit('matchPhase', room.engine.match.getState());
+    console.log(`Player ${player.callname} resumed their session in room ${room.code}`);
   });
 
   // Handle player input
-  socket.on('playerInput', (data) => {
-    const { movement, rotation, shoot } = data;
+  on('playerInput', (data) => {
+    if (!socket.data.playerId) return;
+    const room = getSocketRoom(socket);
+    const { movement, rotation, shoot, seq } = data;
 
-    gameEngine.updatePlayerInput(socket.id, { movement, rotation, shoot });
+    room.engine.updatePlayerInput(socket.data.playerId, { movement, rotation, shoot, seq });
   });
 
   // Handle terrain map change
-  socket.on('changeTerrainMap', (data) => {
+  on('changeTerrainMap', (data) => {
+    const room = getSocketRoom(socket);
     const { mapName } = data;
-    const success = gameEngine.changeTerrainMap(mapName);
+    const success = room.engine.changeTerrainMap(mapName);
     if (success) {
       // Broadcast updated game state to all clients
-      const gameState = gameEngine.getGameState();
-      io.emit('gameState', gameState);
-      io.emit('terrainMapChanged', { mapName });
+      broadcastGameState(room);
+      io.to(room.code).emit('terrainMapChanged', { mapName });
+    }
+  });
+
+  // Handle game mode change (Free For All, Team Deathmatch, Capture the Flag, King of the Hill, Last Tank Standing)
+  on('setGameMode', (data) => {
+    const room = getSocketRoom(socket);
+    const { mode, friendlyFire, scoreLimit, captureLimit, holdLimit, zoneCount, timeLimit } = data;
+    const params = {};
+    if (friendlyFire !== undefined) params.friendlyFire = !!friendlyFire;
+    if (scoreLimit !== undefined) params.scoreLimit = Math.max(0, Math.floor(Number(scoreLimit) || 0));
+    if (captureLimit !== undefined) params.captureLimit = Math.max(0, Math.floor(Number(captureLimit) || 0));
+    if (holdLimit !== undefined) params.holdLimit = Math.max(0, Math.floor(Number(holdLimit) || 0));
+    if (zoneCount !== undefined) params.zoneCount = Math.min(3, Math.max(1, Math.floor(Number(zoneCount) || 1)));
+    if (timeLimit !== undefined) params.timeLimit = Math.max(0, Math.floor(Number(timeLimit) || 0));
+
+    const success = room.engine.setGameMode(mode, params);
+    if (success) {
+      io.to(room.code).emit('gameModeChanged', room.engine.gameMode.getState());
+      broadcastGameState(room);
+    } else {
+      socket.emit('gameModeChanged', { error: `Unknown game mode: ${mode}` });
     }
   });
 
+  // Handle new round request (keeps players, clears scores, counts down again)
+  on('restartRound', () => {
+    const room = getSocketRoom(socket);
+    room.engine.match.restart();
+    io.to(room.code).emit('roundStarted', room.engine.gameMode.getState());
+    broadcastGameState(room);
+  });
+
   // Handle AI toggle
-  socket.on('toggleAI', (data) => {
+  on('toggleAI', (data) => {
+    const room = getSocketRoom(socket);
 
     
     const { enabled } = data;
     if (enabled) {
-      const aiId = gameEngine.addAITank();
+      const aiId = room.engine.addAITank();
       socket.emit('aiAdded', { aiId });
     } else {
       // Remove the most recent AI tank
-      const aiTanks = Array.from(gameEngine.gameState.tanks.keys())
+      const aiTanks = Array.from(room.engine.gameState.tanks.keys())
         .filter(id => id.startsWith('ai_'));
       
       if (aiTanks.length > 0) {
         const aiId = aiTanks[aiTanks.length - 1];
-        gameEngine.removeAITank(aiId);
+        room.engine.removeAITank(aiId);
         socket.emit('aiRemoved', { aiId });
       }
     }
@@ -133,22 +491,23 @@ io.on('connection', (socket) => {
   });
 
   // Handle AI settings application
-  socket.on('applyAISettings', (data) => {
+  on('applyAISettings', (data) => {
+    const room = getSocketRoom(socket);
 
     const { aiCount, aiLevel } = data;
     
     // Remove all existing AI tanks first
-    const existingAiTanks = Array.from(gameEngine.gameState.tanks.keys())
+    const existingAiTanks = Array.from(room.engine.gameState.tanks.keys())
       .filter(id => id.startsWith('ai_'));
     
     existingAiTanks.forEach(aiId => {
-      gameEngine.removeAITank(aiId);
+      room.engine.removeAITank(aiId);
       socket.emit('aiRemoved', { aiId });
     });
     
     // Add new AI tanks based on count
     for (let i = 0; i < aiCount; i++) {
-      const aiId = gameEngine.addAITank(aiLevel);
+      const aiId = room.engine.addAITank(aiLevel);
       socket.emit('aiAdded', { aiId });
 
     }
@@ -156,78 +515,110 @@ io.on('connection', (socket) => {
 
   });
 
-  // Handle balance update
-  socket.on('updateSettings', (data) => {
-    // This would update game parameters
-    // For now, just acknowledge
+  // Handle balance update: validated, applied to the running match and announced to everyone
+  on('updateSettings', (changes) => {
+    const room = getSocketRoom(socket);
+    try {
+      room.engine.applyBalanceSettings(changes);
+    } catch (error) {
+      socket.emit('settingsUpdated', { success: false, error: error.message });
+      return;
+    }
+
+    broadcastSettings(room, { changes });
     socket.emit('settingsUpdated', { success: true });
   });
 
+  // Handle balance undo (restores the values replaced by the last change)
+  on('undoSettings', () => {
+    const room = getSocketRoom(socket);
+    if (!room.engine.undoBalanceSettings()) {
+      socket.emit('settingsUpdated', { success: false, error: 'Nothing to undo' });
+      return;
+    }
+
+    broadcastSettings(room, { undone: true });
+    socket.emit('settingsUpdated', { success: true });
+  });
+
+  on('requestSettings', () => {
+    socket.emit('settingsState', getSettingsState(getSocketRoom(socket)));
+  });
+
 
 
   // Handle game reset
-  socket.on('resetGame', () => {
+  on('resetGame', () => {
+    const room = getSocketRoom(socket);
     // Reset the game engine
-    gameEngine.resetGame();
+    room.engine.resetGame();
     
     // Notify all clients that the game has been reset
-    io.emit('gameReset', { message: 'Game has been reset' });
+    io.to(room.code).emit('gameReset', { message: 'Game has been reset' });
   });
 
   // Handle game reset with new AI level
-  socket.on('resetGameWithAILevel', (data) => {
+  on('resetGameWithAILevel', (data) => {
+    const room = getSocketRoom(socket);
     const { aiLevel } = data;
     
     // Reset the game engine
-    gameEngine.resetGame();
+    room.engine.resetGame();
     
     // Notify all clients that the game has been reset
-    io.emit('gameReset', { message: 'Game has been reset with new AI level', aiLevel });
+    io.to(room.code).emit('gameReset', { message: 'Game has been reset with new AI level', aiLevel });
   });
 
 
 
   // Handle damage feedback
-  socket.on('damageTaken', () => {
+  on('damageTaken', () => {
     // Player took damage, trigger feedback
     socket.emit('damageFeedback');
   });
 
   // Handle disconnect
   socket.on('disconnect', () => {
+    const room = getSocketRoom(socket);
     // Reduced disconnection logging to prevent spam
     disconnectionLogCounter++;
     
     if (disconnectionLogCounter % 5 === 0) { // Log every 5th disconnection
       console.log(`Client disconnected: ${socket.id} (disconnection #${disconnectionLogCounter})`);
     }
-    gameEngine.removePlayer(socket.id);
+    room.removeSocket(socket.id);
     
-    // Notify other clients
-    socket.broadcast.emit('playerLeft', { playerId: socket.id });
+    // Keep the tank for the grace period so the controller can resume its session
+    const playerId = socket.data.playerId;
+    if (playerId && sessionManager.detach(playerId, socket.id)) {
+      room.engine.setPlayerConnected(playerId, false);
+      socket.to(room.code).emit('playerDisconnected', { playerId, gracePeriod: sessionManager.gracePeriod });
+    }
   });
 
   // Handle battlefield page requests
-  socket.on('requestGameState', () => {
-    socket.emit('gameState', gameEngine.getGameState());
+  on('requestGameState', () => {
+    sendGameState(socket, getSocketRoom(socket));
   });
 
   // Handle controller page requests
-  socket.on('requestPlayerState', () => {
-    const playerState = gameEngine.getPlayerGameState(socket.id);
+  on('requestPlayerState', () => {
+    const room = getSocketRoom(socket);
+    const playerState = room.engine.getPlayerGameState(socket.data.playerId);
     if (playerState) {
       socket.emit('playerState', playerState);
     }
   });
 
   // Handle set player attributes
-  socket.on('setPlayerAttributes', (attributes) => {
+  on('setPlayerAttributes', (attributes) => {
+    const room = getSocketRoom(socket);
 
     // Reduced debug logging to prevent spam
     console.log(`Setting attributes for player ${socket.id}`);
     
     try {
-      gameEngine.setPlayerAttributes(attributes);
+      room.engine.setPlayerAttributes(attributes);
           socket.emit('attributesSet', { success: true });
     } catch (error) {
       console.error('Error in setPlayerAttributes:', error);
@@ -238,14 +629,14 @@ io.on('connection', (socket) => {
   });
 
   // Handle set player attribute limits (min/max balance settings)
-  socket.on('setPlayerAttributeLimit', (attributeUpdate) => {
+  on('setPlayerAttributeLimit', (attributeUpdate) => {
+    const room = getSocketRoom(socket);
     console.log(`Setting attribute limit for player ${socket.id}`);
     
     try {
-      gameEngine.setPlayerAttributeLimit(attributeUpdate.attributeName, attributeUpdate.type, attributeUpdate.value);
+      room.engine.setPlayerAttributeLimit(attributeUpdate.attributeName, attributeUpdate.type, attributeUpdate.value);
       // Send updated balance settings to all clients
-      const balanceSettings = gameEngine.gameSettings.attributeLimits;
-      io.emit('balanceSettings', balanceSettings);
+      broadcastSettings(room, { changes: { attributeLimits: { [attributeUpdate.attributeName]: room.engine.gameSettings.attributeLimits[attributeUpdate.attributeName] } } });
       
       socket.emit('attributeLimitSet', { success: true });
     } catch (error) {
@@ -257,24 +648,50 @@ io.on('connection', (socket) => {
   });
 });
 
-// Broadcast game state to all clients every 100ms (10 FPS for network updates) with delta compression
+// Broadcast a snapshot of each room every 100ms (10 FPS for network updates), as per-client deltas
 setInterval(() => {
-  const deltaState = gameEngine.getDeltaGameState();
-  if (deltaState) {
-    io.emit('gameState', deltaState);
+  for (const room of roomManager.rooms.values()) {
+    if (room.sockets.size > 0) broadcastGameState(room);
+    const recorder = replayRecorders.get(room.code);
+    if (recorder) recorder.update();
   }
 }, 100);
 
 // Broadcast player states to controllers every 100ms
 setInterval(() => {
-  for (const [playerId, player] of gameEngine.gameState.players) {
-    const playerState = gameEngine.getPlayerGameState(playerId);
-    if (playerState) {
-      io.to(playerId).emit('playerState', playerState);
+  for (const room of roomManager.rooms.values()) {
+    for (const playerId of room.engine.gameState.players.keys()) {
+      // Only connected controllers (AI tanks and dropped sessions have no socket)
+      const session = sessionManager.getByPlayerId(playerId);
+      if (!session || !session.socketId) continue;
+
+      const playerState = room.engine.getPlayerGameState(playerId);
+      if (playerState) {
+        io.to(session.socketId).emit('playerState', playerState);
+      }
     }
   }
 }, 100);
 
+// Measure each controller's round trip every 2 seconds; shots are rewound by it (see lagCompensation.js)
+setInterval(() => {
+  for (const socket of io.sockets.sockets.values()) {
+    const playerId = socket.data.playerId;
+    if (!playerId) continue;
+
+    const room = getSocketRoom(socket);
+    const sentAt = Date.now();
+    socket.timeout(LATENCY_PING_TIMEOUT).emit('latencyPing', (error) => {
+      if (!error) room.engine.setPlayerLatency(playerId, Date.now() - sentAt);
+    });
+  }
+}, 2000);
+
+// Close rooms nobody has used for a while
+setInterval(() => {
+  roomManager.removeIdleRooms();
+}, 60000);
+
 // Routes
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../../public/index.html'));
@@ -317,38 +734,218 @@ app.get('/api/terrain-maps/:mapId', (req, res) => {
   }
 });
 
+// Game rooms API endpoints
+app.get('/api/rooms', (req, res) => {
+  res.json(roomManager.listRooms());
+});
+
+// Every room runs its own game loop: only admins open new ones, and RoomManager caps them at MAX_ROOMS
+app.post('/api/rooms', requireAdmin, (req, res) => {
+  const { name, mapName, gameMode } = req.body || {};
+  try {
+    const room = roomManager.createRoom({ name, mapName, gameMode });
+    auditRequest(req, 'createRoom', { code: room.code });
+    res.status(201).json(room.getSummary());
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/rooms/:code', (req, res) => {
+  const room = roomManager.getRoom(req.params.code);
+  if (room) {
+    res.json(room.getSummary());
+  } else {
+    res.status(404).json({ error: 'Room not found' });
+  }
+});
+
+// Player profile API endpoint (public view, never includes the token)
+app.get('/api/players/:id', (req, res) => {
+  const profile = profileStore.getProfile(req.params.id);
+  if (profile) {
+    res.json(profileStore.toPublic(profile));
+  } else {
+    res.status(404).json({ error: 'Player not found' });
+  }
+});
+
+// Admin-only API endpoints: send the admin PIN in the X-Admin-Pin header
+function requireAdmin(req, res, next) {
+  const { success, error } = adminAuth.login(req.get('x-admin-pin'), req.ip);
+  if (!success) {
+    res.status(403).json({ error });
+    return;
+  }
+  next();
+}
+
+function auditRequest(req, action, details) {
+  auditLog.record({ action, room: null, actor: { socketId: null, address: req.ip, playerId: null }, outcome: 'allowed', details });
+}
+
+// Audit log API endpoint
+app.get('/api/admin/audit', requireAdmin, (req, res) => {
+  const limit = Math.min(Math.max(1, Math.floor(Number(req.query.limit)) || 50), RECENT_AUDIT_ENTRIES);
+  res.json(auditLog.getRecent(limit));
+});
+
+// Balance preset API endpoints (reading is public, changes need the admin PIN)
+app.get('/api/presets', (req, res) => {
+  res.json(presetStore.list());
+});
+
+app.get('/api/presets/:id', (req, res) => {
+  const preset = presetStore.get(req.params.id);
+  if (preset) {
+    res.json(preset);
+  } else {
+    res.status(404).json({ error: 'Preset not found' });
+  }
+});
+
+// Create from { name, description, settings }, or from a room's current balance with { name, fromRoom }
+app.post('/api/presets', requireAdmin, (req, res) => {
+  const { name, description, fromRoom } = req.body || {};
+  let { settings } = req.body || {};
+  if (fromRoom) {
+    const room = roomManager.getRoom(fromRoom);
+    if (!room) {
+      res.status(404).json({ error: `Room ${fromRoom} not found` });
+      return;
+    }
+    settings = room.engine.getBalanceSettings();
+  }
+
+  try {
+    const preset = presetStore.create({ name, description, settings });
+    auditRequest(req, 'createPreset', { id: preset.id, fromRoom: fromRoom || null });
+    res.status(201).json(preset);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/presets/:id', requireAdmin, (req, res) => {
+  const { name, description, settings } = req.body || {};
+  try {
+    const preset = presetStore.update(req.params.id, { name, description, settings });
+    if (!preset) {
+      res.status(404).json({ error: 'Preset not found' });
+      return;
+    }
+    auditRequest(req, 'updatePreset', { id: preset.id });
+    res.json(preset);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/presets/:id', requireAdmin, (req, res) => {
+  if (!presetStore.delete(req.params.id)) {
+    res.status(404).json({ error: 'Preset not found' });
+    return;
+  }
+  auditRequest(req, 'deletePreset', { id: req.params.id });
+  res.status(204).end();
+});
+
+// Apply a preset to a room's running match ({ room: CODE }, default room otherwise); undoable like any balance change
+app.post('/api/presets/:id/activate', requireAdmin, (req, res) => {
+  const preset = presetStore.get(req.params.id);
+  if (!preset) {
+    res.status(404).json({ error: 'Preset not found' });
+    return;
+  }
+  const roomCode = (req.body && req.body.room) || DEFAULT_ROOM_CODE;
+  const room = roomManager.getRoom(roomCode);
+  if (!room) {
+    res.status(404).json({ error: `Room ${roomCode} not found` });
+    return;
+  }
+
+  try {
+    room.engine.applyBalanceSettings(preset.settings);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  auditRequest(req, 'activatePreset', { id: preset.id, room: room.code });
+  broadcastSettings(room, { changes: preset.settings, preset: { id: preset.id, name: preset.name } });
+  res.json(getSettingsState(room));
+});
+
+// Match replay API endpoints
+app.get('/api/replays', (req, res) => {
+  res.json(replayStore.list());
+});
+
+// Replays are stored gzipped and sent as-is; ?download=1 saves the .jsonl.gz file instead
+app.get('/api/replays/:id', (req, res) => {
+  const replay = replayStore.get(req.params.id);
+  if (!replay) {
+    res.status(404).json({ error: 'Replay not found' });
+    return;
+  }
+
+  const filePath = replayStore.getFilePath(replay.id);
+  if (req.query.download) {
+    res.download(filePath, `${replay.id}.jsonl.gz`);
+  } else {
+    res.sendFile(filePath, { headers: { 'Content-Type': 'application/x-ndjson', 'Content-Encoding': 'gzip' } });
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
+  const rooms = Array.from(roomManager.rooms.values());
+  const total = (count) => rooms.reduce((sum, room) => sum + count(room.engine), 0);
+
   res.json({ 
     status: 'ok', 
-    players: gameEngine.gameState.players.size,
-    tanks: gameEngine.gameState.tanks.size,
-    shells: gameEngine.gameState.shells.length,
-    upgrades: gameEngine.gameState.upgrades.length,
-    trees: gameEngine.gameState.trees.length,
-    spatialStats: gameEngine.getSpatialStats(),
+    rooms: rooms.length,
+    players: total(engine => engine.gameState.players.size),
+    tanks: total(engine => engine.gameState.tanks.size),
+    shells: total(engine => engine.gameState.shells.length),
+    upgrades: total(engine => engine.gameState.upgrades.length),
+    trees: total(engine => engine.gameState.trees.length),
     memoryStats: memoryManager.getStats(),
     algorithmStats: {
       changeTracking: changeTracker.getStats(),
       lazyEvaluation: lazyEvaluator.getStats(),
       vectorOptimizations: batchVectorOps.getStats()
     },
-    gameLoopStats: {
-      gameLoop: gameLoop.getStats(),
-      updateScheduler: updateScheduler.getStats()
-    },
     priorityStats: priorityUpdateManager.getStats(),
-    // 🚀 CRITICAL OPTIMIZATION: AI update performance statistics
-    aiUpdateStats: gameEngine.getAIUpdateStats(),
+    // Per-room engine statistics (each room has its own game loop)
+    roomStats: rooms.map(room => ({
+      code: room.code,
+      spatialStats: room.engine.getSpatialStats(),
+      gameLoopStats: {
+        gameLoop: room.engine.gameLoop.getStats(),
+        updateScheduler: room.engine.updateScheduler.getStats()
+      },
+      // 🚀 CRITICAL OPTIMIZATION: AI update performance statistics
+      aiUpdateStats: room.engine.getAIUpdateStats()
+    })),
     clientFrameRateStats: {
-      note: "Client-side frame rate stats will appear here when clients connect",
-      serverFrameRate: gameLoop.getStats()
+      note: "Client-side frame rate stats will appear here when clients connect"
     }
   });
 });
 
 
 
+// Flush pending profile writes before shutting down
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    profileStore.flush();
+    // Keep the rounds being recorded: wait for their replay files to be written
+    await Promise.all([...replayRecorders.values()].map(recorder => recorder.close('serverStopped')));
+    process.exit(0);
+  });
+}
+
 const PORT = process.env.PORT || 3000;
 
 server.listen(PORT, () => {
@@ -358,4 +955,7 @@ server.listen(PORT, () => {
   console.log(`Shell Designer: http://localhost:${PORT}/shell`);
   console.log(`Tank Designer: http://localhost:${PORT}/tank`);
   console.log(`Terrain Builder: http://localhost:${PORT}/terrain-builder`);
+  if (adminAuth.generated) {
+    console.log(`Admin PIN: ${adminAuth.pin} (set ADMIN_PIN to choose your own)`);
+  }
 }); 
\ No newline at end of file
@@ -0,0 +1,239 @@
+// Inbound Socket Validation
+// Every socket event payload is checked against a small schema before its handler runs, each socket
+// gets a token bucket per event, and clients that keep sending malformed or excessive input are
+// disconnected. Handlers only ever see well-typed values with unknown fields stripped.
+
+import { TANK_ATTRIBUTES, UPGRADE_TYPES } from '../shared/constants.js';
+import { VIEW_KINDS } from './interest.js';
+import { POSE_HISTORY_TIME } from './lagCompensation.js';
+
+export const MAX_AI_TANKS = 20;
+export const MAX_VIOLATIONS = 50; // strikes within VIOLATION_WINDOW before a client is disconnected
+export const VIOLATION_WINDOW = 10000; // ms
+
+export const AI_LEVELS = ['easy', 'intermediate', 'hard', 'insane'];
+const ATTRIBUTE_NAMES = Object.keys(TANK_ATTRIBUTES).map(name => name.toLowerCase());
+const MAX_STRING_LENGTH = 64;
+
+// Schema helpers - every field is optional unless marked required
+const number = (min = -Infinity, max = Infinity, options = {}) => ({ type: 'number', min, max, ...options });
+const integer = (min, max, options = {}) => number(min, max, { integer: true, ...options });
+const string = (maxLength = MAX_STRING_LENGTH, options = {}) => ({ type: 'string', maxLength, ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const oneOf = (values, options = {}) => ({ type: 'enum', values, ...options });
+const object = (fields, options = {}) => ({ type: 'object', fields, ...options });
+
+const attributeFields = Object.fromEntries(ATTRIBUTE_NAMES.map(name => [name, number(0, 10000)]));
+
+// Balance panel settings (GameEngine BALANCE_SECTIONS); sections and fields may be sent partially
+export const SETTINGS_SCHEMA = object({
+  gameParams: object({
+    respawnTime: number(0, 60000),
+    reloadTime: number(50, 10000),
+    acceleration: number(0.01, 1),
+    shellLifetime: number(100, 10000),
+    gasolinePerUnit: number(0, 1),
+    gasolineSpeedPenalty: number(0, 1),
+    maxLagCompensation: number(0, POSE_HISTORY_TIME),
+    rammingDamage: number(0, 100)
+  }),
+  damageParams: object(Object.fromEntries(['health', 'speed', 'rotation', 'kinetics', 'gasoline'].map(name => [name, number(0, 100)]))),
+  upgradeTypes: object(Object.fromEntries(Object.keys(UPGRADE_TYPES).map(type =>
+    [type.toLowerCase(), object({ count: integer(0, 10, { required: true }) })]))),
+  treeParams: object({
+    minTrees: integer(0, 200),
+    maxTrees: integer(0, 200),
+    treeSize: number(5, 200),
+    treeSizeVariance: number(0, 200),
+    clusterGroups: integer(1, 20),
+    clustering: number(0, 100)
+  }),
+  attributeLimits: object(Object.fromEntries(ATTRIBUTE_NAMES.map(name =>
+    [name, object({ min: number(0, 10000, { required: true }), max: number(0, 10000, { required: true }) })])))
+}, { required: true });
+
+// Payload schema and rate limit (events per second, burst) for every event the server handles.
+// Events without a payload have a null schema; anything they send is ignored. Control events are
+// marked admin and need an admin login (see adminAuth.js).
+export const EVENT_RULES = {
+  hello: { schema: object({ protocolVersion: integer(0, 0xFFFF, { required: true }) }, { required: true }), rate: 1, burst: 5 },
+  ackSnapshot: { schema: object({ snapshotId: integer(1, Number.MAX_SAFE_INTEGER, { required: true }) }, { required: true }), rate: 20, burst: 40 },
+  setView: {
+    schema: object({
+      kind: oneOf(VIEW_KINDS, { required: true }),
+      viewport: object({
+        x: number(-10000, 10000, { required: true }),
+        y: number(-10000, 10000, { required: true }),
+        width: number(1, 10000, { required: true }),
+        height: number(1, 10000, { required: true })
+      })
+    }, { required: true }),
+    rate: 10,
+    burst: 20
+  },
+  join: {
+    schema: object({
+      callname: string(15),
+      tankColor: string(32),
+      tankCamo: string(32),
+      teamName: string(8),
+      roomCode: string(8),
+      profileToken: string()
+    }, { required: true }),
+    rate: 1, burst: 5
+  },
+  adminLogin: { schema: object({ pin: string(32, { required: true }) }, { required: true }), rate: 0.2, burst: 5 },
+  adminLogout: { schema: null, rate: 1, burst: 5 },
+  resumeSession: { schema: object({ sessionToken: string(MAX_STRING_LENGTH, { required: true }) }, { required: true }), rate: 1, burst: 5 },
+  // Joystick move events are not throttled on the controller, so allow well above touch event rates
+  playerInput: {
+    schema: object({
+      movement: object({ x: number(-1e3, 1e3, { required: true }), y: number(-1e3, 1e3, { required: true }) }),
+      rotation: number(-1e3, 1e3),
+      shoot: boolean(),
+      seq: integer(0, Number.MAX_SAFE_INTEGER)
+    }, { required: true }),
+    rate: 150, burst: 60
+  },
+  changeTerrainMap: { schema: object({ mapName: string(MAX_STRING_LENGTH, { required: true }) }, { required: true }), rate: 2, burst: 5, admin: true },
+  setGameMode: {
+    schema: object({
+      mode: string(16, { required: true }),
+      friendlyFire: boolean(),
+      scoreLimit: integer(0, 1000),
+      captureLimit: integer(0, 1000),
+      holdLimit: integer(0, 3600),
+      zoneCount: integer(1, 3),
+      timeLimit: number(0, 24 * 60 * 60 * 1000) // ms, from fractional minutes
+    }, { required: true }),
+    rate: 2, burst: 5, admin: true
+  },
+  restartRound: { schema: null, rate: 2, burst: 5, admin: true },
+  toggleAI: { schema: object({ enabled: boolean({ required: true }) }, { required: true }), rate: 5, burst: 10, admin: true },
+  applyAISettings: {
+    schema: object({ aiCount: integer(0, MAX_AI_TANKS, { required: true }), aiLevel: oneOf(AI_LEVELS) }, { required: true }),
+    rate: 5, burst: 10, admin: true
+  },
+  updateSettings: { schema: SETTINGS_SCHEMA, rate: 5, burst: 10, admin: true },
+  undoSettings: { schema: null, rate: 5, burst: 10, admin: true },
+  requestSettings: { schema: null, rate: 5, burst: 10 },
+  resetGame: { schema: null, rate: 1, burst: 3, admin: true },
+  resetGameWithAILevel: { schema: object({ aiLevel: oneOf(AI_LEVELS, { required: true }) }, { required: true }), rate: 1, burst: 3, admin: true },
+  damageTaken: { schema: null, rate: 20, burst: 20 },
+  requestGameState: { schema: null, rate: 5, burst: 10 },
+  requestPlayerState: { schema: null, rate: 20, burst: 20 },
+  setPlayerAttributes: { schema: object(attributeFields, { required: true }), rate: 5, burst: 10, admin: true },
+  setPlayerAttributeLimit: {
+    schema: object({
+      attributeName: oneOf(ATTRIBUTE_NAMES, { required: true }),
+      type: oneOf(['min', 'max'], { required: true }),
+      value: number(0, 10000, { required: true })
+    }, { required: true }),
+    rate: 5, burst: 10, admin: true
+  }
+};
+
+// Cross-field rules for (merged) balance settings that the schema cannot express; throws like validate()
+export function checkSettingsConsistency(settings) {
+  for (const [name, limit] of Object.entries(settings.attributeLimits || {})) {
+    if (limit.min > limit.max) throw new Error(`${name} min cannot exceed max`);
+  }
+  if (settings.treeParams && settings.treeParams.minTrees > settings.treeParams.maxTrees) {
+    throw new Error('minTrees cannot exceed maxTrees');
+  }
+}
+
+// Returns the cleaned value; throws an Error naming the offending field
+export function validate(schema, value, path = 'payload') {
+  if (value === undefined || value === null) {
+    if (schema.required) throw new Error(`${path} is required`);
+    return undefined;
+  }
+
+  switch (schema.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`${path} must be a finite number`);
+      if (schema.integer && !Number.isInteger(value)) throw new Error(`${path} must be an integer`);
+      if (value < schema.min || value > schema.max) throw new Error(`${path} must be between ${schema.min} and ${schema.max}`);
+      return value;
+    case 'string':
+      if (typeof value !== 'string') throw new Error(`${path} must be a string`);
+      if (value.length > schema.maxLength) throw new Error(`${path} is longer than ${schema.maxLength} characters`);
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new Error(`${path} must be a boolean`);
+      return value;
+    case 'enum':
+      if (!schema.values.includes(value)) throw new Error(`${path} must be one of ${schema.values.join(', ')}`);
+      return value;
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) throw new Error(`${path} must be an object`);
+
+      const result = {};
+      for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+        const fieldValue = validate(fieldSchema, value[key], `${path}.${key}`);
+        if (fieldValue !== undefined) result[key] = fieldValue;
+      }
+      return result;
+    }
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+// Token bucket: refills `rate` tokens per second up to `burst`
+export class RateLimiter {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+  }
+
+  tryConsume(now = Date.now()) {
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+    if (this.tokens < 1) return false;
+    this.tokens--;
+    return true;
+  }
+}
+
+// Per-socket gatekeeper: rate limits, schema checks and a rolling count of violations
+export class ClientGuard {
+  constructor() {
+    this.limiters = new Map(); // event name -> RateLimiter
+    this.violations = []; // timestamps within VIOLATION_WINDOW
+  }
+
+  // Returns { value } for accepted payloads or { error, rateLimited } for rejected ones
+  check(eventName, data, now = Date.now()) {
+    const rules = EVENT_RULES[eventName];
+    if (!rules) return { error: `Unknown event: ${eventName}` };
+
+    let limiter = this.limiters.get(eventName);
+    if (!limiter) {
+      limiter = new RateLimiter(rules.rate, rules.burst);
+      this.limiters.set(eventName, limiter);
+    }
+    if (!limiter.tryConsume(now)) {
+      return { error: `Rate limit exceeded for ${eventName}`, rateLimited: true };
+    }
+
+    if (!rules.schema) return { value: undefined };
+    try {
+      return { value: validate(rules.schema, data) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // Record a strike; true once the client has crossed MAX_VIOLATIONS within the window
+  recordViolation(now = Date.now()) {
+    this.violations.push(now);
+    while (this.violations.length > 0 && now - this.violations[0] > VIOLATION_WINDOW) {
+      this.violations.shift();
+    }
+    return this.violations.length > MAX_VIOLATIONS;
+  }
+}
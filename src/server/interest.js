@@ -0,0 +1,113 @@
+// Interest Management
+// Each socket gets only the part of a snapshot it shows. A ClientView holds the socket's kind of view and
+// an optional viewport (arena coordinates) the page reports with setView:
+// - battlefield: every section and entity; with a viewport, only the entities inside it
+// - controller: its own tank, the trees it predicts its movement around and the match state, no shells,
+//   upgrades or terrain
+// - spectator: a controller whose tank is out, watching the surviving tanks on its mini map
+// Viewports are looked up in the engine's HybridSpatialSystem. The view of each snapshot a socket was
+// sent is kept until it leaves the room's history, so its next delta builds on exactly what it acked.
+
+import { SNAPSHOT_HISTORY, diffSnapshots, viewSnapshot } from '../shared/snapshots.js';
+
+export const VIEW_KINDS = ['battlefield', 'controller', 'spectator'];
+
+// Entities just outside a viewport are sent too, so they do not pop in at its edge
+export const VIEWPORT_MARGIN = 100;
+
+const CONTROLLER_SECTIONS = ['players', 'gameMode', 'match', 'safeZone'];
+
+const VIEWS = {
+  battlefield: { entities: { tanks: true, shells: true, upgrades: true, trees: true } },
+  controller: { entities: { trees: true }, sections: CONTROLLER_SECTIONS, ownTank: true },
+  spectator: { entities: { tanks: true }, sections: CONTROLLER_SECTIONS }
+};
+
+export class ClientView {
+  constructor() {
+    this.kind = 'battlefield';
+    this.viewport = null;
+    this.frames = new Map(); // snapshot id -> the view of it this socket was sent, oldest first
+    this.ackedSnapshotId = null;
+  }
+
+  set({ kind, viewport }) {
+    this.kind = kind;
+    this.viewport = viewport || null;
+  }
+
+  // Nothing sent so far can be a baseline (a new room, or the page starts over on another protocol)
+  reset() {
+    this.frames.clear();
+    this.ackedSnapshotId = null;
+  }
+
+  // Acks for snapshots this socket was never sent (or another room's, arriving late) are ignored
+  ack(snapshotId) {
+    if (snapshotId > (this.ackedSnapshotId || 0) && this.frames.has(snapshotId)) {
+      this.ackedSnapshotId = snapshotId;
+    }
+  }
+
+  // The update that brings this socket to its view of the room's latest snapshot, and the view it
+  // builds on (null for a full update). Full-arena battlefields share the room's cached updates.
+  getUpdate(engine, playerId) {
+    const { snapshots } = engine;
+    const snapshot = snapshots.latest;
+    let frame = this.frames.get(snapshot.id);
+    if (!frame) {
+      frame = this.getFrame(engine, snapshot, playerId);
+      this.frames.set(snapshot.id, frame);
+      if (this.frames.size > SNAPSHOT_HISTORY) {
+        this.frames.delete(this.frames.keys().next().value);
+      }
+    }
+
+    // Network ids are only kept for the snapshots still in the history
+    const baseline = snapshots.get(this.ackedSnapshotId) ? this.frames.get(this.ackedSnapshotId) || null : null;
+    if (frame === snapshot && (!baseline || baseline === snapshots.get(baseline.id))) {
+      return { update: snapshots.getUpdate(baseline ? baseline.id : null), baseline };
+    }
+    const update = baseline ? diffSnapshots(baseline, frame) : { type: 'full', snapshotId: frame.id, data: frame.state };
+    return { update, baseline };
+  }
+
+  getFrame(engine, snapshot, playerId) {
+    const view = VIEWS[this.kind];
+    if (this.kind === 'battlefield' && !this.viewport) return snapshot;
+
+    const entities = { ...view.entities };
+    if (this.viewport) {
+      const visible = this.getVisibleIds(engine);
+      for (const kind of Object.keys(entities)) entities[kind] = visible;
+    }
+    if (view.ownTank) {
+      entities.tanks = new Set(playerId ? [playerId] : []);
+    }
+    return viewSnapshot(snapshot, { entities, sections: view.sections });
+  }
+
+  // Ids of everything overlapping the viewport and its margin
+  getVisibleIds(engine) {
+    const { x, y, width, height } = this.viewport;
+    const area = {
+      x: x - VIEWPORT_MARGIN,
+      y: y - VIEWPORT_MARGIN,
+      width: width + VIEWPORT_MARGIN * 2,
+      height: height + VIEWPORT_MARGIN * 2
+    };
+
+    const ids = new Set();
+    for (const entity of engine.spatialManager.getEntitiesInArea(area)) {
+      if (entity.id) ids.add(entity.id);
+    }
+    // Destroyed tanks are left out of the spatial index
+    for (const tank of engine.gameState.tanks.values()) {
+      if (!tank.isAlive && tank.position.x >= area.x && tank.position.x <= area.x + area.width &&
+          tank.position.y >= area.y && tank.position.y <= area.y + area.height) {
+        ids.add(tank.id);
+      }
+    }
+    return ids;
+  }
+}
@@ -0,0 +1,62 @@
+// Lag Compensation
+// A player fires at the battle as they saw it, about one round trip before their shot reaches the server.
+// The engine keeps a short pose history per tank (TankHistory). A shot is fired from where the shooter's
+// tank was that long ago - its measured round trip, capped by gameParams.maxLagCompensation - and the shell
+// keeps that rewind for life: it is checked against the tanks where they were rewind ms before each check.
+// Trees do not move, so shells hit them as usual.
+
+export const POSE_HISTORY_TIME = 1000; // ms kept per tank, the most the rewind cap can be set to
+
+export class TankHistory {
+  constructor(maxAge = POSE_HISTORY_TIME) {
+    this.maxAge = maxAge;
+    this.poses = new Map(); // tank id -> [{ time, x, y, angle, isAlive }], oldest first
+  }
+
+  // Record every tank's pose after a tick, and forget tanks that left
+  record(time, tanks) {
+    for (const [id, tank] of tanks) {
+      let poses = this.poses.get(id);
+      if (!poses) {
+        poses = [];
+        this.poses.set(id, poses);
+      }
+      poses.push({ time, x: tank.position.x, y: tank.position.y, angle: tank.angle, isAlive: tank.isAlive });
+      while (poses[0].time < time - this.maxAge) poses.shift();
+    }
+    for (const id of this.poses.keys()) {
+      if (!tanks.has(id)) this.poses.delete(id);
+    }
+  }
+
+  // The tank's pose at `time`, interpolated between the ticks around it; null before its history starts
+  getPose(id, time) {
+    const poses = this.poses.get(id);
+    if (!poses || poses.length === 0 || time < poses[0].time) return null;
+
+    let index = poses.length - 1;
+    while (index > 0 && poses[index].time > time) index--;
+    const before = poses[index];
+    const after = poses[index + 1];
+    if (!after) {
+      return { position: { x: before.x, y: before.y }, angle: before.angle, isAlive: before.isAlive };
+    }
+
+    const t = (time - before.time) / (after.time - before.time);
+    const turn = Math.atan2(Math.sin(after.angle - before.angle), Math.cos(after.angle - before.angle));
+    return {
+      position: { x: before.x + (after.x - before.x) * t, y: before.y + (after.y - before.y) * t },
+      angle: before.angle + turn * t,
+      isAlive: before.isAlive && after.isAlive
+    };
+  }
+
+  clear() {
+    this.poses.clear();
+  }
+}
+
+// How far back a shot from this tank is resolved
+export function getRewind(tank, maxLagCompensation) {
+  return Math.max(0, Math.min(tank.latency || 0, maxLagCompensation));
+}
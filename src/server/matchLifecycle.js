@@ -0,0 +1,141 @@
+// Match Lifecycle
+// Server-driven state machine: waiting -> countdown -> live -> roundOver -> intermission -> countdown ...
+// Phase timers run on engine game time so they pause and speed up with the simulation.
+
+export const MATCH_PHASES = {
+  WAITING: 'waiting',           // Not enough tanks to start a round
+  COUNTDOWN: 'countdown',       // Tanks respawned and frozen, round about to begin
+  LIVE: 'live',                 // Round in progress, game mode rules apply
+  ROUND_OVER: 'roundOver',      // Result is shown, input locked
+  INTERMISSION: 'intermission'  // Break before the next countdown
+};
+
+export const DEFAULT_MATCH_PARAMS = {
+  minPlayers: 2,            // Tanks (players + AI) needed before a countdown starts
+  countdownTime: 5000,      // ms
+  roundOverTime: 8000,      // ms the result is shown
+  intermissionTime: 7000,   // ms break before the next countdown
+  autoRestart: true         // Start the next round automatically after the intermission
+};
+
+export class MatchLifecycle {
+  constructor(engine, params = {}) {
+    this.engine = engine;
+    this.params = { ...DEFAULT_MATCH_PARAMS, ...params };
+    this.phase = MATCH_PHASES.WAITING;
+    this.phaseStartTime = 0;
+    this.roundNumber = 0;
+  }
+
+  isLive() {
+    return this.phase === MATCH_PHASES.LIVE;
+  }
+
+  getPhaseDuration(phase = this.phase) {
+    switch (phase) {
+      case MATCH_PHASES.COUNTDOWN: return this.params.countdownTime;
+      case MATCH_PHASES.ROUND_OVER: return this.params.roundOverTime;
+      case MATCH_PHASES.INTERMISSION: return this.params.intermissionTime;
+      default: return null;
+    }
+  }
+
+  // Time left in the current phase in ms (null for open-ended phases)
+  getPhaseTimeRemaining() {
+    const duration = this.getPhaseDuration();
+    if (duration === null) return null;
+    const elapsed = this.engine.gameState.gameTime - this.phaseStartTime;
+    return Math.max(0, duration - elapsed);
+  }
+
+  hasEnoughPlayers() {
+    return this.engine.gameState.tanks.size >= this.params.minPlayers;
+  }
+
+  setPhase(phase) {
+    this.phase = phase;
+    this.phaseStartTime = this.engine.gameState.gameTime;
+    this.engine.events.emit('matchPhaseChanged', this.getState());
+  }
+
+  // Respawn everyone, clear scores and count down to a new round
+  startCountdown() {
+    this.engine.restartRound();
+    this.roundNumber++;
+    this.setPhase(MATCH_PHASES.COUNTDOWN);
+  }
+
+  // Abandon the current round and start over (manual restart or mode change)
+  restart() {
+    if (this.hasEnoughPlayers()) {
+      this.startCountdown();
+    } else {
+      this.engine.restartRound();
+      this.setPhase(MATCH_PHASES.WAITING);
+    }
+  }
+
+  // Go back to the lobby (used on full game reset)
+  reset() {
+    this.roundNumber = 0;
+    this.setPhase(MATCH_PHASES.WAITING);
+  }
+
+  update() {
+    const timeRemaining = this.getPhaseTimeRemaining();
+
+    switch (this.phase) {
+      case MATCH_PHASES.WAITING:
+        if (this.hasEnoughPlayers()) {
+          this.startCountdown();
+        }
+        break;
+
+      case MATCH_PHASES.COUNTDOWN:
+        if (!this.hasEnoughPlayers()) {
+          this.setPhase(MATCH_PHASES.WAITING);
+        } else if (timeRemaining <= 0) {
+          // The round clock starts when the fighting does
+          this.engine.roundStartTime = this.engine.gameState.gameTime;
+          this.setPhase(MATCH_PHASES.LIVE);
+        }
+        break;
+
+      case MATCH_PHASES.LIVE:
+        if (this.engine.roundResult) {
+          this.setPhase(MATCH_PHASES.ROUND_OVER);
+        }
+        break;
+
+      case MATCH_PHASES.ROUND_OVER:
+        if (timeRemaining <= 0 && this.params.autoRestart) {
+          this.setPhase(MATCH_PHASES.INTERMISSION);
+        }
+        break;
+
+      case MATCH_PHASES.INTERMISSION:
+        if (timeRemaining <= 0) {
+          if (this.hasEnoughPlayers()) {
+            this.startCountdown();
+          } else {
+            this.setPhase(MATCH_PHASES.WAITING);
+          }
+        }
+        break;
+    }
+  }
+
+  // Serializable match state broadcast with the game state
+  getState() {
+    const timeRemaining = this.getPhaseTimeRemaining();
+    return {
+      phase: this.phase,
+      roundNumber: this.roundNumber,
+      // Rounded up to whole seconds so deltas only change once per second
+      phaseTimeRemaining: timeRemaining === null ? null : Math.ceil(timeRemaining / 1000) * 1000,
+      minPlayers: this.params.minPlayers,
+      playerCount: this.engine.gameState.tanks.size,
+      autoRestart: this.params.autoRestart
+    };
+  }
+}
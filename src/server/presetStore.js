@@ -0,0 +1,121 @@
+// Balance Presets
+// Named balance settings (the BALANCE_SECTIONS of GameEngine.gameSettings), one JSON file per preset
+// so they can be shared, kept in version control or edited by hand. Files that fail validation are
+// skipped on load.
+
+import fs from 'fs';
+import path from 'path';
+import { SETTINGS_SCHEMA, validate, checkSettingsConsistency } from './inputValidation.js';
+
+const MAX_NAME_LENGTH = 40;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// "Long Range Duel!" -> "long-range-duel"
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, MAX_NAME_LENGTH) || 'preset';
+}
+
+// Returns the cleaned name, description and settings; throws an Error describing the first problem
+export function validatePreset({ name, description, settings } = {}) {
+  if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+  if (name.trim().length > MAX_NAME_LENGTH) throw new Error(`name is longer than ${MAX_NAME_LENGTH} characters`);
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    throw new Error('description must be a string');
+  }
+
+  const cleanSettings = validate(SETTINGS_SCHEMA, settings, 'settings');
+  checkSettingsConsistency(cleanSettings);
+
+  return {
+    name: name.trim(),
+    description: (description || '').slice(0, MAX_DESCRIPTION_LENGTH),
+    settings: cleanSettings
+  };
+}
+
+export class PresetStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.presets = new Map(); // id -> preset
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.directory)) return;
+
+    for (const file of fs.readdirSync(this.directory).filter(file => file.endsWith('.json'))) {
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        const id = path.basename(file, '.json');
+        this.presets.set(id, { id, ...validatePreset(data), createdAt: data.createdAt || null, updatedAt: data.updatedAt || null });
+      } catch (error) {
+        console.error(`❌ Skipping balance preset ${file}:`, error.message);
+      }
+    }
+    console.log(`🎚️ Loaded ${this.presets.size} balance presets`);
+  }
+
+  getFilePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  // Write to a temp file first so a crash mid-write never leaves a truncated preset
+  save(preset) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = this.getFilePath(preset.id);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(preset, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  generateId(name) {
+    const base = slugify(name);
+    let id = base;
+    for (let suffix = 2; this.presets.has(id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    return id;
+  }
+
+  // Summaries for the preset picker (no settings)
+  list() {
+    return Array.from(this.presets.values())
+      .map(({ id, name, description, updatedAt }) => ({ id, name, description, updatedAt }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(id) {
+    return this.presets.get(id) || null;
+  }
+
+  // Throws on invalid presets
+  create(data) {
+    const preset = validatePreset(data);
+    const now = Date.now();
+    const created = { id: this.generateId(preset.name), ...preset, createdAt: now, updatedAt: now };
+    this.save(created);
+    this.presets.set(created.id, created);
+    return created;
+  }
+
+  // Replace a preset's name, description and/or settings; null for unknown ids, throws on invalid data
+  update(id, data) {
+    const existing = this.get(id);
+    if (!existing) return null;
+
+    // Fields left out keep their current values
+    const changes = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+    const preset = validatePreset({ ...existing, ...changes });
+    const updated = { ...existing, ...preset, updatedAt: Date.now() };
+    this.save(updated);
+    this.presets.set(id, updated);
+    return updated;
+  }
+
+  delete(id) {
+    if (!this.presets.has(id)) return false;
+    fs.rmSync(this.getFilePath(id), { force: true });
+    this.presets.delete(id);
+    return true;
+  }
+}
@@ -0,0 +1,204 @@
+// Player Profiles
+// Lifetime stats and preferences kept in a local JSON file, keyed by a stable player token.
+// The token stays on the player's controller; profiles are looked up publicly by their short id.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { TEAMS } from '../shared/constants.js';
+
+export const PROFILE_SAVE_DELAY = 2000; // ms - batch writes (e.g. every player's stats at round end)
+const MAX_CALLNAME_LENGTH = 15;
+
+function createStats() {
+  return {
+    matchesPlayed: 0,
+    wins: 0,
+    kills: 0,
+    deaths: 0,
+    assists: 0,
+    captures: 0,
+    shotsFired: 0,
+    shotsHit: 0,
+    upgrades: {} // upgrade type -> times collected
+  };
+}
+
+// Sum two scoreboard entries of the same profile
+function combineEntries(a, b) {
+  const upgrades = { ...a.upgrades };
+  for (const [type, count] of Object.entries(b.upgrades)) {
+    upgrades[type] = (upgrades[type] || 0) + count;
+  }
+  return {
+    ...a,
+    kills: a.kills + b.kills,
+    deaths: a.deaths + b.deaths,
+    assists: a.assists + b.assists,
+    captures: a.captures + b.captures,
+    shotsFired: a.shotsFired + b.shotsFired,
+    shotsHit: a.shotsHit + b.shotsHit,
+    upgrades
+  };
+}
+
+export class ProfileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.profiles = new Map(); // token -> profile
+    this.tokensById = new Map(); // public id -> token
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const profile of data.profiles || []) {
+        profile.stats = { ...createStats(), ...profile.stats };
+        this.profiles.set(profile.token, profile);
+        this.tokensById.set(profile.id, profile.token);
+      }
+      console.log(`👤 Loaded ${this.profiles.size} player profiles`);
+    } catch (error) {
+      console.error(`❌ Failed to load player profiles from ${this.filePath}:`, error.message);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), PROFILE_SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+
+  // Write pending changes right away (server shutdown)
+  flush() {
+    if (this.saveTimer) this.save();
+  }
+
+  // Write to a temp file first so a crash mid-write never leaves a truncated store
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ profiles: Array.from(this.profiles.values()) }, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`❌ Failed to save player profiles to ${this.filePath}:`, error.message);
+    }
+  }
+
+  generateId() {
+    let id;
+    do {
+      id = crypto.randomBytes(6).toString('hex');
+    } while (this.tokensById.has(id));
+    return id;
+  }
+
+  createProfile() {
+    const profile = {
+      id: this.generateId(),
+      token: crypto.randomUUID(),
+      callname: null,
+      tankColor: null,
+      tankCamo: null,
+      team: null,
+      createdAt: Date.now(),
+      lastSeen: Date.now(),
+      stats: createStats()
+    };
+    this.profiles.set(profile.token, profile);
+    this.tokensById.set(profile.id, profile.token);
+    return profile;
+  }
+
+  // Profile for a token, or a new one for unknown/missing tokens; join preferences are remembered
+  resolve(token, preferences = {}) {
+    const profile = (typeof token === 'string' && this.profiles.get(token)) || this.createProfile();
+    this.updatePreferences(profile, preferences);
+    return profile;
+  }
+
+  updatePreferences(profile, { callname, tankColor, tankCamo, team } = {}) {
+    if (typeof callname === 'string' && callname.trim()) profile.callname = callname.trim().slice(0, MAX_CALLNAME_LENGTH);
+    if (typeof tankColor === 'string') profile.tankColor = tankColor;
+    if (typeof tankCamo === 'string') profile.tankCamo = tankCamo;
+    if (TEAMS[team]) profile.team = team;
+    profile.lastSeen = Date.now();
+    this.scheduleSave();
+  }
+
+  getProfile(id) {
+    const token = this.tokensById.get(id);
+    return token ? this.profiles.get(token) : null;
+  }
+
+  // Credit a finished (or abandoned) round to every linked profile on its scoreboard, including players who left before it ended.
+  // Entries sharing a profile (a rejoin under a new player id) count as one match.
+  recordRound(result, profileIds) {
+    const rounds = new Map(); // profile id -> { entry, won }
+    for (const entry of result.scoreboard) {
+      const profileId = profileIds.get(entry.playerId);
+      if (!profileId) continue;
+
+      const won = result.winningTeam
+        ? !!entry.team && entry.team.name === result.winningTeam
+        : !!result.winnerId && result.winnerId === entry.playerId;
+      const round = rounds.get(profileId);
+      if (round) {
+        round.entry = combineEntries(round.entry, entry);
+        round.won = round.won || won;
+      } else {
+        rounds.set(profileId, { entry, won });
+      }
+    }
+
+    for (const [profileId, { entry, won }] of rounds) {
+      this.recordMatch(profileId, entry, won);
+    }
+  }
+
+  // Add one finished round's scoreboard entry to a profile's lifetime stats
+  recordMatch(id, entry, won) {
+    const profile = this.getProfile(id);
+    if (!profile) return;
+
+    const stats = profile.stats;
+    stats.matchesPlayed++;
+    if (won) stats.wins++;
+    stats.kills += entry.kills;
+    stats.deaths += entry.deaths;
+    stats.assists += entry.assists;
+    stats.captures += entry.captures;
+    stats.shotsFired += entry.shotsFired;
+    stats.shotsHit += entry.shotsHit;
+    for (const [type, count] of Object.entries(entry.upgrades)) {
+      stats.upgrades[type] = (stats.upgrades[type] || 0) + count;
+    }
+    this.scheduleSave();
+  }
+
+  // What other players may see: no token, plus derived accuracy and favourite upgrade
+  toPublic(profile) {
+    const { token, ...publicProfile } = profile;
+    const { shotsFired, shotsHit, upgrades } = profile.stats;
+    const favoriteUpgrade = Object.keys(upgrades).reduce((best, type) =>
+      best === null || upgrades[type] > upgrades[best] ? type : best, null);
+
+    return {
+      ...publicProfile,
+      stats: {
+        ...profile.stats,
+        upgrades: { ...upgrades },
+        accuracy: shotsFired > 0 ? Math.round((shotsHit / shotsFired) * 1000) / 10 : 0, // percent
+        favoriteUpgrade
+      }
+    };
+  }
+}
@@ -0,0 +1,316 @@
+// Match Replays
+// Every round is recorded from its countdown to the intermission as a gzipped JSON-lines file: a
+// header, the terrain, periodic getOptimizedGameState() snapshots and every accepted player input.
+// Snapshots only carry the sections that changed since the previous one, with a full keyframe every
+// KEYFRAME_INTERVAL so any stretch of the file can be rebuilt without everything before it.
+//
+// Records (t is ms of game time since the recording started):
+//   { type: 'header', version, id, room, roomName, mode, map, seed, startedAt, settings, snapshotInterval, keyframeInterval }
+//   { type: 'terrain', t, terrain: { patches, patchConfigs, treeParams } }
+//   { type: 'snapshot', t, key, state: { <changed sections> } }
+//   { type: 'input', t, playerId, input: { movement, rotation, shoot, seq } } (seq: the controller's input number)
+//   { type: 'end', t, reason, roundResult }
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream';
+import { MATCH_PHASES } from './matchLifecycle.js';
+
+export const REPLAY_VERSION = 1;
+export const SNAPSHOT_INTERVAL = 200; // ms of game time between snapshots
+export const KEYFRAME_INTERVAL = 10000; // ms of game time between full snapshots
+export const MAX_REPLAY_DURATION = 60 * 60 * 1000; // recordings are cut off after an hour
+export const MAX_REPLAYS = 50; // oldest replays are deleted beyond this
+
+// Ground that only changes with the map; trees sway when hit, so they go with the snapshots
+const TERRAIN_SECTIONS = ['patches', 'patchConfigs', 'treeParams'];
+
+// Replay files plus an index of their metadata so listing them never opens a replay
+export class ReplayStore {
+  constructor(directory, maxReplays = MAX_REPLAYS) {
+    this.directory = directory;
+    this.maxReplays = maxReplays;
+    this.replays = []; // metadata, oldest first
+    this.load();
+  }
+
+  get indexPath() {
+    return path.join(this.directory, 'index.json');
+  }
+
+  getFilePath(id) {
+    return path.join(this.directory, `${id}.jsonl.gz`);
+  }
+
+  load() {
+    if (!fs.existsSync(this.directory)) return;
+
+    // Recordings cut short by a server stop never finished writing
+    for (const file of fs.readdirSync(this.directory).filter(file => file.endsWith('.tmp'))) {
+      fs.rmSync(path.join(this.directory, file), { force: true });
+    }
+
+    try {
+      const index = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      this.replays = index.filter(replay => fs.existsSync(this.getFilePath(replay.id)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Failed to load replay index:', error.message);
+    }
+    console.log(`🎞️ Loaded ${this.replays.length} match replays`);
+  }
+
+  saveIndex() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const tempPath = `${this.indexPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.replays, null, 2));
+    fs.renameSync(tempPath, this.indexPath);
+  }
+
+  // "2026-10-19T14:03:12.345Z" in room ABCD -> "20261019-140312-abcd"
+  generateId(roomCode, startedAt) {
+    const stamp = new Date(startedAt).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const base = `${stamp}-${roomCode.toLowerCase()}`;
+    let id = base;
+    for (let suffix = 2; this.get(id) || fs.existsSync(`${this.getFilePath(id)}.tmp`); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    return id;
+  }
+
+  // Newest first
+  list() {
+    return this.replays.slice().reverse();
+  }
+
+  get(id) {
+    return this.replays.find(replay => replay.id === id) || null;
+  }
+
+  add(replay) {
+    this.replays.push(replay);
+    while (this.replays.length > this.maxReplays) {
+      const oldest = this.replays.shift();
+      fs.rmSync(this.getFilePath(oldest.id), { force: true });
+    }
+    this.saveIndex();
+  }
+}
+
+// Records the rounds played in one room into a ReplayStore
+export class ReplayRecorder {
+  constructor(room, store) {
+    this.room = room;
+    this.store = store;
+    this.recording = null;
+
+    this.onMatchPhaseChanged = (matchState) => this.handlePhase(matchState.phase);
+    this.onPlayerInput = ({ playerId, input }) => this.recordInput(playerId, input);
+    room.engine.events.on('matchPhaseChanged', this.onMatchPhaseChanged);
+    room.engine.events.on('playerInput', this.onPlayerInput);
+  }
+
+  get engine() {
+    return this.room.engine;
+  }
+
+  // A countdown starts a new recording; the intermission (or falling back to waiting) ends it
+  handlePhase(phase) {
+    switch (phase) {
+      case MATCH_PHASES.COUNTDOWN:
+        this.finish('restarted');
+        this.start();
+        break;
+      case MATCH_PHASES.LIVE:
+        if (this.recording) this.recording.wentLive = true;
+        break;
+      case MATCH_PHASES.INTERMISSION:
+        this.finish('completed');
+        break;
+      case MATCH_PHASES.WAITING:
+        this.finish('abandoned');
+        break;
+    }
+  }
+
+  start() {
+    const startedAt = Date.now();
+    const id = this.store.generateId(this.room.code, startedAt);
+    fs.mkdirSync(this.store.directory, { recursive: true });
+
+    const tempPath = `${this.store.getFilePath(id)}.tmp`;
+    const gzip = zlib.createGzip();
+    const recording = {
+      id,
+      startedAt,
+      startTime: this.engine.gameState.gameTime,
+      tempPath,
+      gzip,
+      wentLive: false,
+      discarded: false,
+      lastSnapshotTime: -Infinity,
+      lastKeyframeTime: -Infinity,
+      lastSections: {}, // section -> JSON of the last recorded value
+      lastTerrain: null,
+      inputCount: 0,
+      snapshotCount: 0,
+      playerNames: new Map() // playerId -> callname
+    };
+    this.recording = recording;
+
+    // Settles once the file is saved or thrown away
+    recording.done = new Promise((resolve) => {
+      pipeline(gzip, fs.createWriteStream(tempPath), (error) => {
+        if (recording.discarded) {
+          fs.rm(tempPath, { force: true }, () => resolve());
+        } else if (error) {
+          console.error(`❌ Failed to write replay ${id}:`, error.message);
+          fs.rm(tempPath, { force: true }, () => resolve());
+        } else {
+          this.save(recording);
+          resolve();
+        }
+      });
+    });
+
+    recording.mode = this.engine.gameMode.getState().name;
+    recording.map = this.engine.getCurrentTerrainMap();
+    this.write({
+      type: 'header',
+      version: REPLAY_VERSION,
+      id,
+      room: this.room.code,
+      roomName: this.room.name,
+      mode: recording.mode,
+      map: recording.map,
+      seed: this.engine.simulation.seed,
+      startedAt,
+      settings: this.engine.getBalanceSettings(),
+      snapshotInterval: SNAPSHOT_INTERVAL,
+      keyframeInterval: KEYFRAME_INTERVAL
+    });
+    this.recordSnapshot();
+  }
+
+  getTime() {
+    return Math.round(this.engine.gameState.gameTime - this.recording.startTime);
+  }
+
+  write(record) {
+    this.writeLine(JSON.stringify(record));
+  }
+
+  writeLine(line) {
+    this.recording.gzip.write(`${line}\n`);
+  }
+
+  // Called from the broadcast loop; snapshots are spaced by game time so pauses record nothing
+  update() {
+    if (!this.recording) return;
+
+    const t = this.getTime();
+    if (t >= MAX_REPLAY_DURATION) {
+      this.finish('durationLimit');
+    } else if (t - this.recording.lastSnapshotTime >= SNAPSHOT_INTERVAL) {
+      this.recordSnapshot();
+    }
+  }
+
+  recordSnapshot() {
+    const recording = this.recording;
+    const t = this.getTime();
+    const state = this.engine.getOptimizedGameState();
+
+    // Terrain is large and rarely changes, so it gets its own record whenever it does
+    const terrain = JSON.stringify(Object.fromEntries(TERRAIN_SECTIONS.map(section => [section, state[section]])));
+    if (terrain !== recording.lastTerrain) {
+      recording.lastTerrain = terrain;
+      this.writeLine(`{"type":"terrain","t":${t},"terrain":${terrain}}`);
+    }
+
+    // Reuse each section's JSON for both the comparison and the record
+    const key = t - recording.lastKeyframeTime >= KEYFRAME_INTERVAL;
+    const changed = [];
+    for (const [section, value] of Object.entries(state)) {
+      if (TERRAIN_SECTIONS.includes(section)) continue;
+
+      const json = JSON.stringify(value === undefined ? null : value);
+      if (key || json !== recording.lastSections[section]) {
+        changed.push(`${JSON.stringify(section)}:${json}`);
+        recording.lastSections[section] = json;
+      }
+    }
+
+    for (const player of state.players) {
+      recording.playerNames.set(player.id, player.callname);
+    }
+
+    if (key) recording.lastKeyframeTime = t;
+    recording.lastSnapshotTime = t;
+    recording.snapshotCount++;
+    this.writeLine(`{"type":"snapshot","t":${t},"key":${key},"state":{${changed.join(',')}}}`);
+  }
+
+  recordInput(playerId, input) {
+    if (!this.recording) return;
+    this.recording.inputCount++;
+    this.write({ type: 'input', t: this.getTime(), playerId, input });
+  }
+
+  // Close the current recording; rounds that never went live are thrown away.
+  // Resolves once its file is written
+  finish(reason) {
+    const recording = this.recording;
+    if (!recording) return Promise.resolve();
+
+    if (!recording.wentLive) {
+      this.recording = null;
+      recording.discarded = true;
+      recording.gzip.destroy();
+      return recording.done;
+    }
+
+    this.recordSnapshot();
+    recording.duration = this.getTime();
+    recording.reason = reason;
+    recording.roundResult = this.engine.roundResult;
+    this.write({ type: 'end', t: recording.duration, reason, roundResult: recording.roundResult });
+    this.recording = null;
+    recording.gzip.end();
+    return recording.done;
+  }
+
+  // The file is complete: move it into place and list it
+  save(recording) {
+    const filePath = this.store.getFilePath(recording.id);
+    try {
+      fs.renameSync(recording.tempPath, filePath);
+      const result = recording.roundResult;
+      this.store.add({
+        id: recording.id,
+        room: this.room.code,
+        roomName: this.room.name,
+        mode: recording.mode,
+        map: recording.map,
+        startedAt: recording.startedAt,
+        duration: recording.duration,
+        reason: recording.reason,
+        winner: result ? (result.winningTeam || result.winnerName || null) : null,
+        players: Array.from(recording.playerNames.values()),
+        snapshots: recording.snapshotCount,
+        inputs: recording.inputCount,
+        size: fs.statSync(filePath).size
+      });
+      console.log(`🎞️ Saved replay ${recording.id} (${Math.round(recording.duration / 1000)}s, ${recording.reason})`);
+    } catch (error) {
+      console.error(`❌ Failed to save replay ${recording.id}:`, error.message);
+    }
+  }
+
+  // Room closed (or the server stopping): keep what was recorded and stop listening
+  close(reason = 'roomClosed') {
+    this.engine.events.off('matchPhaseChanged', this.onMatchPhaseChanged);
+    this.engine.events.off('playerInput', this.onPlayerInput);
+    return this.finish(reason);
+  }
+}
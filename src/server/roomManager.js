@@ -0,0 +1,137 @@
+// Game Rooms
+// Each room runs its own GameEngine (terrain map, settings, AI roster, game loop).
+// Sockets join a socket.io room named after the room code for broadcasts.
+
+import { GameEngine } from './gameEngine.js';
+import { EventSystem } from '../shared/eventSystem.js';
+import { TERRAIN_MAPS } from '../shared/terrainMaps.js';
+import { GAME_MODES } from './gameModes.js';
+
+export const DEFAULT_ROOM_CODE = 'MAIN';
+export const MAX_ROOMS = 10;
+export const EMPTY_ROOM_TIMEOUT = 10 * 60 * 1000; // Remove rooms nobody has used for 10 minutes
+
+const ROOM_CODE_LENGTH = 4;
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No I/O/0/1 to avoid misreads
+
+export function normalizeRoomCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+export class Room {
+  constructor(code, name, engine) {
+    this.code = code;
+    this.name = name;
+    this.engine = engine;
+    this.sockets = new Set();
+    this.createdAt = Date.now();
+    this.emptySince = Date.now();
+  }
+
+  addSocket(socketId) {
+    this.sockets.add(socketId);
+    this.emptySince = null;
+  }
+
+  removeSocket(socketId) {
+    this.sockets.delete(socketId);
+    if (this.sockets.size === 0) {
+      this.emptySince = Date.now();
+    }
+  }
+
+  getSummary() {
+    const players = Array.from(this.engine.gameState.players.values());
+    return {
+      code: this.code,
+      name: this.name,
+      mapName: this.engine.getCurrentTerrainMap(),
+      gameMode: this.engine.gameMode.getState(),
+      phase: this.engine.match.phase,
+      players: players.filter(player => !player.isAI).length,
+      aiTanks: players.filter(player => player.isAI).length,
+      connections: this.sockets.size,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+export class RoomManager {
+  constructor() {
+    this.rooms = new Map(); // code -> Room
+    this.events = new EventSystem(); // roomCreated, roomRemoved
+  }
+
+  generateCode() {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
+      }
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  // Create and start a room; throws on invalid options or when the server is full
+  createRoom({ name, mapName, gameMode, code } = {}) {
+    if (this.rooms.size >= MAX_ROOMS) {
+      throw new Error(`Room limit reached (${MAX_ROOMS})`);
+    }
+    if (mapName && !TERRAIN_MAPS[mapName]) {
+      throw new Error(`Terrain map '${mapName}' not found`);
+    }
+    if (gameMode && !GAME_MODES[gameMode]) {
+      throw new Error(`Unknown game mode: ${gameMode}`);
+    }
+
+    const roomCode = code || this.generateCode();
+    const engine = new GameEngine();
+    if (mapName) engine.changeTerrainMap(mapName);
+    if (gameMode) engine.setGameMode(gameMode);
+
+    const roomName = typeof name === 'string' && name.trim() ? name.trim().slice(0, 30) : `Room ${roomCode}`;
+    const room = new Room(roomCode, roomName, engine);
+    this.rooms.set(roomCode, room);
+
+    // Let the server wire up broadcasts before the engine starts ticking
+    this.events.emit('roomCreated', room);
+    engine.start();
+
+    console.log(`🏠 Room ${roomCode} created (${this.rooms.size} rooms)`);
+    return room;
+  }
+
+  getRoom(code) {
+    return this.rooms.get(normalizeRoomCode(code)) || null;
+  }
+
+  getDefaultRoom() {
+    return this.rooms.get(DEFAULT_ROOM_CODE) || this.createRoom({ code: DEFAULT_ROOM_CODE, name: 'Main Battle' });
+  }
+
+  removeRoom(code) {
+    const room = this.getRoom(code);
+    if (!room || room.code === DEFAULT_ROOM_CODE) return false;
+
+    room.engine.stop();
+    this.rooms.delete(room.code);
+    this.events.emit('roomRemoved', room);
+
+    console.log(`🏚️ Room ${room.code} removed (${this.rooms.size} rooms)`);
+    return true;
+  }
+
+  // Stop rooms that have had no connections for longer than EMPTY_ROOM_TIMEOUT
+  removeIdleRooms(now = Date.now()) {
+    for (const room of Array.from(this.rooms.values())) {
+      if (room.emptySince !== null && now - room.emptySince > EMPTY_ROOM_TIMEOUT) {
+        this.removeRoom(room.code);
+      }
+    }
+  }
+
+  listRooms() {
+    return Array.from(this.rooms.values()).map(room => room.getSummary());
+  }
+}
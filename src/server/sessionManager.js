@@ -0,0 +1,79 @@
+// Player Sessions
+// A session ties a stable player id (tank, scoreboard entry, profile) to whichever socket controls it.
+// Controllers receive the session token on join and use it to resume after a reconnect; when the
+// socket drops, the player is kept for a grace period before the session expires.
+
+import crypto from 'crypto';
+import { EventSystem } from '../shared/eventSystem.js';
+
+export const SESSION_GRACE_PERIOD = 60000; // ms a disconnected player keeps their tank
+
+export class SessionManager {
+  constructor(gracePeriod = SESSION_GRACE_PERIOD) {
+    this.gracePeriod = gracePeriod;
+    this.sessions = new Map(); // token -> session
+    this.tokensByPlayerId = new Map(); // playerId -> token
+    this.events = new EventSystem(); // sessionExpired
+  }
+
+  create(socketId, roomCode) {
+    const session = {
+      token: crypto.randomUUID(),
+      playerId: `player_${crypto.randomBytes(8).toString('hex')}`,
+      roomCode,
+      socketId,
+      disconnectedAt: null,
+      expiryTimer: null
+    };
+    this.sessions.set(session.token, session);
+    this.tokensByPlayerId.set(session.playerId, session.token);
+    return session;
+  }
+
+  get(token) {
+    return typeof token === 'string' ? this.sessions.get(token) || null : null;
+  }
+
+  getByPlayerId(playerId) {
+    return this.get(this.tokensByPlayerId.get(playerId));
+  }
+
+  // Hand an existing session to a new socket; returns null for unknown or expired tokens
+  resume(token, socketId) {
+    const session = this.get(token);
+    if (!session) return null;
+
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+    session.disconnectedAt = null;
+    session.socketId = socketId;
+    return session;
+  }
+
+  // The session's socket went away: expire after the grace period unless it is resumed
+  detach(playerId, socketId) {
+    const session = this.getByPlayerId(playerId);
+    // A late disconnect from a socket that was already replaced changes nothing
+    if (!session || session.socketId !== socketId) return null;
+
+    session.socketId = null;
+    session.disconnectedAt = Date.now();
+    session.expiryTimer = setTimeout(() => this.expire(session.token), this.gracePeriod);
+    return session;
+  }
+
+  expire(token) {
+    const session = this.get(token);
+    if (!session) return;
+    this.end(token);
+    this.events.emit('sessionExpired', session);
+  }
+
+  end(token) {
+    const session = this.get(token);
+    if (!session) return;
+    clearTimeout(session.expiryTimer);
+    this.sessions.delete(token);
+    this.tokensByPlayerId.delete(session.playerId);
+  }
+}
@@ -0,0 +1,148 @@
+// Balance simulation CLI: plays AI-only matches headlessly and reports how the AI levels fared.
+//
+//   npm run simulate -- --matches 20 --ai easy,hard:3 --map desert --settings balance.json --out report.json
+//
+// Run with --help for every option.
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { BalanceSimulator, DEFAULT_SIMULATION_OPTIONS, formatReport } from './balanceSimulator.js';
+import { SETTINGS_SCHEMA, validate, checkSettingsConsistency } from './inputValidation.js';
+import { PresetStore } from './presetStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --matches <n>        Matches to play (default ${DEFAULT_SIMULATION_OPTIONS.matches})
+  --ai <levels>        AI tanks by level, e.g. easy,hard or hard:3,insane (default ${DEFAULT_SIMULATION_OPTIONS.aiLevels.join(',')})
+  --map <name>         Terrain map (default ${DEFAULT_SIMULATION_OPTIONS.map})
+  --mode <id>          Game mode: ffa, tdm, ctf, koth or lts (default ${DEFAULT_SIMULATION_OPTIONS.mode})
+  --score-limit <n>    Round score limit (kills, captures or hold seconds for the mode)
+  --time-limit <min>   Round time limit in minutes (0 = none)
+  --settings <file>    Balance settings JSON, or a balance preset file
+  --preset <id>        Balance preset from the preset directory (PRESET_DIR)
+  --seed <n>           Base seed; match i uses seed + i (default random)
+  --out <file>         Write the full JSON report here
+  --verbose            Keep the engine's console logging
+  --help               Show this help`;
+
+// "easy,hard:3" -> ['easy', 'hard', 'hard', 'hard']
+function parseAILevels(value) {
+  return value.split(',').filter(Boolean).flatMap(part => {
+    const [level, count = '1'] = part.trim().split(':');
+    const times = Number(count);
+    if (!Number.isInteger(times) || times < 1) throw new Error(`bad AI tank count in '${part}'`);
+    return Array(times).fill(level);
+  });
+}
+
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new Error(`${name} must be a number`);
+  return number;
+}
+
+function loadSettings(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  // Preset files keep their settings next to a name and description
+  const settings = validate(SETTINGS_SCHEMA, data.settings || data, 'settings');
+  checkSettingsConsistency(settings);
+  return settings;
+}
+
+function loadPreset(id) {
+  const store = new PresetStore(process.env.PRESET_DIR || path.join(__dirname, '../../data/presets'));
+  const preset = store.get(id);
+  if (!preset) throw new Error(`balance preset '${id}' not found`);
+  return preset.settings;
+}
+
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      matches: { type: 'string' },
+      ai: { type: 'string' },
+      map: { type: 'string' },
+      mode: { type: 'string' },
+      'score-limit': { type: 'string' },
+      'time-limit': { type: 'string' },
+      settings: { type: 'string' },
+      preset: { type: 'string' },
+      seed: { type: 'string' },
+      out: { type: 'string' },
+      verbose: { type: 'boolean' },
+      help: { type: 'boolean' }
+    }
+  });
+
+  const options = { modeParams: {} };
+  if (values.matches !== undefined) options.matches = parseNumber(values.matches, 'matches');
+  if (values.ai !== undefined) options.aiLevels = parseAILevels(values.ai);
+  if (values.map !== undefined) options.map = values.map;
+  if (values.mode !== undefined) options.mode = values.mode;
+  if (values.seed !== undefined) options.seed = parseNumber(values.seed, 'seed');
+  if (values['time-limit'] !== undefined) options.modeParams.timeLimit = parseNumber(values['time-limit'], 'time-limit') * 60000;
+
+  // Each mode counts its limit in its own field
+  if (values['score-limit'] !== undefined) {
+    const limit = parseNumber(values['score-limit'], 'score-limit');
+    const field = { ctf: 'captureLimit', koth: 'holdLimit' }[options.mode] || 'scoreLimit';
+    options.modeParams[field] = limit;
+  }
+
+  if (values.settings && values.preset) throw new Error('use either --settings or --preset');
+  if (values.settings) options.settings = loadSettings(values.settings);
+  if (values.preset) options.settings = loadPreset(values.preset);
+
+  return { options, out: values.out, verbose: !!values.verbose, help: !!values.help };
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // The engine logs every collision check; keep the terminal for progress and the report
+  const print = console.log;
+  if (!parsed.verbose) console.log = () => {};
+
+  let simulator;
+  try {
+    simulator = new BalanceSimulator(parsed.options);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const { matches } = simulator.options;
+  const started = Date.now();
+  const report = simulator.run((match, index) => {
+    const winners = match.tanks.filter(tank => match.winnerIds.includes(tank.id));
+    const winner = match.winningTeam || (winners.length ? `${winners[0].name} [${winners[0].level}]` : 'nobody');
+    print(`🎲 Match ${index + 1}/${matches} (seed ${match.seed}): ${Math.round(match.duration / 1000)}s, ${match.reason}, won by ${winner}`);
+  });
+
+  print(`\n${formatReport(report)}`);
+  print(`\n⏱️ Simulated in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+  if (parsed.out) {
+    fs.writeFileSync(parsed.out, JSON.stringify(report, null, 2));
+    print(`📄 Report written to ${parsed.out}`);
+  }
+}
+
+main();
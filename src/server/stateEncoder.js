@@ -0,0 +1,46 @@
+// Binary State Encoding
+// One StateEncoder per room turns the engine's snapshot updates (src/shared/snapshots.js) into binary
+// protocol messages (src/shared/protocol.js) for the sockets that completed the protocol handshake.
+// Clients sharing an update (the same view and baseline) get the same message, so each is only encoded once.
+
+import { ENTITY_KINDS } from '../shared/snapshots.js';
+import { NetworkIds, encodeUpdate, getReferencedTankIds } from '../shared/protocol.js';
+
+export class StateEncoder {
+  constructor(engine) {
+    this.engine = engine;
+    this.ids = { tanks: new NetworkIds(), entities: new NetworkIds() };
+    this.encoded = new WeakMap(); // update -> message
+    this.prunedSnapshotId = null;
+  }
+
+  // Encode a ClientView.getUpdate result: the update and the snapshot view it was made against
+  encode(update, baseline = null) {
+    let message = this.encoded.get(update);
+    if (!message) {
+      this.pruneIds();
+      message = encodeUpdate(update, { ids: this.ids, baseline: baseline ? baseline.state : null });
+      this.encoded.set(update, message);
+    }
+    return message;
+  }
+
+  // Forget the network ids of entities gone from every snapshot a client may still build on
+  pruneIds() {
+    const { snapshots, latest } = this.engine.snapshots;
+    if (latest.id === this.prunedSnapshotId) return;
+    this.prunedSnapshotId = latest.id;
+
+    const tankIds = new Set();
+    const entityIds = new Set();
+    for (const snapshot of snapshots.values()) {
+      for (const id of getReferencedTankIds(snapshot.state)) tankIds.add(id);
+      for (const kind of ENTITY_KINDS) {
+        if (kind === 'tanks') continue;
+        for (const id of snapshot.entities[kind].keys()) entityIds.add(id);
+      }
+    }
+    this.ids.tanks.retain(tankIds);
+    this.ids.entities.retain(entityIds);
+  }
+}
@@ -2,12 +2,17 @@ import { Vector2 } from './types.js';
 import { AI_PARAMS, TANK_ATTRIBUTES } from './constants.js';
 
 export class AIController {
-  constructor(tank, gameState, aiLevel = 'intermediate') {
+  constructor(tank, gameState, aiLevel = 'intermediate', areEnemies = null, simulation = tank.simulation) {
     this.tank = tank;
     this.gameState = gameState;
+    // Decisions draw from the engine's seeded generator and clock so matches can be reproduced
+    this.simulation = simulation;
+    this.random = simulation.random;
     this.aiLevel = aiLevel;
+    // Team rules from the game mode; without them every other tank is an enemy
+    this.areEnemies = areEnemies || ((tankId, otherTankId) => tankId !== otherTankId);
     this.target = null;
-    this.targetType = null; // 'enemy' or 'upgrade'
+    this.targetType = null; // 'enemy', 'upgrade' or 'safeZone'
     this.lastDecisionTime = 0;
     this.lastShotTime = 0;
     this.stuckPosition = null;
@@ -70,7 +75,7 @@ export class AIController {
   update(deltaTime) {
     if (!this.tank.isAlive) return;
 
-    const currentTime = Date.now();
+    const currentTime = this.simulation.now();
     
     // Check if stuck
     this.checkIfStuck(currentTime);
@@ -113,7 +118,7 @@ export class AIController {
 
   performEmergencyManeuver() {
     // Move in a random direction (no backward movement)
-    const randomAngle = Math.random() * Math.PI * 2;
+    const randomAngle = this.random.range(0, Math.PI * 2);
     const cosAngle = Math.cos(randomAngle);
     const sinAngle = Math.sin(randomAngle);
     
@@ -135,6 +140,15 @@ export class AIController {
     const rotation = this.tank.attributes.rotation;
     const kinetics = this.tank.attributes.kinetics;
     
+    // Last Tank Standing: get back inside the safe zone before anything else
+    const safeZone = this.gameState.safeZone;
+    if (safeZone && !safeZone.contains(this.tank.position)) {
+      this.target = safeZone;
+      this.targetType = 'safeZone';
+      this.invalidateCache(); // Invalidate cache when target changes
+      return;
+    }
+    
     // Check for critical red levels (< 25% of max)
     const criticalHealth = health < (TANK_ATTRIBUTES.HEALTH.max * 0.25);
     const criticalAmmo = ammo < (TANK_ATTRIBUTES.AMMUNITION.max * 0.25);
@@ -278,6 +292,8 @@ export class AIController {
       this.huntEnemy(currentTime, deltaTime);
     } else if (this.targetType === 'upgrade') {
       this.collectUpgrade();
+    } else if (this.targetType === 'safeZone') {
+      this.moveTowardsWithAvoidance(this.target.position);
     }
   }
 
@@ -302,7 +318,7 @@ export class AIController {
     // Realistic tank combat behavior with consistent speed (no backward movement)
     if (distance < 150) {
       // Too close - move to the side instead of backward
-      const sideAngle = this.tank.angle + (Math.random() < 0.5 ? Math.PI/2 : -Math.PI/2);
+      const sideAngle = this.tank.angle + (this.random.chance(0.5) ? Math.PI/2 : -Math.PI/2);
       const cosSideAngle = Math.cos(sideAngle);
       const sinSideAngle = Math.sin(sideAngle);
       // OPTIMIZATION: Set target velocity in-place
@@ -313,7 +329,7 @@ export class AIController {
       this.moveTowardsWithAvoidance(enemyTank.position);
     } else {
       // Good distance - realistic tank behavior with better speed consistency
-      const behaviorChoice = Math.random();
+      const behaviorChoice = this.random.next();
       if (behaviorChoice < 0.4) {
         // Stand still and shoot (most common for tanks)
         this.tank.targetVelocity.x = 0;
@@ -326,7 +342,7 @@ export class AIController {
         this.tank.targetVelocity.y *= 0.6;
       } else {
         // Move to the side instead of retreating backward
-        const sideAngle = this.tank.angle + (Math.random() < 0.5 ? Math.PI/2 : -Math.PI/2);
+        const sideAngle = this.tank.angle + (this.random.chance(0.5) ? Math.PI/2 : -Math.PI/2);
         const cosSideAngle = Math.cos(sideAngle);
         const sinSideAngle = Math.sin(sideAngle);
         // OPTIMIZATION: Set target velocity in-place
@@ -378,9 +394,12 @@ export class AIController {
       avoidanceStrength = 0.0; // No avoidance when close to target
     }
     
+    // Keep clear of other tanks, even close to the target, so tanks heading for one spot do not pile onto it
+    const separation = this.getTankSeparation();
+
     // OPTIMIZATION: Calculate final direction in-place
-    const finalDirectionX = normalizedDirectionX + avoidanceVectorX * avoidanceStrength;
-    const finalDirectionY = normalizedDirectionY + avoidanceVectorY * avoidanceStrength;
+    const finalDirectionX = normalizedDirectionX + avoidanceVectorX * avoidanceStrength + separation.x;
+    const finalDirectionY = normalizedDirectionY + avoidanceVectorY * avoidanceStrength + separation.y;
     
     // Normalize final direction
     const finalMagnitude = Math.sqrt(finalDirectionX * finalDirectionX + finalDirectionY * finalDirectionY);
@@ -393,6 +412,25 @@ export class AIController {
     }
   }
 
+  // Steering away from nearby living tanks; closer than 3/4 of the range it outweighs the pull to the target
+  getTankSeparation() {
+    const range = AI_PARAMS.TANK_SEPARATION;
+    let separationX = 0;
+    let separationY = 0;
+    for (const other of this.gameState.tanks.values()) {
+      if (other === this.tank || !other.isAlive) continue;
+      const awayX = this.tank.position.x - other.position.x;
+      const awayY = this.tank.position.y - other.position.y;
+      const distance = Math.sqrt(awayX * awayX + awayY * awayY);
+      if (distance >= range || distance === 0) continue;
+
+      const strength = 4 * (range - distance) / range;
+      separationX += awayX / distance * strength;
+      separationY += awayY / distance * strength;
+    }
+    return { x: separationX, y: separationY };
+  }
+
   attemptShot(enemyTank, distance, targetAngle, currentTime) {
     if (currentTime - this.lastShotTime < this.minShotInterval) return;
     if (!this.tank.canShoot() || this.tank.attributes.ammunition === 0) return;
@@ -406,7 +444,7 @@ export class AIController {
     const timeToHit = distance / shellSpeed;
     
     // Add a small random factor to make AI less predictable but still accurate
-    const predictionFactor = 0.8 + (Math.random() * 0.4); // 0.8 to 1.2
+    const predictionFactor = this.random.range(0.8, 1.2);
     const adjustedTimeToHit = timeToHit * predictionFactor;
     
     // OPTIMIZATION: Calculate predicted position in-place instead of creating new Vector2
@@ -436,7 +474,7 @@ export class AIController {
     const adjustedAngleThreshold = enemySpeed < 2 ? 1.2 : 0.8; // More lenient angle for slow targets
     const finalAngleOk = angleDiff < adjustedAngleThreshold;
     
-    if (finalAngleOk && distanceOk && speedOk && Math.random() < this.accuracy) {
+    if (finalAngleOk && distanceOk && speedOk && this.random.chance(this.accuracy)) {
       this.tank.shoot();
       this.lastShotTime = currentTime;
     }
@@ -470,8 +508,8 @@ export class AIController {
         if (!this.wanderTarget) {
           this.wanderTarget = { x: 0, y: 0 };
         }
-        this.wanderTarget.x = Math.random() * 1000 + 100;
-        this.wanderTarget.y = Math.random() * 600 + 100;
+        this.wanderTarget.x = this.random.range(100, 1100);
+        this.wanderTarget.y = this.random.range(100, 700);
         attempts++;
       } while (this.isNearObstacle(this.wanderTarget) && attempts < 10);
     }
@@ -516,14 +554,14 @@ export class AIController {
   }
 
   getEnemies() {
-    const currentTime = Date.now();
+    const currentTime = this.simulation.now();
     if (this.cachedEnemies && (currentTime - this.lastCacheTime) < this.cacheValidityTime) {
       return this.cachedEnemies;
     }
     
     const enemies = [];
     for (const [id, tank] of this.gameState.tanks) {
-      if (id !== this.tank.id && tank.isAlive) {
+      if (id !== this.tank.id && tank.isAlive && this.areEnemies(this.tank.id, id)) {
         enemies.push(tank);
       }
     }
@@ -534,7 +572,7 @@ export class AIController {
   }
 
   getAvailableUpgrades() {
-    const currentTime = Date.now();
+    const currentTime = this.simulation.now();
     if (this.cachedUpgrades && (currentTime - this.lastCacheTime) < this.cacheValidityTime) {
       return this.cachedUpgrades;
     }
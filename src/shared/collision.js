@@ -1,5 +1,6 @@
 // Collision Detection Utilities with Spatial Partitioning Integration
 import { createBounds } from './spatialPartitioning.js';
+import { defaultSimulation } from './simulation.js';
 
 export function checkAABBCollision(box1, box2) {
   return box1.x < box2.x + box2.width &&
@@ -53,6 +54,117 @@ export function checkLineIntersectsAABB(start, end, box) {
   return false;
 }
 
+// Oriented box vs oriented box (Tank.getOrientedBoundingBox), separating axis test on both boxes' edges.
+// Returns { normal, depth } - the shortest push, from a towards b, that parts them - or null when apart
+export function checkOBBCollision(a, b) {
+  const dx = b.center.x - a.center.x;
+  const dy = b.center.y - a.center.y;
+  const axes = [a.angle, a.angle + Math.PI / 2, b.angle, b.angle + Math.PI / 2].map(angle => ({ x: Math.cos(angle), y: Math.sin(angle) }));
+  // Half the box's extent along an axis
+  const reach = (box, axis) => {
+    const cos = Math.cos(box.angle);
+    const sin = Math.sin(box.angle);
+    return box.width / 2 * Math.abs(axis.x * cos + axis.y * sin) + box.height / 2 * Math.abs(-axis.x * sin + axis.y * cos);
+  };
+
+  let contact = null;
+  for (const axis of axes) {
+    const distance = dx * axis.x + dy * axis.y;
+    const depth = reach(a, axis) + reach(b, axis) - Math.abs(distance);
+    if (depth <= 0) return null;
+    if (!contact || depth < contact.depth) {
+      const sign = distance < 0 ? -1 : 1;
+      contact = { normal: { x: axis.x * sign, y: axis.y * sign }, depth };
+    }
+  }
+  return contact;
+}
+
+// Swept collision: where a shell's path over one tick first meets a shape, so a fast shell cannot step
+// over a tank or trunk between two ticks. Each returns { t, point, normal } or null when the path misses:
+// t is the fraction of the path travelled (0 when it starts inside the shape), normal the unit surface
+// normal at the point (back along the path when it starts inside).
+
+function unit(x, y) {
+  const length = Math.sqrt(x * x + y * y);
+  return length > 0 ? { x: x / length, y: y / length } : { x: 0, y: 0 };
+}
+
+// Segment vs axis-aligned box: the entry is the latest of the near edges the path crosses
+export function sweepSegmentAABB(start, end, box) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  if (checkPointInAABB(start, box)) {
+    return { t: 0, point: { x: start.x, y: start.y }, normal: unit(-dx, -dy) };
+  }
+  if (!checkLineIntersectsAABB(start, end, box)) return null;
+
+  let t = 0;
+  let normal = { x: 0, y: 0 };
+  if (dx !== 0) {
+    const entry = ((dx > 0 ? box.x : box.x + box.width) - start.x) / dx;
+    if (entry > t) {
+      t = entry;
+      normal = { x: dx > 0 ? -1 : 1, y: 0 };
+    }
+  }
+  if (dy !== 0) {
+    const entry = ((dy > 0 ? box.y : box.y + box.height) - start.y) / dy;
+    if (entry > t) {
+      t = entry;
+      normal = { x: 0, y: dy > 0 ? -1 : 1 };
+    }
+  }
+  return { t, point: { x: start.x + dx * t, y: start.y + dy * t }, normal };
+}
+
+// Segment vs oriented box (Tank.getOrientedBoundingBox), grown by the shell's radius: the box test in
+// the box's own frame, turned back to the world
+export function sweepSegmentOBB(start, end, obb, radius = 0) {
+  const cos = Math.cos(obb.angle);
+  const sin = Math.sin(obb.angle);
+  const toLocal = (point) => {
+    const x = point.x - obb.center.x;
+    const y = point.y - obb.center.y;
+    return { x: x * cos + y * sin, y: -x * sin + y * cos };
+  };
+
+  const halfWidth = obb.width / 2 + radius;
+  const halfHeight = obb.height / 2 + radius;
+  const hit = sweepSegmentAABB(toLocal(start), toLocal(end), { x: -halfWidth, y: -halfHeight, width: halfWidth * 2, height: halfHeight * 2 });
+  if (!hit) return null;
+
+  const { t, normal } = hit;
+  return {
+    t,
+    point: { x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t },
+    normal: { x: normal.x * cos - normal.y * sin, y: normal.x * sin + normal.y * cos }
+  };
+}
+
+// Segment vs circle (tree trunks): the smaller root of |start + t * d - center| = radius
+export function sweepSegmentCircle(start, end, center, radius) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const fx = start.x - center.x;
+  const fy = start.y - center.y;
+  const c = fx * fx + fy * fy - radius * radius;
+  if (c <= 0) {
+    const normal = fx !== 0 || fy !== 0 ? unit(fx, fy) : unit(-dx, -dy);
+    return { t: 0, point: { x: start.x, y: start.y }, normal };
+  }
+
+  const a = dx * dx + dy * dy;
+  const b = 2 * (fx * dx + fy * dy);
+  const discriminant = b * b - 4 * a * c;
+  if (a === 0 || discriminant < 0) return null;
+
+  const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+  if (t < 0 || t > 1) return null;
+  const point = { x: start.x + dx * t, y: start.y + dy * t };
+  return { t, point, normal: { x: (point.x - center.x) / radius, y: (point.y - center.y) / radius } };
+}
+
 // OPTIMIZED: Fast distance check using squared distance (avoids square root)
 export function getSquaredDistance(pos1, pos2) {
   const dx = pos1.x - pos2.x;
@@ -178,14 +290,15 @@ export function createEntityBounds(entity) {
   return createBounds(0, 0, 20, 20);
 }
 
-export function getRandomPositionAvoidingObstacles(obstacles, minDistance = 50, minX = 50, minY = 50, maxX = 1450, maxY = 850) {
+// random: a SeededRandom (the engine passes its simulation's generator)
+export function getRandomPositionAvoidingObstacles(obstacles, minDistance = 50, minX = 50, minY = 50, maxX = 1450, maxY = 850, random = defaultSimulation.random) {
   const maxAttempts = 100;
   let attempts = 0;
   
   while (attempts < maxAttempts) {
     const position = {
-      x: Math.random() * (maxX - minX) + minX,
-      y: Math.random() * (maxY - minY) + minY
+      x: random.range(minX, maxX),
+      y: random.range(minY, maxY)
     };
     
     let tooClose = false;
@@ -206,7 +319,7 @@ export function getRandomPositionAvoidingObstacles(obstacles, minDistance = 50,
   
   // Fallback to random position if no good spot found
   return {
-    x: Math.random() * (maxX - minX) + minX,
-    y: Math.random() * (maxY - minY) + minY
+    x: random.range(minX, maxX),
+    y: random.range(minY, maxY)
   };
 } 
\ No newline at end of file
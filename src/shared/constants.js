@@ -37,7 +37,20 @@ export const GAME_PARAMS = {
   BULLET_LIFETIME: 1000, // 1 second
   DAMAGE_FEEDBACK_DURATION: 300, // 300ms
   GASOLINE_SPEED_PENALTY: 0.5, // Speed divided by 2 when gasoline is 0
-  GASOLINE_PER_UNIT: 0.01 // Gasoline consumed per distance unit while moving
+  GASOLINE_PER_UNIT: 0.01, // Gasoline consumed per distance unit while moving
+  MAX_LAG_COMPENSATION: 200 // Most ms a shot is rewound for the shooter's latency
+};
+
+// Tank-to-tank collision: a tank weighs more the more armor, fuel and shells it carries, and heavier
+// tanks push lighter ones aside
+export const TANK_COLLISION = {
+  BASE_MASS: 20, // Empty hull
+  HEALTH_MASS: 0.1, // Per health point of armor
+  GASOLINE_MASS: 0.05, // Per unit of gasoline
+  AMMUNITION_MASS: 0.2, // Per shell carried
+  RESTITUTION: 0.2, // Share of the closing speed tanks bounce apart with
+  RAMMING_DAMAGE: 0, // Health lost per 10 px/s of closing speed above the minimum (0 = no ramming damage)
+  RAMMING_MIN_SPEED: 20 // px/s; slower contact is pushing, not ramming
 };
 
 // Damage Parameters
@@ -78,6 +91,53 @@ export const BATTLEFIELD = {
   UPGRADE_SIZE: 22.5 // Increased by 25% from 18 (18 * 1.25 = 22.5)
 };
 
+// Capture the Flag
+export const CTF_PARAMS = {
+  BASE_RADIUS: 60,
+  FLAG_PICKUP_RADIUS: 30,
+  // Base positions per team, spread around the battlefield
+  BASE_POSITIONS: {
+    NATO: { x: 150, y: 450 },
+    CSTO: { x: 1350, y: 450 },
+    PLA: { x: 750, y: 120 }
+  }
+};
+
+// King of the Hill
+export const KOTH_PARAMS = {
+  ZONE_RADIUS: 80,
+  // Zone layouts by zone count
+  ZONE_LAYOUTS: {
+    1: [{ label: 'A', x: 750, y: 450 }],
+    2: [{ label: 'A', x: 450, y: 300 }, { label: 'B', x: 1050, y: 600 }],
+    3: [{ label: 'A', x: 375, y: 450 }, { label: 'B', x: 750, y: 450 }, { label: 'C', x: 1125, y: 450 }]
+  }
+};
+
+// Tanks are kept this far inside the battlefield edges
+export const ARENA_BOUNDS = {
+  minX: 10,
+  minY: 10,
+  maxX: BATTLEFIELD.WIDTH - 10,
+  maxY: BATTLEFIELD.HEIGHT - 10
+};
+
+// Last Tank Standing shrinking safe zone
+export const SAFE_ZONE_PARAMS = {
+  CENTER: { x: 750, y: 450 },
+  INITIAL_RADIUS: 900, // Covers the whole battlefield
+  // Each stage waits `delay` ms after the previous one, then shrinks to `radius` over `duration` ms
+  SCHEDULE: [
+    { delay: 30000, duration: 20000, radius: 550 },
+    { delay: 25000, duration: 20000, radius: 300 },
+    { delay: 20000, duration: 15000, radius: 120 },
+    { delay: 15000, duration: 15000, radius: 0 }
+  ],
+  HEALTH_DRAIN: 5,     // Health lost per second outside the zone
+  GASOLINE_DRAIN: 10,  // Gasoline lost per second outside the zone
+  CLAMP_MARGIN: 150    // How far outside the zone tanks may still drive
+};
+
 // Tree Generation
 export const TREE_PARAMS = {
   MIN_TREES: 10,
@@ -92,5 +152,6 @@ export const TREE_PARAMS = {
 export const AI_PARAMS = {
   HEALTH_THRESHOLD: 50, // AI seeks upgrades when health below this
   DECISION_WEIGHT_KILL: 0.7,
-  DECISION_WEIGHT_UPGRADE: 0.3
+  DECISION_WEIGHT_UPGRADE: 0.3,
+  TANK_SEPARATION: 70 // AI tanks steer away from tanks whose centers are closer than this
 }; 
\ No newline at end of file
@@ -139,7 +139,7 @@ export class EntityChangeTracker {
     return {
       position: { x: entity.position.x, y: entity.position.y },
       angle: entity.angle,
-      velocity: { x: entity.velocity.x, y: entity.velocity.y },
+      velocity: entity.velocity ? { x: entity.velocity.x, y: entity.velocity.y } : null, // Trees don't move
       health: entity.attributes?.health,
       ammunition: entity.attributes?.ammunition,
       gasoline: entity.attributes?.gasoline,
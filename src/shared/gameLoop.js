@@ -434,7 +434,8 @@ export class BackgroundProcessor {
     this.workers = new Map(); // workerName -> Worker
     this.tasks = new Map(); // taskId -> { worker, resolve, reject }
     this.taskCounter = 0;
-    this.maxWorkers = navigator.hardwareConcurrency || 4;
+    // navigator only exists in browsers and newer Node versions
+    this.maxWorkers = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
     
     this.stats = {
       totalTasks: 0,
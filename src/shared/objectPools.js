@@ -108,14 +108,18 @@ export class ShellPool extends ObjectPool {
           id: null,
           shooterId: null,
           position: { x: 0, y: 0 },
+          previous: { x: 0, y: 0 }, // position at the start of the last update, for swept collision
           velocity: { x: 0, y: 0 },
           timestamp: 0,
           shooterImmunity: 0,
+          rewind: 0, // ms behind the present it is checked against tanks (lag compensation)
           bounds: null
         };
         
         // Add required methods to match Shell class interface
         shell.update = function(deltaTime) {
+          this.previous.x = this.position.x;
+          this.previous.y = this.position.y;
           this.position.x += this.velocity.x * (deltaTime / 1000);
           this.position.y += this.velocity.y * (deltaTime / 1000);
           
@@ -161,10 +165,13 @@ export class ShellPool extends ObjectPool {
         shell.shooterId = null;
         shell.position.x = 0;
         shell.position.y = 0;
+        shell.previous.x = 0;
+        shell.previous.y = 0;
         shell.velocity.x = 0;
         shell.velocity.y = 0;
         shell.timestamp = 0;
         shell.shooterImmunity = 0;
+        shell.rewind = 0;
         shell.bounds = null;
       },
       100,  // Initial size (more shells needed)
@@ -173,18 +180,20 @@ export class ShellPool extends ObjectPool {
   }
 
   // Get a shell with specific properties
-  getShell(shooterId, position, velocity, timestamp, shooterImmunity = 0) {
+  getShell(shooterId, position, velocity, timestamp, shooterImmunity = 0, id = null) {
     const shell = this.get();
     shell.shooterId = shooterId;
     shell.position.x = position.x;
     shell.position.y = position.y;
+    shell.previous.x = position.x;
+    shell.previous.y = position.y;
     shell.velocity.x = velocity.x;
     shell.velocity.y = velocity.y;
     shell.timestamp = timestamp;
     shell.shooterImmunity = shooterImmunity;
     
-    // Generate unique ID
-    shell.id = `shell_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // Generate unique ID unless the caller brings its own (seeded simulations)
+    shell.id = id || `shell_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     // Update bounds
     shell.bounds = {
@@ -277,8 +286,8 @@ export class MemoryManager {
   }
 
   // Get a shell from the pool
-  getShell(shooterId, position, velocity, timestamp, shooterImmunity = 0) {
-    return this.pools.shell.getShell(shooterId, position, velocity, timestamp, shooterImmunity);
+  getShell(shooterId, position, velocity, timestamp, shooterImmunity = 0, id = null) {
+    return this.pools.shell.getShell(shooterId, position, velocity, timestamp, shooterImmunity, id);
   }
 
   // Get a vector from the pool
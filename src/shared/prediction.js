@@ -0,0 +1,93 @@
+// Client-Side Prediction
+// A controller drives a local copy of its tank with the same Tank.update the server runs, so movement shows
+// the moment the joystick moves instead of a round trip later. Inputs are numbered and held until the next
+// one, like on the server. The server acks the newest input it applied and for how many of its fixed ticks,
+// along with the tank's pose at that moment (GameEngine.getPlayerGameState). Reconciling puts the local
+// tank on that pose and replays what the server has not run yet: the acked input for the ticks it was held
+// here beyond the server's count, then every later input for as long as it was held here.
+// Like the server, the local tank is pushed out of tree trunks and slowed on an empty tank, with the trees
+// of the controller's snapshots (setTrees) and the room's movement settings (setGameParams). Other tanks
+// are left out: bumping into one shows once the server's pose arrives.
+
+import { ARENA_BOUNDS, GAME_PARAMS } from './constants.js';
+import { Tank, Tree, Vector2 } from './types.js';
+
+export const PREDICTION_TICK = 1000 / 60; // the server's fixed timestep
+
+const MAX_PENDING_INPUTS = 128;
+const MAX_CATCH_UP = 250; // ms of frames run at once after the page was in the background
+
+export class TankPredictor {
+  constructor() {
+    this.tank = null; // created by the first reconcile
+    this.inputs = []; // { seq, movement, ticks } the server has not moved past, oldest first
+    this.movement = { x: 0, y: 0 };
+    this.nextSeq = 1;
+    this.accumulator = 0;
+    this.trees = [];
+    this.treeIds = '';
+    this.gameParams = { gasolinePerUnit: GAME_PARAMS.GASOLINE_PER_UNIT, gasolineSpeedPenalty: GAME_PARAMS.GASOLINE_SPEED_PENALTY };
+  }
+
+  // The room's gasoline settings (balance gameParams), as the server moves tanks with them
+  setGameParams({ gasolinePerUnit, gasolineSpeedPenalty }) {
+    this.gameParams = { gasolinePerUnit, gasolineSpeedPenalty };
+  }
+
+  // Tree records from a snapshot; rebuilt only when the terrain changed
+  setTrees(records) {
+    const ids = records.map(record => record.id).join();
+    if (ids === this.treeIds) return;
+    this.treeIds = ids;
+    this.trees = records.map(record => new Tree(new Vector2(record.position.x, record.position.y), record.size));
+  }
+
+  // Number an input before sending it; its movement drives the local tank until the next one
+  recordInput(input) {
+    if (input.movement) this.movement = { x: input.movement.x, y: input.movement.y };
+    const seq = this.nextSeq++;
+    this.inputs.push({ seq, movement: this.movement, ticks: 0 });
+    if (this.inputs.length > MAX_PENDING_INPUTS) this.inputs.shift();
+    return seq;
+  }
+
+  // Run the local tank in fixed ticks for the time that passed; only while the server moves it too
+  advance(deltaTime) {
+    if (!this.tank) return;
+    this.accumulator = Math.min(this.accumulator + deltaTime, MAX_CATCH_UP);
+    while (this.accumulator >= PREDICTION_TICK) {
+      this.accumulator -= PREDICTION_TICK;
+      this.step(this.movement);
+      const current = this.inputs[this.inputs.length - 1];
+      if (current) current.ticks++;
+    }
+  }
+
+  // Apply a playerState from the server
+  reconcile({ attributes, speedFactor = 1, position, angle, velocity, inputSeq, inputTicks }) {
+    if (!this.tank) this.tank = new Tank('predicted', new Vector2(position.x, position.y), angle);
+    const tank = this.tank;
+    Object.assign(tank.attributes, attributes);
+    tank.speedFactor = speedFactor;
+    tank.position = new Vector2(position.x, position.y);
+    tank.angle = angle;
+    tank.velocity = new Vector2(velocity.x, velocity.y);
+    tank.updateBounds();
+
+    // Inputs before the acked one are done; an ack we do not hold (none yet, or from before a reload)
+    // leaves every input pending
+    const acked = this.inputs.findIndex(input => input.seq === inputSeq);
+    if (acked > 0) this.inputs.splice(0, acked);
+
+    for (const input of this.inputs) {
+      const ticks = input.seq === inputSeq ? input.ticks - inputTicks : input.ticks;
+      for (let tick = 0; tick < ticks; tick++) this.step(input.movement);
+    }
+  }
+
+  step(movement) {
+    this.tank.setMovementInput(movement);
+    const { gasolinePerUnit, gasolineSpeedPenalty } = this.gameParams;
+    this.tank.update(PREDICTION_TICK, gasolinePerUnit, gasolineSpeedPenalty, this.trees, ARENA_BOUNDS);
+  }
+}
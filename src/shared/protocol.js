@@ -0,0 +1,514 @@
+// Binary Network Protocol
+// Snapshot updates (src/shared/snapshots.js) as compact binary messages instead of JSON. Positions,
+// velocities and angles are quantized to fixed-point integers, entities travel under small network ids
+// (a tank's string id is announced with the first update that mentions it to a client), the scoreboard
+// and patches are binary with each player's name only sent when it is new to the client, and the other
+// sections (players, game mode, match...) go as JSON. Clients opt in with a 'hello' carrying
+// PROTOCOL_VERSION; everyone else keeps getting JSON.
+// The server encodes with StateEncoder (src/server/stateEncoder.js), pages decode with StateDecoder.
+
+import { UPGRADE_TYPES } from './constants.js';
+import { ENTITY_KINDS, SECTIONS, SnapshotBuffer } from './snapshots.js';
+
+// Bump whenever the message layout changes; clients on another version keep the JSON broadcasts
+export const PROTOCOL_VERSION = 2;
+
+export const MESSAGE_TYPES = {
+  FULL: 1,
+  DELTA: 2
+};
+
+// Fixed-point scales
+const POSITION_SCALE = 10; // 0.1 px (int16: ±3276 px, well past the battlefield)
+const VELOCITY_SCALE = 10; // 0.1 px/s
+const ANGLE_SCALE = 0x10000 / (2 * Math.PI); // full turn in a uint16
+const SIZE_SCALE = 10; // tree and patch sizes
+const SWING_SCALE = 10000; // tree swing is clamped to ±1 rad
+const FOLIAGE_SCALE = 1000; // foliage sways within ±5 px
+const GASOLINE_SCALE = 10;
+
+const UPGRADE_TYPE_NAMES = Object.keys(UPGRADE_TYPES);
+
+const TANK_FLAGS = { ALIVE: 1, AI: 2 };
+const SCORE_FLAGS = { AI: 1, IDENTITY: 2 };
+const SCORE_STATS = ['kills', 'deaths', 'assists', 'damageDealt', 'captures', 'shotsFired', 'shotsHit'];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export class BinaryWriter {
+  constructor(initialSize = 1024) {
+    this.bytes = new Uint8Array(initialSize);
+    this.view = new DataView(this.bytes.buffer);
+    this.offset = 0;
+  }
+
+  ensure(size) {
+    if (this.offset + size <= this.bytes.length) return;
+
+    let length = this.bytes.length * 2;
+    while (length < this.offset + size) length *= 2;
+    const bytes = new Uint8Array(length);
+    bytes.set(this.bytes);
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.offset, value);
+    this.offset += 2;
+  }
+
+  // Clamped rather than wrapped, so an out-of-range value stays on the right side
+  i16(value) {
+    this.ensure(2);
+    this.view.setInt16(this.offset, Math.max(-0x8000, Math.min(0x7FFF, Math.round(value))));
+    this.offset += 2;
+  }
+
+  // Unsigned LEB128 for counts, ids and non-negative amounts (negatives are sent as 0)
+  varint(value) {
+    let remaining = Math.max(0, Math.round(value) || 0);
+    do {
+      let byte = remaining % 0x80;
+      remaining = Math.floor(remaining / 0x80);
+      if (remaining > 0) byte |= 0x80;
+      this.u8(byte);
+    } while (remaining > 0);
+  }
+
+  string(value) {
+    const bytes = textEncoder.encode(value);
+    this.varint(bytes.length);
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.offset);
+    this.offset += bytes.length;
+  }
+
+  position(position) {
+    this.i16(position.x * POSITION_SCALE);
+    this.i16(position.y * POSITION_SCALE);
+  }
+
+  velocity(velocity) {
+    this.i16(velocity.x * VELOCITY_SCALE);
+    this.i16(velocity.y * VELOCITY_SCALE);
+  }
+
+  angle(angle) {
+    const turn = 2 * Math.PI;
+    this.u16(Math.round((((angle % turn) + turn) % turn) * ANGLE_SCALE) & 0xFFFF);
+  }
+
+  finish() {
+    return this.bytes.slice(0, this.offset);
+  }
+}
+
+export class BinaryReader {
+  constructor(buffer) {
+    // socket.io hands browsers an ArrayBuffer and Node a Buffer (a view into a larger pool)
+    this.view = ArrayBuffer.isView(buffer)
+      ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+      : new DataView(buffer);
+    this.offset = 0;
+  }
+
+  u8() {
+    const value = this.view.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  u16() {
+    const value = this.view.getUint16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  i16() {
+    const value = this.view.getInt16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  varint() {
+    let value = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = this.u8();
+      value += (byte & 0x7F) * multiplier;
+      multiplier *= 0x80;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  string() {
+    const length = this.varint();
+    const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
+    this.offset += length;
+    return textDecoder.decode(bytes);
+  }
+
+  position() {
+    const x = this.i16() / POSITION_SCALE;
+    const y = this.i16() / POSITION_SCALE;
+    return { x, y };
+  }
+
+  velocity() {
+    const x = this.i16() / VELOCITY_SCALE;
+    const y = this.i16() / VELOCITY_SCALE;
+    return { x, y };
+  }
+
+  angle() {
+    return this.u16() / ANGLE_SCALE;
+  }
+}
+
+// String ids as small integers; network ids are never reused, so a client's mapping never goes stale
+export class NetworkIds {
+  constructor() {
+    this.ids = new Map(); // id -> network id
+    this.nextId = 1;
+  }
+
+  get(id) {
+    let networkId = this.ids.get(id);
+    if (networkId === undefined) {
+      networkId = this.nextId++;
+      this.ids.set(id, networkId);
+    }
+    return networkId;
+  }
+
+  // Forget ids that are gone
+  retain(ids) {
+    for (const id of this.ids.keys()) {
+      if (!ids.has(id)) this.ids.delete(id);
+    }
+  }
+}
+
+// Tank ids a state refers to: its tanks, the shooters of its shells and the players on its scoreboard.
+// Client views (src/server/interest.js) may leave sections out; those refer to nothing
+export function getReferencedTankIds(state) {
+  const ids = new Set((state.tanks || []).map(tank => tank.id));
+  for (const shell of state.shells || []) {
+    if (shell.shooterId) ids.add(shell.shooterId);
+  }
+  for (const entry of state.scoreboard || []) ids.add(entry.playerId);
+  return ids;
+}
+
+const writeRecord = {
+  tanks(writer, tank, ids) {
+    writer.varint(ids.tanks.get(tank.id));
+    writer.position(tank.position);
+    writer.angle(tank.angle);
+    writer.velocity(tank.velocity);
+    writer.u8((tank.isAlive ? TANK_FLAGS.ALIVE : 0) | (tank.isAI ? TANK_FLAGS.AI : 0));
+    writer.varint(tank.attributes.health);
+    writer.varint(tank.attributes.ammunition);
+    writer.varint(tank.attributes.gasoline * GASOLINE_SCALE);
+    writer.varint(tank.attributes.speed);
+    writer.varint(tank.attributes.rotation);
+    writer.varint(tank.attributes.kinetics);
+    writer.varint(tank.respawnTime);
+    writer.varint(tank.reloadTime);
+  },
+
+  shells(writer, shell, ids) {
+    writer.varint(ids.entities.get(shell.id));
+    writer.varint(shell.shooterId ? ids.tanks.get(shell.shooterId) : 0);
+    writer.position(shell.position);
+    writer.velocity(shell.velocity);
+  },
+
+  upgrades(writer, upgrade, ids) {
+    writer.varint(ids.entities.get(upgrade.id));
+    writer.u8(UPGRADE_TYPE_NAMES.indexOf(upgrade.type));
+    writer.position(upgrade.position);
+    writer.angle(upgrade.rotation);
+    writer.u8(upgrade.collected ? 1 : 0);
+  },
+
+  trees(writer, tree, ids) {
+    writer.varint(ids.entities.get(tree.id));
+    writer.position(tree.position);
+    writer.varint(tree.size * SIZE_SCALE);
+    writer.string(tree.treeType);
+    writer.angle(tree.leafRotation);
+    writer.i16(tree.swingAngle * SWING_SCALE);
+    writer.i16(tree.foliageOffsetX * FOLIAGE_SCALE);
+    writer.i16(tree.foliageOffsetY * FOLIAGE_SCALE);
+  }
+};
+
+// Shells, upgrades and trees come out under their network ids; nothing on the page needs their string ids
+const readRecord = {
+  tanks(reader, tankIds) {
+    const id = tankIds.get(reader.varint());
+    const position = reader.position();
+    const angle = reader.angle();
+    const velocity = reader.velocity();
+    const flags = reader.u8();
+    return {
+      id,
+      position,
+      angle,
+      velocity,
+      attributes: {
+        health: reader.varint(),
+        ammunition: reader.varint(),
+        gasoline: reader.varint() / GASOLINE_SCALE,
+        speed: reader.varint(),
+        rotation: reader.varint(),
+        kinetics: reader.varint()
+      },
+      isAlive: !!(flags & TANK_FLAGS.ALIVE),
+      isAI: !!(flags & TANK_FLAGS.AI),
+      respawnTime: reader.varint(),
+      reloadTime: reader.varint()
+    };
+  },
+
+  shells(reader, tankIds) {
+    const id = reader.varint();
+    const shooterId = tankIds.get(reader.varint()) || null;
+    return { id, shooterId, position: reader.position(), velocity: reader.velocity() };
+  },
+
+  upgrades(reader) {
+    const id = reader.varint();
+    const type = UPGRADE_TYPE_NAMES[reader.u8()];
+    const position = reader.position();
+    // Upgrades tilt a little either way; keep them centred on zero like the engine does
+    let rotation = reader.angle();
+    if (rotation > Math.PI) rotation -= 2 * Math.PI;
+    return { id, type, position, rotation, collected: reader.u8() === 1 };
+  },
+
+  trees(reader) {
+    return {
+      id: reader.varint(),
+      position: reader.position(),
+      size: reader.varint() / SIZE_SCALE,
+      treeType: reader.string(),
+      leafRotation: reader.angle(),
+      swingAngle: reader.i16() / SWING_SCALE,
+      foliageOffsetX: reader.i16() / FOLIAGE_SCALE,
+      foliageOffsetY: reader.i16() / FOLIAGE_SCALE
+    };
+  }
+};
+
+// Removed entities go by network id: tanks by their announced one, the rest by their entity one
+const removedIdsFor = (kind, ids) => (kind === 'tanks' ? ids.tanks : ids.entities);
+
+// Scoreboard entries are keyed by the player's network id; name and team go along only when flagged
+function writeScoreEntry(writer, entry, networkId, withIdentity) {
+  writer.varint(networkId);
+  writer.u8((entry.isAI ? SCORE_FLAGS.AI : 0) | (withIdentity ? SCORE_FLAGS.IDENTITY : 0));
+  if (withIdentity) {
+    writer.string(entry.callname || '');
+    writer.string(JSON.stringify(entry.team || null));
+  }
+  for (const stat of SCORE_STATS) writer.varint(entry[stat]);
+  for (const type of UPGRADE_TYPE_NAMES) writer.varint(entry.upgrades[type] || 0);
+}
+
+// Entries without a name and team take them from the same player's entry in the baseline
+function readScoreEntry(reader, tankIds, baselineEntries) {
+  const playerId = tankIds.get(reader.varint());
+  const flags = reader.u8();
+  let identity;
+  if (flags & SCORE_FLAGS.IDENTITY) {
+    const callname = reader.string() || null;
+    identity = { callname, team: JSON.parse(reader.string()) };
+  } else {
+    const { callname, team } = baselineEntries.get(playerId) || {};
+    identity = { callname, team };
+  }
+
+  const entry = { playerId, ...identity, isAI: !!(flags & SCORE_FLAGS.AI) };
+  for (const stat of SCORE_STATS) entry[stat] = reader.varint();
+  entry.upgrades = {};
+  for (const type of UPGRADE_TYPE_NAMES) {
+    const count = reader.varint();
+    if (count > 0) entry.upgrades[type] = count;
+  }
+  return entry;
+}
+
+const sameIdentity = (a, b) => a.callname === b.callname && JSON.stringify(a.team) === JSON.stringify(b.team);
+
+// Encode a SnapshotHistory update (full or delta). ids: { tanks, entities } NetworkIds;
+// baseline: the state the delta was made against (null for a full update) - tank ids and scoreboard
+// names the client already has from it are not sent again
+export function encodeUpdate(update, { ids, baseline }) {
+  const isFull = update.type === 'full';
+  const changes = {};
+  for (const kind of ENTITY_KINDS) {
+    changes[kind] = isFull ? { added: update.data[kind] || [], updated: [], removed: [] }
+      : update[kind] || { added: [], updated: [], removed: [] };
+  }
+  const sections = isFull ? update.data : update;
+
+  const writer = new BinaryWriter();
+  writer.u8(isFull ? MESSAGE_TYPES.FULL : MESSAGE_TYPES.DELTA);
+  writer.u8(PROTOCOL_VERSION);
+  writer.varint(update.snapshotId);
+  if (!isFull) writer.varint(update.baselineId);
+
+  // Tank ids the baseline did not refer to, ahead of the records that use them
+  const known = baseline ? getReferencedTankIds(baseline) : new Set();
+  const mentioned = new Set();
+  for (const tank of [...changes.tanks.added, ...changes.tanks.updated]) mentioned.add(tank.id);
+  for (const shell of [...changes.shells.added, ...changes.shells.updated]) {
+    if (shell.shooterId) mentioned.add(shell.shooterId);
+  }
+  for (const entry of sections.scoreboard || []) mentioned.add(entry.playerId);
+  const announce = [...mentioned].filter(id => !known.has(id));
+  writer.varint(announce.length);
+  for (const id of announce) {
+    writer.varint(ids.tanks.get(id));
+    writer.string(id);
+  }
+
+  for (const kind of ENTITY_KINDS) {
+    const { added, updated, removed } = changes[kind];
+    writer.varint(removed.length);
+    for (const id of removed) writer.varint(removedIdsFor(kind, ids).get(id));
+    for (const records of [added, updated]) {
+      writer.varint(records.length);
+      for (const record of records) writeRecord[kind](writer, record, ids);
+    }
+  }
+
+  let mask = 0;
+  SECTIONS.forEach((section, bit) => {
+    if (section in sections) mask |= 1 << bit;
+  });
+  writer.u16(mask);
+
+  for (const section of SECTIONS) {
+    if (!(section in sections)) continue;
+    const value = sections[section];
+
+    if (section === 'scoreboard') {
+      const baselineEntries = new Map((baseline?.scoreboard || []).map(entry => [entry.playerId, entry]));
+      writer.varint(value.length);
+      for (const entry of value) {
+        const last = baselineEntries.get(entry.playerId);
+        writeScoreEntry(writer, entry, ids.tanks.get(entry.playerId), !last || !sameIdentity(last, entry));
+      }
+    } else if (section === 'patches') {
+      writer.varint(value.length);
+      for (const patch of value) {
+        writer.position(patch.position);
+        writer.varint(patch.size * SIZE_SCALE);
+        writer.string(patch.type);
+        writer.angle(patch.rotation);
+      }
+    } else {
+      writer.string(JSON.stringify(value));
+    }
+  }
+
+  return writer.finish();
+}
+
+// Client side: turns binary updates back into the JSON update shapes and applies them with a
+// SnapshotBuffer, so decode() gives the complete state (or null, like SnapshotBuffer.receive)
+export class StateDecoder {
+  constructor() {
+    this.tankIds = new Map(); // network id -> tank id
+    this.snapshots = new SnapshotBuffer();
+  }
+
+  decode(buffer) {
+    const reader = new BinaryReader(buffer);
+    const type = reader.u8();
+    const version = reader.u8();
+    if (version !== PROTOCOL_VERSION) {
+      throw new Error(`Unsupported protocol version ${version} (expected ${PROTOCOL_VERSION})`);
+    }
+    if (type !== MESSAGE_TYPES.FULL && type !== MESSAGE_TYPES.DELTA) {
+      throw new Error(`Unknown message type ${type}`);
+    }
+
+    const isFull = type === MESSAGE_TYPES.FULL;
+    const snapshotId = reader.varint();
+    const baselineId = isFull ? null : reader.varint();
+    const baseline = isFull ? null : this.snapshots.get(baselineId);
+    if (!isFull && !baseline) return null;
+
+    for (let count = reader.varint(); count > 0; count--) {
+      const networkId = reader.varint();
+      this.tankIds.set(networkId, reader.string());
+    }
+
+    const message = isFull ? { type: 'full', snapshotId, data: {} } : { type: 'delta', snapshotId, baselineId };
+    const sections = isFull ? message.data : message;
+
+    const readRecords = (kind) => {
+      const records = [];
+      for (let count = reader.varint(); count > 0; count--) records.push(readRecord[kind](reader, this.tankIds));
+      return records;
+    };
+
+    for (const kind of ENTITY_KINDS) {
+      // Removed shells, upgrades and trees are listed by the network ids their records carry
+      const removed = [];
+      for (let count = reader.varint(); count > 0; count--) {
+        const networkId = reader.varint();
+        removed.push(kind === 'tanks' ? this.tankIds.get(networkId) : networkId);
+      }
+      const added = readRecords(kind);
+      const updated = readRecords(kind);
+
+      if (isFull) {
+        message.data[kind] = added;
+      } else if (added.length > 0 || updated.length > 0 || removed.length > 0) {
+        message[kind] = { added, updated, removed };
+      }
+    }
+
+    const mask = reader.u16();
+    SECTIONS.forEach((section, bit) => {
+      if (!(mask & (1 << bit))) return;
+
+      if (section === 'scoreboard') {
+        const baselineEntries = new Map((baseline?.scoreboard || []).map(entry => [entry.playerId, entry]));
+        const entries = [];
+        for (let count = reader.varint(); count > 0; count--) entries.push(readScoreEntry(reader, this.tankIds, baselineEntries));
+        sections.scoreboard = entries;
+      } else if (section === 'patches') {
+        const patches = [];
+        for (let count = reader.varint(); count > 0; count--) {
+          patches.push({
+            position: reader.position(),
+            size: reader.varint() / SIZE_SCALE,
+            type: reader.string(),
+            rotation: reader.angle()
+          });
+        }
+        sections.patches = patches;
+      } else {
+        sections[section] = JSON.parse(reader.string());
+      }
+    });
+
+    return this.snapshots.receive(message);
+  }
+}
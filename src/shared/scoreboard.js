@@ -0,0 +1,125 @@
+// Per-match scoreboard: kills, deaths, assists, damage dealt, flag captures, shots and upgrades per player
+// Credits are attributed from shell.shooterId when a shell damages or destroys a tank
+
+export const ASSIST_WINDOW = 10000; // Damage within the last 10 seconds before a kill counts as an assist
+
+export class Scoreboard {
+  constructor(assistWindow = ASSIST_WINDOW) {
+    this.assistWindow = assistWindow;
+    this.entries = new Map(); // playerId -> score entry
+    this.recentDamage = new Map(); // victimId -> Map of attackerId -> last hit timestamp
+    this.profileIds = new Map(); // playerId -> lifetime profile id, credited when the round is settled
+  }
+
+  // Create (or refresh the display data of) a player's entry
+  ensurePlayer(playerId, callname = null, team = null, isAI = false) {
+    let entry = this.entries.get(playerId);
+    if (!entry) {
+      entry = {
+        playerId,
+        callname,
+        team,
+        isAI,
+        kills: 0,
+        deaths: 0,
+        assists: 0,
+        damageDealt: 0,
+        captures: 0,
+        shotsFired: 0,
+        shotsHit: 0,
+        upgrades: {} // upgrade type -> times collected
+      };
+      this.entries.set(playerId, entry);
+    } else {
+      if (callname) entry.callname = callname;
+      if (team) entry.team = team;
+    }
+    return entry;
+  }
+
+  // Link a player to their profile; like the entry, the link outlives the player leaving the match
+  setProfile(playerId, profileId) {
+    this.ensurePlayer(playerId);
+    this.profileIds.set(playerId, profileId);
+  }
+
+  // Record damage dealt by one player to another; only shell hits count towards accuracy
+  recordDamage(attackerId, victimId, amount, timestamp = Date.now(), { shellHit = true } = {}) {
+    if (!attackerId || attackerId === victimId || amount <= 0) return;
+
+    const attacker = this.ensurePlayer(attackerId);
+    attacker.damageDealt += amount;
+    if (shellHit) attacker.shotsHit++;
+
+    if (!this.recentDamage.has(victimId)) {
+      this.recentDamage.set(victimId, new Map());
+    }
+    this.recentDamage.get(victimId).set(attackerId, timestamp);
+  }
+
+  // Record a kill and credit assists; returns the attribution for the kill
+  recordKill(victimId, killerId, timestamp = Date.now()) {
+    this.ensurePlayer(victimId).deaths++;
+
+    // Self-destruction counts as a death only
+    const creditedKiller = killerId && killerId !== victimId ? killerId : null;
+    if (creditedKiller) {
+      this.ensurePlayer(creditedKiller).kills++;
+    }
+
+    const assistIds = [];
+    const attackers = this.recentDamage.get(victimId);
+    if (attackers) {
+      for (const [attackerId, lastHit] of attackers) {
+        if (attackerId === creditedKiller) continue;
+        if (timestamp - lastHit <= this.assistWindow) {
+          this.ensurePlayer(attackerId).assists++;
+          assistIds.push(attackerId);
+        }
+      }
+    }
+
+    // Damage history resets when the victim dies
+    this.recentDamage.delete(victimId);
+
+    return { victimId, killerId: creditedKiller, assistIds };
+  }
+
+  // Record a flag capture (Capture the Flag)
+  recordCapture(playerId) {
+    this.ensurePlayer(playerId).captures++;
+  }
+
+  // Record a shell fired (accuracy = shotsHit / shotsFired)
+  recordShot(playerId) {
+    this.ensurePlayer(playerId).shotsFired++;
+  }
+
+  // Record an upgrade pickup by type
+  recordUpgrade(playerId, upgradeType) {
+    const upgrades = this.ensurePlayer(playerId).upgrades;
+    upgrades[upgradeType] = (upgrades[upgradeType] || 0) + 1;
+  }
+
+  // Forget pending damage against a player (e.g. when they leave the match)
+  clearDamageHistory(playerId) {
+    this.recentDamage.delete(playerId);
+  }
+
+  // Get scoreboard entries sorted for display (kills, then fewest deaths, then damage)
+  getEntries() {
+    return Array.from(this.entries.values())
+      .map(entry => ({ ...entry, upgrades: { ...entry.upgrades } }))
+      .sort((a, b) =>
+        b.kills - a.kills ||
+        a.deaths - b.deaths ||
+        b.damageDealt - a.damageDealt
+      );
+  }
+
+  reset() {
+    this.entries.clear();
+    this.recentDamage.clear();
+    this.profileIds.clear();
+  }
+}
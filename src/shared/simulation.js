@@ -0,0 +1,103 @@
+// Deterministic Simulation
+// Everything random in a match (terrain, spawn points, AI choices, tree looks, ids) draws from one
+// seeded generator and everything timed (reloads, firing immunity, AI reaction times, tree sway)
+// reads one clock. A live room uses a random seed and the wall clock; to reproduce a match, create
+// the engine with the same seed and a SimulationClock, step it with the fixed timestep and feed the
+// same inputs back in at the same game times.
+
+// Seeded pseudo-random numbers (mulberry32): fast, 32-bit state, good enough for gameplay
+export class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+  }
+
+  // Float in [0, 1), like Math.random()
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  // Float in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Integer in [0, count)
+  int(count) {
+    return Math.floor(this.next() * count);
+  }
+
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  // Short base-36 suffix for entity ids ("k3j9x0q2a")
+  id(length = 9) {
+    let id = '';
+    while (id.length < length) {
+      id += this.int(36).toString(36);
+    }
+    return id;
+  }
+}
+
+// Wall-clock time for live matches
+export class SystemClock {
+  now() {
+    return Date.now();
+  }
+
+  // Real time moves on by itself
+  advance() {}
+}
+
+// Time that only moves when the engine steps (ms since the simulation started)
+export class SimulationClock {
+  constructor(startTime = 0) {
+    this.time = startTime;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  advance(deltaTime) {
+    this.time += deltaTime;
+  }
+}
+
+// The generator and clock one engine shares with its tanks, trees, upgrades and AI
+export class Simulation {
+  constructor({ seed, clock } = {}) {
+    this.random = new SeededRandom(seed);
+    this.clock = clock || new SystemClock();
+  }
+
+  get seed() {
+    return this.random.seed;
+  }
+
+  now() {
+    return this.clock.now();
+  }
+
+  // Entities keep a reference to their simulation; it is engine plumbing, not state to broadcast
+  toJSON() {
+    return undefined;
+  }
+}
+
+// For entities created outside an engine (designers, tools)
+export const defaultSimulation = new Simulation();
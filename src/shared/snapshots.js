@@ -0,0 +1,244 @@
+// Snapshot Delta Compression
+// Every state broadcast is a numbered snapshot. The server keeps the last SNAPSHOT_HISTORY of them and
+// clients ack the ones they receive; each client then gets the latest snapshot as a delta against the
+// newest one it acked: entities added, updated and removed since (records keyed by id) and the sections
+// that changed. Clients keep their recent snapshots and apply each delta to the one it names, so a delta
+// only ever builds on a state the client confirmed it holds. A client with no acked snapshot left in the
+// history (it just joined, or fell too far behind) gets the full snapshot instead.
+// The server side is SnapshotHistory, pages use SnapshotBuffer; both JSON and binary clients share it.
+// Clients that only show part of the game get views of each snapshot (viewSnapshot) and deltas between
+// those, so entities entering their view arrive as added and leaving ones as removed.
+
+export const SNAPSHOT_HISTORY = 32; // 3.2 s of broadcasts at 10 per second
+
+// Entities diffed record by record...
+export const ENTITY_KINDS = ['tanks', 'shells', 'upgrades', 'trees'];
+
+// ...and sections sent whole whenever they change
+export const SECTIONS = ['players', 'scoreboard', 'gameMode', 'match', 'flags', 'bases', 'zones', 'safeZone', 'roundResult', 'gameTime', 'patches', 'patchConfigs', 'treeParams'];
+
+// Only re-serialized when the engine's terrainVersion changes
+const TERRAIN_SECTIONS = new Set(['patches', 'patchConfigs', 'treeParams']);
+
+// Tanks and shells come rounded from getOptimizedGameState; upgrades and trees are engine objects
+const toRecord = {
+  tanks: tank => tank,
+  shells: shell => shell,
+  upgrades: upgrade => ({
+    id: upgrade.id,
+    type: upgrade.type,
+    position: { x: upgrade.position.x, y: upgrade.position.y },
+    rotation: upgrade.rotation,
+    collected: upgrade.collected
+  }),
+  // Sway rounded so a tree settling back to rest stops changing
+  trees: tree => ({
+    id: tree.id,
+    position: { x: tree.position.x, y: tree.position.y },
+    size: tree.size,
+    treeType: tree.treeType,
+    leafRotation: tree.leafRotation,
+    swingAngle: Math.round(tree.swingAngle * 10000) / 10000,
+    foliageOffsetX: Math.round((tree.foliageOffsetX || 0) * 1000) / 1000,
+    foliageOffsetY: Math.round((tree.foliageOffsetY || 0) * 1000) / 1000
+  })
+};
+
+// Snapshot ids are shared by every room, so an ack meant for another room can never match
+let nextSnapshotId = 1;
+
+// Server side: the snapshots clients may still hold, and the updates that bring them to the latest one
+export class SnapshotHistory {
+  constructor(size = SNAPSHOT_HISTORY) {
+    this.size = size;
+    this.snapshots = new Map(); // id -> snapshot, oldest first
+    this.latest = null;
+    this.updates = new Map(); // baseline id -> update to the latest snapshot
+  }
+
+  // Record a GameEngine.getOptimizedGameState result as the next snapshot. Records and section values
+  // that did not change are shared with the previous snapshot, so comparing their JSON is cheap.
+  capture(state, terrainVersion) {
+    const previous = this.latest;
+    const snapshot = { id: nextSnapshotId++, terrainVersion, entities: {}, sections: {}, state: null };
+    snapshot.state = { snapshotId: snapshot.id };
+
+    for (const kind of ENTITY_KINDS) {
+      const entries = new Map();
+      for (const entity of state[kind]) {
+        const record = toRecord[kind](entity);
+        const json = JSON.stringify(record);
+        const last = previous?.entities[kind].get(record.id);
+        entries.set(record.id, last && last.json === json ? last : { record, json });
+      }
+      snapshot.entities[kind] = entries;
+      snapshot.state[kind] = Array.from(entries.values(), entry => entry.record);
+    }
+
+    for (const section of SECTIONS) {
+      if (previous && TERRAIN_SECTIONS.has(section) && previous.terrainVersion === terrainVersion) {
+        snapshot.sections[section] = previous.sections[section];
+      } else {
+        const json = JSON.stringify(state[section] ?? null);
+        const last = previous?.sections[section];
+        snapshot.sections[section] = last && last.json === json ? last : { value: JSON.parse(json), json };
+      }
+      snapshot.state[section] = snapshot.sections[section].value;
+    }
+
+    this.snapshots.set(snapshot.id, snapshot);
+    if (this.snapshots.size > this.size) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+    this.latest = snapshot;
+    this.updates.clear();
+    return snapshot;
+  }
+
+  get(id) {
+    return this.snapshots.get(id) || null;
+  }
+
+  // The message that brings a client holding baselineId to the latest snapshot: a delta while the
+  // baseline is still in the history, else the full snapshot. Clients on the same baseline share it.
+  getUpdate(baselineId) {
+    const baseline = this.get(baselineId);
+    const key = baseline ? baseline.id : null;
+    let update = this.updates.get(key);
+    if (!update) {
+      update = baseline ? diffSnapshots(baseline, this.latest)
+        : { type: 'full', snapshotId: this.latest.id, data: this.latest.state };
+      this.updates.set(key, update);
+    }
+    return update;
+  }
+
+  clear() {
+    this.snapshots.clear();
+    this.latest = null;
+    this.updates.clear();
+  }
+}
+
+// Entity kinds with changes get { added, updated, removed } (records, records, ids); changed sections their new value
+export function diffSnapshots(baseline, snapshot) {
+  const delta = { type: 'delta', snapshotId: snapshot.id, baselineId: baseline.id };
+
+  for (const kind of ENTITY_KINDS) {
+    const before = baseline.entities[kind];
+    const after = snapshot.entities[kind];
+    const added = [];
+    const updated = [];
+    const removed = [];
+    for (const [id, entry] of after) {
+      const last = before.get(id);
+      if (!last) {
+        added.push(entry.record);
+      } else if (last !== entry && last.json !== entry.json) {
+        updated.push(entry.record);
+      }
+    }
+    for (const id of before.keys()) {
+      if (!after.has(id)) removed.push(id);
+    }
+    if (added.length > 0 || updated.length > 0 || removed.length > 0) {
+      delta[kind] = { added, updated, removed };
+    }
+  }
+
+  for (const section of SECTIONS) {
+    const entry = snapshot.sections[section];
+    if (!entry) continue; // outside the client's view
+    const last = baseline.sections[section];
+    if (!last || (last !== entry && last.json !== entry.json)) delta[section] = entry.value;
+  }
+
+  return delta;
+}
+
+// Part of a snapshot, shaped like one so it can be diffed and sent the same way. entities: kind -> true
+// for all of them or a Set of ids (kinds left out are empty); sections: the names to keep.
+export function viewSnapshot(snapshot, { entities = {}, sections = SECTIONS }) {
+  const view = { id: snapshot.id, terrainVersion: snapshot.terrainVersion, entities: {}, sections: {}, state: null };
+  view.state = { snapshotId: snapshot.id };
+
+  for (const kind of ENTITY_KINDS) {
+    const ids = entities[kind];
+    if (ids === true) {
+      view.entities[kind] = snapshot.entities[kind];
+      view.state[kind] = snapshot.state[kind];
+      continue;
+    }
+
+    const entries = new Map();
+    if (ids) {
+      for (const [id, entry] of snapshot.entities[kind]) {
+        if (ids.has(id)) entries.set(id, entry);
+      }
+    }
+    view.entities[kind] = entries;
+    view.state[kind] = Array.from(entries.values(), entry => entry.record);
+  }
+
+  for (const section of sections) {
+    view.sections[section] = snapshot.sections[section];
+    view.state[section] = snapshot.state[section];
+  }
+
+  return view;
+}
+
+// The state a delta describes, built on the baseline state it was made against (which is left untouched)
+export function applyDelta(baseline, delta) {
+  const state = { ...baseline, snapshotId: delta.snapshotId };
+
+  for (const kind of ENTITY_KINDS) {
+    const changes = delta[kind];
+    if (!changes) continue;
+
+    // Updated entities keep their place, added ones go last
+    const entities = new Map((baseline[kind] || []).map(entity => [entity.id, entity]));
+    for (const id of changes.removed) entities.delete(id);
+    for (const record of changes.updated) entities.set(record.id, record);
+    for (const record of changes.added) entities.set(record.id, record);
+    state[kind] = Array.from(entities.values());
+  }
+
+  for (const section of SECTIONS) {
+    if (section in delta) state[section] = delta[section];
+  }
+
+  return state;
+}
+
+// Client side: the snapshots received lately, for deltas to build on
+export class SnapshotBuffer {
+  constructor(size = SNAPSHOT_HISTORY) {
+    this.size = size;
+    this.states = new Map(); // snapshot id -> state, oldest first
+  }
+
+  get(id) {
+    return this.states.get(id) || null;
+  }
+
+  // The complete state a full or delta message describes (the page acks its snapshotId), or null for a
+  // delta against a snapshot no longer held - the server sends a full one once the ack is too old.
+  // Records are shared between snapshots: pages may replace the state's fields but not edit the records.
+  receive(message) {
+    let state;
+    if (message.type === 'full') {
+      state = { ...message.data, snapshotId: message.snapshotId };
+    } else {
+      const baseline = this.get(message.baselineId);
+      if (!baseline) return null;
+      state = applyDelta(baseline, message);
+    }
+
+    this.states.set(state.snapshotId, state);
+    if (this.states.size > this.size) {
+      this.states.delete(this.states.keys().next().value);
+    }
+    return { ...state };
+  }
+}
@@ -261,6 +261,19 @@ export class HybridSpatialSystem {
     }
   }
 
+  // Get all entities overlapping an area (e.g. game mode zones)
+  getEntitiesInArea(bounds) {
+    this.stats.totalQueries++;
+    
+    if (this.quadTree) {
+      this.stats.quadTreeQueries++;
+      return this.quadTree.retrieve(bounds);
+    } else {
+      this.stats.hashQueries++;
+      return this.spatialHash.getEntitiesInArea(bounds);
+    }
+  }
+
   // Update all entities (rebuild spatial structures)
   update(entities) {
     this.entityCount = entities.length;
@@ -1,5 +1,8 @@
-import { GAME_PARAMS, DAMAGE_PARAMS } from './constants.js';
+import { GAME_PARAMS, DAMAGE_PARAMS, TANK_ATTRIBUTES, ARENA_BOUNDS, TANK_COLLISION } from './constants.js';
+import { checkOBBCollision } from './collision.js';
 import { memoryManager } from './objectPools.js';
+import { Scoreboard } from './scoreboard.js';
+import { defaultSimulation } from './simulation.js';
 
 // Game State Types
 export class Vector2 {
@@ -154,9 +157,29 @@ export class TankAttributes {
   }
 }
 
+// Combat rules a tank plays by: damage per hit, reload and respawn times, attribute limits.
+// A GameEngine shares one rules object between all its tanks and updates it when balance settings change.
+export function createCombatRules({ damageParams, reloadTime, respawnTime, attributeLimits } = {}) {
+  return {
+    damageParams: damageParams || {
+      health: DAMAGE_PARAMS.HEALTH,
+      speed: DAMAGE_PARAMS.SPEED,
+      rotation: DAMAGE_PARAMS.ROTATION,
+      kinetics: DAMAGE_PARAMS.KINETICS,
+      gasoline: DAMAGE_PARAMS.GASOLINE
+    },
+    reloadTime: reloadTime ?? GAME_PARAMS.RELOAD_TIME,
+    respawnTime: respawnTime ?? GAME_PARAMS.RESPAWN_TIME,
+    attributeLimits: attributeLimits || Object.fromEntries(
+      Object.entries(TANK_ATTRIBUTES).map(([name, limit]) => [name.toLowerCase(), limit]))
+  };
+}
+
 export class Tank {
-  constructor(id, position, angle = 0) {
+  constructor(id, position, angle = 0, combatRules = createCombatRules(), simulation = defaultSimulation) {
     this.id = id;
+    this.combatRules = combatRules;
+    this.simulation = simulation; // Random numbers and time (see simulation.js)
     this.position = position;
     this.angle = angle || 0; // Ensure angle is never null
     this.velocity = new Vector2(0, 0);
@@ -169,6 +192,10 @@ export class Tank {
     this.firingImmunity = 0; // Timestamp until which tank is immune to shell damage
     this.isAI = false;
     this.lastShotShell = null; // For AI tanks to store shells before they're added to game state
+    this.inputSeq = null; // Newest numbered controller input applied, and for how many ticks (see prediction.js)
+    this.inputTicks = 0;
+    this.latency = 0; // Measured controller round trip in ms (server side, for lag compensation)
+    this.speedFactor = 1; // Game mode slowdown on top of the speed attribute (e.g. carrying a flag)
     
     // Shooting animation state (matching tank designer)
     this.isFiring = false;
@@ -211,7 +238,16 @@ export class Tank {
     };
   }
 
-  update(deltaTime, gasolinePerUnit = GAME_PARAMS.GASOLINE_PER_UNIT, gasolineSpeedPenalty = GAME_PARAMS.GASOLINE_SPEED_PENALTY, trees = []) {
+  // Steer towards a joystick direction: full deflection is magnitude 1, longer vectors are cut to it so
+  // the tank never beats its speed. Client-side prediction drives its copy of the tank the same way.
+  setMovementInput({ x, y }) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    const scale = magnitude > 1 ? 1 / magnitude : 1;
+    const speed = this.attributes.speed;
+    this.targetVelocity = new Vector2(x * scale * speed, y * scale * speed);
+  }
+
+  update(deltaTime, gasolinePerUnit = GAME_PARAMS.GASOLINE_PER_UNIT, gasolineSpeedPenalty = GAME_PARAMS.GASOLINE_SPEED_PENALTY, trees = [], arenaBounds = ARENA_BOUNDS) {
     // Removed excessive debug logging for cleaner output
     if (!this.isAlive) {
       this.respawnTime -= deltaTime;
@@ -226,10 +262,10 @@ export class Tank {
       this.reloadTime = Math.max(0, this.reloadTime - deltaTime);
     }
 
-    // Apply gasoline penalty
-    const effectiveSpeed = this.attributes.gasoline <= 0 
+    // Apply gasoline penalty and the game mode's slowdown
+    const effectiveSpeed = (this.attributes.gasoline <= 0 
       ? this.attributes.speed * gasolineSpeedPenalty 
-      : this.attributes.speed;
+      : this.attributes.speed) * this.speedFactor;
 
     // Calculate movement based on tank's current facing direction (realistic tank movement)
     const targetMagnitude = this.targetVelocity.magnitude();
@@ -362,12 +398,12 @@ export class Tank {
       this.attributes.gasoline = Math.max(0, this.attributes.gasoline - gasolineConsumed);
     }
 
-    // Keep tank within bounds
-    this.position.x = Math.max(10, Math.min(1490, this.position.x));
-    this.position.y = Math.max(10, Math.min(890, this.position.y));
+    // Keep tank within the arena (shrinks with the safe zone in Last Tank Standing)
+    this.position.x = Math.max(arenaBounds.minX, Math.min(arenaBounds.maxX, this.position.x));
+    this.position.y = Math.max(arenaBounds.minY, Math.min(arenaBounds.maxY, this.position.y));
     
     // Update recoil animation (matching tank designer)
-    const currentTime = Date.now();
+    const currentTime = this.simulation.now();
     const timeSinceFire = currentTime - this.lastFireTime;
     
     if (this.isFiring && timeSinceFire < 1000) { // 1 second animation
@@ -445,17 +481,23 @@ export class Tank {
   }
 
   respawn() {
+    const { random } = this.simulation;
     this.isAlive = true;
     this.position = new Vector2(
-      Math.random() * 1000 + 100,
-      Math.random() * 600 + 100
+      random.range(100, 1100),
+      random.range(100, 700)
     );
-    this.angle = Math.random() * Math.PI * 2;
+    this.angle = random.range(0, Math.PI * 2);
     this.velocity = new Vector2(0, 0);
     this.targetVelocity = new Vector2(0, 0);
     this.attributes = new TankAttributes();
+    // Back at full strength: every attribute at its current maximum
+    for (const [name, limit] of Object.entries(this.combatRules.attributeLimits)) {
+      this.attributes[name] = limit.max;
+    }
     this.respawnTime = 0;
     this.reloadTime = 0;
+    this.speedFactor = 1;
     this.firingImmunity = 0; // Reset firing immunity on respawn
   }
 
@@ -469,31 +511,35 @@ export class Tank {
     return canShoot;
   }
 
-  shoot() {
+  // origin: { position, angle } to fire from instead of the current pose (lag compensation)
+  shoot(origin = null) {
     // Removed excessive logging - only log critical events
     if (!this.canShoot()) {
       return null;
     }
+    const { position, angle } = origin || this;
+    
+    const now = this.simulation.now();
     
     // Set a brief firing immunity to prevent self-damage
-    this.firingImmunity = Date.now() + 200; // 200ms immunity after firing
+    this.firingImmunity = now + 200; // 200ms immunity after firing
     
     this.attributes.ammunition--;
-    this.reloadTime = 1000; // 1 second reload time
-    this.lastShot = Date.now();
+    this.reloadTime = this.combatRules.reloadTime;
+    this.lastShot = now;
 
     // Trigger shooting animation (matching tank designer)
     this.isFiring = true;
     this.fireAnimation = 0;
-    this.lastFireTime = Date.now();
+    this.lastFireTime = now;
     
     // Set random pendulum direction for varied animation
-    this.pendulumDirection = Math.random() < 0.5 ? 1 : -1;
+    this.pendulumDirection = this.simulation.random.chance(0.5) ? 1 : -1;
 
     const shellSpeed = this.attributes.kinetics;
     
     // OPTIMIZATION: Use object pool for direction vector
-    const direction = memoryManager.getVector(Math.cos(this.angle), Math.sin(this.angle));
+    const direction = memoryManager.getVector(Math.cos(angle), Math.sin(angle));
     
     // OPTIMIZATION: Calculate shell velocity in-place
     const shellVelocity = memoryManager.getVector(direction.x * shellSpeed, direction.y * shellSpeed);
@@ -501,8 +547,8 @@ export class Tank {
     // OPTIMIZATION: Calculate shell position in-place
     const shellOffset = 20; // Reduced distance to be closer to tank barrel
     const shellPosition = memoryManager.getVector(
-      this.position.x + direction.x * shellOffset,
-      this.position.y + direction.y * shellOffset
+      position.x + direction.x * shellOffset,
+      position.y + direction.y * shellOffset
     );
     
     // OPTIMIZATION: Use object pooling for shell creation (eliminates GC spikes)
@@ -510,8 +556,9 @@ export class Tank {
       this.id,
       shellPosition,
       shellVelocity,
-      Date.now(),
-      this.firingImmunity // Pass immunity time to shell
+      now,
+      this.firingImmunity, // Pass immunity time to shell
+      `shell_${now}_${this.simulation.random.id()}`
     );
 
     // For AI tanks, store the shell to be added by the game engine
@@ -533,7 +580,7 @@ export class Tank {
     if (!this.isAlive) return false;
 
     // Check if tank has firing immunity
-    const currentTime = Date.now();
+    const currentTime = this.simulation.now();
     if (this.firingImmunity > currentTime) {
       return false;
     }
@@ -542,11 +589,13 @@ export class Tank {
     if (fromShell && fromShell.shooterImmunity > currentTime && fromShell.shooterId === this.id) {
       return false;
     }
-    this.attributes.health -= DAMAGE_PARAMS.HEALTH;
-    this.attributes.speed = Math.max(5, this.attributes.speed - DAMAGE_PARAMS.SPEED);
-    this.attributes.rotation = Math.max(5, this.attributes.rotation - DAMAGE_PARAMS.ROTATION);
-    this.attributes.kinetics = Math.max(50, this.attributes.kinetics - DAMAGE_PARAMS.KINETICS);
-    this.attributes.gasoline = Math.max(0, this.attributes.gasoline - DAMAGE_PARAMS.GASOLINE);
+    // Each hit wears every attribute down, but never below its minimum (health can reach zero)
+    const { damageParams, attributeLimits } = this.combatRules;
+    this.attributes.health -= damageParams.health;
+    this.attributes.speed = Math.max(attributeLimits.speed.min, this.attributes.speed - damageParams.speed);
+    this.attributes.rotation = Math.max(attributeLimits.rotation.min, this.attributes.rotation - damageParams.rotation);
+    this.attributes.kinetics = Math.max(attributeLimits.kinetics.min, this.attributes.kinetics - damageParams.kinetics);
+    this.attributes.gasoline = Math.max(attributeLimits.gasoline.min, this.attributes.gasoline - damageParams.gasoline);
     
     if (this.attributes.health <= 0) {
       this.die();
@@ -557,7 +606,7 @@ export class Tank {
 
   die() {
     this.isAlive = false;
-    this.respawnTime = 5000; // 5 seconds
+    this.respawnTime = this.combatRules.respawnTime;
   }
 
   getBoundingBox() {
@@ -628,6 +677,49 @@ export class Tank {
     return Math.abs(localX) <= halfWidth && Math.abs(localY) <= halfHeight;
   }
 
+  // Heavier with more armor, fuel and shells on board
+  getMass() {
+    const { health, gasoline, ammunition } = this.attributes;
+    return TANK_COLLISION.BASE_MASS +
+      Math.max(0, health) * TANK_COLLISION.HEALTH_MASS +
+      gasoline * TANK_COLLISION.GASOLINE_MASS +
+      ammunition * TANK_COLLISION.AMMUNITION_MASS;
+  }
+
+  // Part this tank and another when their hulls overlap: the lighter one gives way more, and tanks
+  // closing on each other bounce apart by mass. Returns the contact - normal from this tank to the other,
+  // closing speed before the bounce - or null when they do not touch
+  collideWith(other, restitution = TANK_COLLISION.RESTITUTION) {
+    const contact = checkOBBCollision(this.getOrientedBoundingBox(), other.getOrientedBoundingBox());
+    if (!contact) return null;
+
+    const { normal, depth } = contact;
+    const inverseMass = 1 / this.getMass();
+    const otherInverseMass = 1 / other.getMass();
+    const totalInverseMass = inverseMass + otherInverseMass;
+
+    // Separate them along the normal
+    const push = depth / totalInverseMass;
+    this.position.x -= normal.x * push * inverseMass;
+    this.position.y -= normal.y * push * inverseMass;
+    other.position.x += normal.x * push * otherInverseMass;
+    other.position.y += normal.y * push * otherInverseMass;
+    this.updateBounds();
+    other.updateBounds();
+
+    // Impulse along the normal, only while they are still closing
+    const closingSpeed = (this.velocity.x - other.velocity.x) * normal.x + (this.velocity.y - other.velocity.y) * normal.y;
+    if (closingSpeed > 0) {
+      const impulse = (1 + restitution) * closingSpeed / totalInverseMass;
+      this.velocity.x -= normal.x * impulse * inverseMass;
+      this.velocity.y -= normal.y * impulse * inverseMass;
+      other.velocity.x += normal.x * impulse * otherInverseMass;
+      other.velocity.y += normal.y * impulse * otherInverseMass;
+    }
+
+    return { normal, closingSpeed: Math.max(0, closingSpeed) };
+  }
+
 
 }
 
@@ -635,9 +727,11 @@ export class Shell {
   constructor(shooterId, position, velocity, timestamp, shooterImmunity = 0) {
     this.shooterId = shooterId;
     this.position = position;
+    this.previous = { x: position.x, y: position.y }; // position at the start of the last update, for swept collision
     this.velocity = velocity;
     this.timestamp = timestamp;
     this.shooterImmunity = shooterImmunity; // Time until shooter is immune to this shell
+    this.rewind = 0; // ms behind the present it is checked against tanks (lag compensation)
     // Removed lifetime since shells should persist until collision or going off-screen
     
     // OPTIMIZATION: Spatial partitioning bounds (updated on position change)
@@ -648,6 +742,8 @@ export class Shell {
   update(deltaTime) {
     // OPTIMIZATION: Update position in-place instead of creating new Vector2 objects
     const deltaTimeSeconds = deltaTime / 1000;
+    this.previous.x = this.position.x;
+    this.previous.y = this.position.y;
     this.position.x += this.velocity.x * deltaTimeSeconds;
     this.position.y += this.velocity.y * deltaTimeSeconds;
     
@@ -688,12 +784,14 @@ export class Shell {
 }
 
 export class Upgrade {
-  constructor(type, position, rotationRange = 30) {
+  constructor(type, position, rotationRange = 30, simulation = defaultSimulation) {
     this.type = type;
     this.position = position;
     this.collected = false;
     // Add random rotation based on rotation range (converted to radians)
-    this.rotation = (Math.random() - 0.5) * (rotationRange * Math.PI / 180); // Convert degrees to radians
+    this.rotation = (simulation.random.next() - 0.5) * (rotationRange * Math.PI / 180); // Convert degrees to radians
+    // Network snapshots track upgrades by id
+    this.id = `upgrade_${simulation.random.id()}`;
     
     // OPTIMIZATION: Spatial partitioning bounds (static for upgrades)
     this.bounds = null;
@@ -723,14 +821,17 @@ export class Upgrade {
 }
 
 export class Tree {
-  constructor(position, size) {
+  constructor(position, size, simulation = defaultSimulation) {
+    // Spatial hashing only indexes entities with an id; without one shells would fly through trunks
+    this.id = `tree_${simulation.random.id()}`;
     this.position = position;
     this.size = size;
+    this.simulation = simulation; // Random looks and impact timing (see simulation.js)
     this.swingAngle = 0; // Current swing angle in radians
     this.swingVelocity = 0; // Angular velocity (rad/s)
     this.naturalFrequency = 2.0; // Natural frequency of pendulum (rad/s)
     this.dampingRatio = 0.1; // Damping ratio (0 = no damping, 1 = critical damping)
-    this.lastImpactTime = Date.now() - 10000; // Initialize to 10 seconds ago (no recent impact)
+    this.lastImpactTime = simulation.now() - 10000; // Initialize to 10 seconds ago (no recent impact)
     
     // Temporary frequency boost state when hit by a tank
     this.frequencyBoostUntil = 0; // timestamp in ms
@@ -738,8 +839,8 @@ export class Tree {
     
     // Visual properties for consistent rendering
     const treeTypes = ['tree1', 'tree2', 'tree3'];
-    this.treeType = treeTypes[Math.floor(Math.random() * treeTypes.length)];
-    this.leafRotation = Math.random() * Math.PI * 2; // Random rotation between 0 and 2π
+    this.treeType = simulation.random.pick(treeTypes);
+    this.leafRotation = simulation.random.range(0, Math.PI * 2); // Random rotation between 0 and 2π
     
     // OPTIMIZATION: Spatial partitioning bounds (static for trees)
     this.bounds = null;
@@ -781,7 +882,7 @@ export class Tree {
     this.foliageVelocityX = Math.max(-2.5, Math.min(2.5, this.foliageVelocityX)); // Reduced from ±3.5 to ±2.5
     this.foliageVelocityY = Math.max(-2.5, Math.min(2.5, this.foliageVelocityY)); // Reduced from ±3.5 to ±2.5
     
-    this.lastImpactTime = Date.now();
+    this.lastImpactTime = this.simulation.now();
     
     // OPTIMIZATION: Release pooled vector
     memoryManager.release(impactDirection);
@@ -798,9 +899,17 @@ export class Tree {
     };
   }
 
+  // The round trunk shells and tanks hit, centered like the bounds
+  getTrunkCircle() {
+    return {
+      center: { x: this.position.x, y: this.position.y - this.size / 2 },
+      radius: this.size / 16
+    };
+  }
+
   // Temporarily increase swing frequency (oscillation speed) without increasing amplitude
   boostSwingFrequency(durationMs = 1000, factor = 1.5) {
-    const now = Date.now();
+    const now = this.simulation.now();
     this.frequencyBoostUntil = Math.max(this.frequencyBoostUntil, now + durationMs);
     this.frequencyBoostFactor = Math.max(1, Math.min(3, factor));
   }
@@ -810,7 +919,7 @@ export class Tree {
     const dt = deltaTime / 1000; // Convert to seconds
     
     // Only apply swing animation if there's been a recent impact (within last 5 seconds)
-    const timeSinceLastImpact = Date.now() - this.lastImpactTime;
+    const timeSinceLastImpact = this.simulation.now() - this.lastImpactTime;
     const impactThreshold = 5000; // 5 seconds
     
     if (timeSinceLastImpact > impactThreshold) {
@@ -839,7 +948,7 @@ export class Tree {
     // Proper pendulum physics with gravity
     const baseGravity = 2.0; // Base gravity constant controls oscillation speed
     // Apply temporary frequency boost if active
-    const nowTs = Date.now();
+    const nowTs = this.simulation.now();
     const gravityBoost = nowTs < this.frequencyBoostUntil ? this.frequencyBoostFactor : 1;
     const gravity = baseGravity * gravityBoost;
     const dampingConstant = 0.3; // Air resistance
@@ -919,6 +1028,141 @@ export class Patch {
   }
 }
 
+// Capture the Flag: a team's flag sits at its base until an enemy tank picks it up
+export class Flag {
+  constructor(team, color, homePosition) {
+    this.id = `flag_${team}`;
+    this.team = team;
+    this.color = color;
+    this.homePosition = homePosition;
+    this.position = homePosition.clone();
+    this.carrierId = null;
+    this.droppedAt = null; // Game time when the flag was dropped (null while home or carried)
+    
+    // OPTIMIZATION: Spatial partitioning bounds (updated on position change)
+    this.bounds = null;
+    this.updateBounds();
+  }
+
+  get isHome() {
+    return this.carrierId === null && this.droppedAt === null;
+  }
+
+  get isDropped() {
+    return this.droppedAt !== null;
+  }
+
+  pickUp(tankId) {
+    this.carrierId = tankId;
+    this.droppedAt = null;
+  }
+
+  drop(position, gameTime) {
+    this.carrierId = null;
+    this.position = new Vector2(position.x, position.y);
+    this.droppedAt = gameTime;
+    this.updateBounds();
+  }
+
+  returnHome() {
+    this.carrierId = null;
+    this.droppedAt = null;
+    this.position = this.homePosition.clone();
+    this.updateBounds();
+  }
+
+  // Carried flags follow their carrier
+  followCarrier(position) {
+    this.position.x = position.x;
+    this.position.y = position.y;
+    this.updateBounds();
+  }
+
+  updateBounds() {
+    const size = 24;
+    this.bounds = {
+      x: this.position.x - size / 2,
+      y: this.position.y - size / 2,
+      width: size,
+      height: size
+    };
+  }
+
+  getBoundingBox() {
+    return this.bounds;
+  }
+}
+
+// Capture the Flag: circular team base where the team's flag rests and captures are scored
+export class Base {
+  constructor(team, color, position, radius = 60) {
+    this.id = `base_${team}`;
+    this.team = team;
+    this.color = color;
+    this.position = position;
+    this.radius = radius;
+  }
+
+  contains(position) {
+    return this.position.distanceSquared(position) <= this.radius * this.radius;
+  }
+
+  getBoundingBox() {
+    return {
+      x: this.position.x - this.radius,
+      y: this.position.y - this.radius,
+      width: this.radius * 2,
+      height: this.radius * 2
+    };
+  }
+}
+
+// King of the Hill: circular control zone captured by standing inside it
+export class ControlZone {
+  constructor(id, label, position, radius = 80) {
+    this.id = id;
+    this.label = label;
+    this.position = position;
+    this.radius = radius;
+    this.owner = null;          // Team currently holding the zone
+    this.capturingTeam = null;  // Team the progress belongs to
+    this.progress = 0;          // 0..1 capture progress of capturingTeam
+    this.contested = false;     // More than one team inside: progress is frozen
+    
+    // Static bounds for spatial queries
+    this.bounds = {
+      x: position.x - radius,
+      y: position.y - radius,
+      width: radius * 2,
+      height: radius * 2
+    };
+  }
+
+  contains(position) {
+    return this.position.distanceSquared(position) <= this.radius * this.radius;
+  }
+
+  getBoundingBox() {
+    return this.bounds;
+  }
+}
+
+// Last Tank Standing: circular safe zone that shrinks in stages, tanks outside it are drained
+export class SafeZone {
+  constructor(position, radius) {
+    this.position = position;
+    this.radius = radius;
+    this.targetRadius = radius;   // Radius at the end of the current or next stage
+    this.stage = 0;               // Number of stages started so far
+    this.shrinking = false;
+    this.nextChangeIn = null;     // ms until the next shrink starts or the current one ends
+  }
+
+  contains(position) {
+    return this.position.distanceSquared(position) <= this.radius * this.radius;
+  }
+}
+
 export class Player {
   constructor(id, callname, tankColor, team) {
     this.id = id;
@@ -940,6 +1184,11 @@ export class GameState {
     this.upgrades = [];
     this.trees = [];
     this.patches = [];
+    this.flags = []; // Capture the Flag only
+    this.bases = []; // Capture the Flag only
+    this.zones = []; // King of the Hill only
+    this.safeZone = null; // Last Tank Standing only
+    this.scoreboard = new Scoreboard();
 
     this.gameTime = 0;
     this.lastUpdate = Date.now();
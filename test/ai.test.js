@@ -0,0 +1,151 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIController } from '../src/shared/ai.js';
+import { TEAMS } from '../src/shared/constants.js';
+import { TICK, silenceLogs, createTestEngine, goLive, placeTank, placeUpgrade } from './helpers.js';
+
+beforeEach(() => silenceLogs());
+
+// An AI-driven tank at (200, 300); decisions are made by calling makeDecision directly
+function createAI(aiLevel = 'hard', areEnemies = null) {
+  const engine = createTestEngine();
+  const tank = placeTank(engine, 'ai', 200, 300);
+  const ai = new AIController(tank, engine.gameState, aiLevel, areEnemies, engine.simulation);
+  return { engine, tank, ai };
+}
+
+test('an armed AI targets an enemy', () => {
+  const { engine, ai } = createAI();
+  const enemy = placeTank(engine, 'enemy', 500, 300);
+
+  ai.makeDecision();
+  assert.equal(ai.targetType, 'enemy');
+  assert.equal(ai.target, enemy);
+});
+
+test('the AI prefers closer and weaker enemies', () => {
+  const { engine, ai } = createAI();
+  const near = placeTank(engine, 'near', 300, 300);
+  const far = placeTank(engine, 'far', 900, 300);
+  assert.equal(ai.selectBestTarget([far, near]), near);
+
+  far.attributes.health = 10;
+  assert.equal(ai.selectBestTarget([near, far]), far, 'a badly damaged tank is worth the trip');
+});
+
+test('teammates and destroyed tanks are not targeted', () => {
+  const teams = { ai: TEAMS.NATO, friend: TEAMS.NATO, foe: TEAMS.CSTO };
+  const { engine, ai } = createAI('hard', (a, b) => teams[a] !== teams[b]);
+  placeTank(engine, 'friend', 250, 300);
+  const foe = placeTank(engine, 'foe', 800, 300);
+
+  assert.deepEqual(ai.getEnemies(), [foe]);
+
+  foe.die();
+  ai.invalidateCache();
+  ai.makeDecision();
+  assert.equal(ai.target, null);
+});
+
+test('an AI out of ammunition goes for an ammunition upgrade instead of fighting', () => {
+  const { engine, tank, ai } = createAI();
+  placeTank(engine, 'enemy', 500, 300);
+  placeUpgrade(engine, 'SPEED', 220, 300);
+  const ammo = placeUpgrade(engine, 'AMMUNITION', 600, 600);
+  tank.attributes.ammunition = 0;
+
+  ai.makeDecision();
+  assert.equal(ai.targetType, 'upgrade');
+  assert.equal(ai.target, ammo);
+});
+
+test('an AI at critical health goes for the upgrade it needs most', () => {
+  const { engine, tank, ai } = createAI();
+  placeTank(engine, 'enemy', 500, 300);
+  placeUpgrade(engine, 'KINETICS', 250, 300);
+  const health = placeUpgrade(engine, 'HEALTH', 400, 500);
+  tank.attributes.health = 15;
+
+  ai.makeDecision();
+  assert.equal(ai.targetType, 'upgrade');
+  assert.equal(ai.target, health);
+});
+
+test('an AI outside the safe zone heads back in before anything else', () => {
+  const { engine, tank, ai } = createAI();
+  placeTank(engine, 'enemy', 300, 300);
+  const safeZone = { position: { x: 600, y: 400 }, contains: () => false };
+  engine.gameState.safeZone = safeZone;
+
+  ai.makeDecision();
+  assert.equal(ai.targetType, 'safeZone');
+
+  ai.executeAction(0);
+  assert.ok(tank.targetVelocity.x > 0 && tank.targetVelocity.y > 0, 'drives towards the zone centre');
+});
+
+test('an AI fires when aimed at an enemy in range, but not at point-blank range', () => {
+  const { engine, tank, ai } = createAI();
+  const enemy = placeTank(engine, 'enemy', 400, 300);
+  ai.accuracy = 1; // take the dice out of it
+  const ammo = tank.attributes.ammunition;
+
+  ai.attemptShot(enemy, 200, 0, 10000);
+  assert.equal(tank.attributes.ammunition, ammo - 1);
+  assert.equal(ai.lastShotTime, 10000);
+
+  ai.attemptShot(enemy, 200, 0, 10000 + ai.minShotInterval - 1);
+  assert.equal(tank.attributes.ammunition, ammo - 1, 'waits out the shot interval');
+
+  tank.reloadTime = 0;
+  ai.attemptShot(enemy, 20, 0, 20000);
+  assert.equal(tank.attributes.ammunition, ammo - 1, 'too close to shoot');
+});
+
+test('an AI that has not moved for three seconds tries an emergency maneuver', () => {
+  const { engine, tank, ai } = createAI();
+  ai.target = placeTank(engine, 'enemy', 500, 300);
+  ai.targetType = 'enemy';
+
+  ai.checkIfStuck(0);
+  ai.checkIfStuck(2000);
+  assert.equal(ai.targetType, 'enemy', 'not yet');
+
+  ai.checkIfStuck(3500);
+  assert.equal(ai.target, null);
+  const speed = Math.hypot(tank.targetVelocity.x, tank.targetVelocity.y);
+  assert.ok(Math.abs(speed - tank.attributes.speed * 0.8) < 1e-9);
+});
+
+test('AI matches play out identically from the same seed', () => {
+  const play = () => {
+    const engine = createTestEngine(42);
+    engine.addAITank('hard');
+    engine.addAITank('insane');
+    goLive(engine);
+    for (let i = 0; i < 600; i++) engine.update(TICK);
+    return [...engine.gameState.tanks.values()].map(tank => ({
+      position: { x: tank.position.x, y: tank.position.y },
+      angle: tank.angle,
+      attributes: { ...tank.attributes }
+    }));
+  };
+
+  assert.deepEqual(play(), play());
+});
+
+test('AI tanks heading for the same spot keep apart instead of piling onto it', () => {
+  const { engine, tank, ai } = createAI();
+  const other = placeTank(engine, 'other', 200, 400);
+  const otherAI = new AIController(other, engine.gameState, 'hard', null, engine.simulation);
+  goLive(engine);
+
+  const spot = { x: 400, y: 350 };
+  for (let i = 0; i < 600; i++) {
+    ai.moveTowardsWithAvoidance(spot);
+    otherAI.moveTowardsWithAvoidance(spot);
+    engine.update(TICK);
+  }
+  const distance = Math.hypot(tank.position.x - other.position.x, tank.position.y - other.position.y);
+  assert.ok(distance > 50, `${distance.toFixed(1)} px apart, hull to hull is 48`);
+});
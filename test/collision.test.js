@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkAABBCollision, checkLineIntersectsAABB, checkOBBCollision, checkPointInAABB, sweepSegmentAABB, sweepSegmentOBB, sweepSegmentCircle
+} from '../src/shared/collision.js';
+
+const box = { x: 10, y: 10, width: 20, height: 10 };
+
+test('checkAABBCollision detects overlapping boxes', () => {
+  assert.equal(checkAABBCollision(box, { x: 25, y: 15, width: 10, height: 10 }), true);
+  assert.equal(checkAABBCollision(box, { x: 0, y: 0, width: 100, height: 100 }), true, 'box inside another');
+  assert.equal(checkAABBCollision(box, { x: 15, y: 12, width: 2, height: 2 }), true, 'box containing another');
+});
+
+test('checkAABBCollision ignores separated and edge-touching boxes', () => {
+  assert.equal(checkAABBCollision(box, { x: 40, y: 10, width: 5, height: 5 }), false);
+  assert.equal(checkAABBCollision(box, { x: 10, y: 25, width: 5, height: 5 }), false);
+  assert.equal(checkAABBCollision(box, { x: 30, y: 10, width: 5, height: 5 }), false, 'shared right edge');
+  assert.equal(checkAABBCollision(box, { x: 10, y: 20, width: 5, height: 5 }), false, 'shared bottom edge');
+});
+
+test('checkPointInAABB includes the edges', () => {
+  assert.equal(checkPointInAABB({ x: 20, y: 15 }, box), true);
+  assert.equal(checkPointInAABB({ x: 30, y: 20 }, box), true);
+  assert.equal(checkPointInAABB({ x: 31, y: 15 }, box), false);
+});
+
+test('checkLineIntersectsAABB detects segments crossing the box', () => {
+  assert.equal(checkLineIntersectsAABB({ x: 0, y: 15 }, { x: 50, y: 15 }, box), true, 'horizontal through');
+  assert.equal(checkLineIntersectsAABB({ x: 20, y: 0 }, { x: 20, y: 50 }, box), true, 'vertical through');
+  assert.equal(checkLineIntersectsAABB({ x: 0, y: 0 }, { x: 40, y: 30 }, box), true, 'diagonal through');
+  assert.equal(checkLineIntersectsAABB({ x: 0, y: 15 }, { x: 20, y: 15 }, box), true, 'ends inside');
+});
+
+test('checkLineIntersectsAABB ignores segments that miss or stop short', () => {
+  assert.equal(checkLineIntersectsAABB({ x: 0, y: 0 }, { x: 50, y: 0 }, box), false, 'passes above');
+  assert.equal(checkLineIntersectsAABB({ x: 0, y: 15 }, { x: 5, y: 15 }, box), false, 'stops short');
+  assert.equal(checkLineIntersectsAABB({ x: 50, y: 15 }, { x: 40, y: 15 }, box), false, 'points away');
+  assert.equal(checkLineIntersectsAABB({ x: 0, y: 40 }, { x: 40, y: 30 }, box), false, 'diagonal below');
+});
+
+test('checkLineIntersectsAABB catches a fast shell that tunnels through in one step', () => {
+  // A 300 px/s shell moves 5 px per tick; at 3000 px/s it would skip right over a thin box
+  const thinBox = { x: 100, y: 0, width: 4, height: 20 };
+  const start = { x: 90, y: 10 };
+  const end = { x: 140, y: 10 };
+
+  assert.equal(checkAABBCollision({ x: end.x - 2.5, y: end.y - 2.5, width: 5, height: 5 }, thinBox), false);
+  assert.equal(checkLineIntersectsAABB(start, end, thinBox), true);
+});
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+
+test('sweepSegmentAABB returns the entry point and the face it crossed', () => {
+  const hit = sweepSegmentAABB({ x: 20, y: 0 }, { x: 20, y: 40 }, box);
+  near(hit.t, 0.25, 't');
+  assert.deepEqual(hit.point, { x: 20, y: 10 });
+  assert.deepEqual(hit.normal, { x: 0, y: -1 });
+
+  assert.deepEqual(sweepSegmentAABB({ x: 50, y: 15 }, { x: 0, y: 15 }, box).normal, { x: 1, y: 0 }, 'from the right');
+  assert.equal(sweepSegmentAABB({ x: 0, y: 0 }, { x: 50, y: 0 }, box), null);
+});
+
+test('a path starting inside a shape hits at once, facing back along the path', () => {
+  const inBox = sweepSegmentAABB({ x: 20, y: 15 }, { x: 60, y: 15 }, box);
+  assert.equal(inBox.t, 0);
+  assert.deepEqual(inBox.point, { x: 20, y: 15 });
+  near(inBox.normal.x, -1, 'normal x');
+  near(inBox.normal.y, 0, 'normal y');
+
+  const inCircle = sweepSegmentCircle({ x: 1, y: 0 }, { x: 50, y: 0 }, { x: 0, y: 0 }, 5);
+  assert.equal(inCircle.t, 0);
+  assert.deepEqual(inCircle.normal, { x: 1, y: 0 });
+});
+
+test('sweepSegmentOBB hits a turned box on its turned faces', () => {
+  // A 48x32 hull turned side-on: 32 px wide along x, 48 px along y
+  const obb = { center: { x: 100, y: 100 }, width: 48, height: 32, angle: Math.PI / 2 };
+
+  const side = sweepSegmentOBB({ x: 0, y: 120 }, { x: 200, y: 120 }, obb);
+  near(side.point.x, 84, 'hits the left face');
+  near(side.point.y, 120, 'on the path');
+  near(side.normal.x, -1, 'normal x');
+  near(side.normal.y, 0, 'normal y');
+
+  assert.equal(sweepSegmentOBB({ x: 0, y: 130 }, { x: 200, y: 130 }, obb), null, 'passes below the hull');
+  const grown = sweepSegmentOBB({ x: 0, y: 126 }, { x: 200, y: 126 }, obb, 2.5);
+  near(grown.point.x, 81.5, 'a shell radius reaches the hull from further off');
+});
+
+test('sweepSegmentOBB finds the earliest face on a diagonal box', () => {
+  const obb = { center: { x: 0, y: 0 }, width: 20, height: 20, angle: Math.PI / 4 };
+  const hit = sweepSegmentOBB({ x: -50, y: 0 }, { x: 50, y: 0 }, obb);
+  // The corner of a 20 px square turned 45 degrees sits 10 * sqrt(2) from its center
+  near(hit.point.x, -10 * Math.SQRT2, 'x');
+  near(hit.t, (50 - 10 * Math.SQRT2) / 100, 't');
+});
+
+test('sweepSegmentCircle hits the near side of the circle', () => {
+  const hit = sweepSegmentCircle({ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 50, y: 3 }, 5);
+  near(hit.point.x, 46, 'x');
+  near(hit.normal.x, -0.8, 'normal x');
+  near(hit.normal.y, -0.6, 'normal y');
+
+  assert.equal(sweepSegmentCircle({ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 50, y: 3 }, 5), null, 'stops short');
+  assert.equal(sweepSegmentCircle({ x: 0, y: 10 }, { x: 100, y: 10 }, { x: 50, y: 3 }, 5), null, 'passes by');
+});
+
+const hull = (x, y, angle = 0) => ({ center: { x, y }, width: 48, height: 32, angle });
+
+test('checkOBBCollision returns the shortest push that parts two hulls', () => {
+  const side = checkOBBCollision(hull(100, 100), hull(140, 100));
+  near(side.depth, 8, 'nose to tail');
+  near(side.normal.x, 1, 'normal x');
+  near(side.normal.y, 0, 'normal y');
+
+  const below = checkOBBCollision(hull(100, 100), hull(110, 90));
+  near(below.depth, 22, 'side by side');
+  near(below.normal.y, -1, 'towards the second hull');
+});
+
+test('checkOBBCollision follows the hulls when they are turned', () => {
+  // Side-on, the second hull is 32 px wide along x: its axis-aligned bounds would still overlap
+  assert.equal(checkOBBCollision(hull(100, 100), hull(145, 100, Math.PI / 2)), null);
+  near(checkOBBCollision(hull(100, 100), hull(130, 100, Math.PI / 2)).depth, 10, 'turned and touching');
+
+  // Two hulls turned 45 degrees, side by side along their own short axis
+  const angle = Math.PI / 4;
+  const offset = { x: -Math.sin(angle) * 30, y: Math.cos(angle) * 30 };
+  const contact = checkOBBCollision(hull(100, 100, angle), hull(100 + offset.x, 100 + offset.y, angle));
+  near(contact.depth, 2, 'depth');
+  near(contact.normal.x, -Math.SQRT1_2, 'normal x');
+  near(contact.normal.y, Math.SQRT1_2, 'normal y');
+});
@@ -0,0 +1,356 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MATCH_PHASES } from '../src/server/matchLifecycle.js';
+import { TANK_ATTRIBUTES, UPGRADE_TYPES, TEAMS } from '../src/shared/constants.js';
+import { checkOBBCollision } from '../src/shared/collision.js';
+import { TICK, silenceLogs, createTestEngine, goLive, placeTank, placeTree, placeUpgrade } from './helpers.js';
+
+beforeEach(() => silenceLogs());
+
+function step(engine, ticks = 1) {
+  for (let i = 0; i < ticks; i++) engine.update(TICK);
+}
+
+// Step until every shell in flight has hit something or left the arena
+function stepUntilShellsLand(engine, maxTicks = 300) {
+  for (let i = 0; i < maxTicks && engine.gameState.shells.length > 0; i++) engine.update(TICK);
+  assert.equal(engine.gameState.shells.length, 0, 'shells still in flight');
+}
+
+// Shooter at (100, 300) facing a target at (300, 300)
+function createDuel(options = {}) {
+  const engine = createTestEngine();
+  if (options.mode) engine.setGameMode(options.mode);
+  const shooter = placeTank(engine, 'shooter', 100, 300, { team: options.shooterTeam });
+  const target = placeTank(engine, 'target', 300, 300, { team: options.targetTeam });
+  goLive(engine);
+  return { engine, shooter, target };
+}
+
+function fire(engine, playerId) {
+  engine.updatePlayerInput(playerId, { shoot: true });
+  assert.equal(engine.gameState.shells.length, 1, 'shell fired');
+}
+
+test('a shell that reaches an enemy damages it and credits the shooter', () => {
+  const { engine, target } = createDuel();
+  const health = target.attributes.health;
+
+  fire(engine, 'shooter');
+  stepUntilShellsLand(engine);
+
+  assert.equal(target.attributes.health, health - engine.gameSettings.damageParams.health);
+  const entry = engine.gameState.scoreboard.getEntries().find(e => e.playerId === 'shooter');
+  assert.equal(entry.shotsFired, 1);
+  assert.equal(entry.shotsHit, 1);
+  assert.equal(entry.damageDealt, engine.gameSettings.damageParams.health);
+});
+
+test('a killing shot records the kill and emits tankDestroyed', () => {
+  const { engine, target } = createDuel();
+  target.attributes.health = 1;
+  const destroyed = [];
+  engine.events.on('tankDestroyed', attribution => destroyed.push(attribution));
+
+  fire(engine, 'shooter');
+  stepUntilShellsLand(engine);
+
+  assert.equal(target.isAlive, false);
+  assert.deepEqual(destroyed, [{ victimId: 'target', killerId: 'shooter', assistIds: [] }]);
+  const entries = engine.gameState.scoreboard.getEntries();
+  assert.equal(entries.find(e => e.playerId === 'shooter').kills, 1);
+  assert.equal(entries.find(e => e.playerId === 'target').deaths, 1);
+});
+
+test('a shell leaving the barrel does not hurt its own tank', () => {
+  const { engine, shooter } = createDuel();
+
+  fire(engine, 'shooter');
+  step(engine, 2);
+
+  assert.equal(shooter.attributes.health, TANK_ATTRIBUTES.HEALTH.max);
+  assert.equal(engine.gameState.shells.length, 1, 'shell still in flight');
+});
+
+test('shells are absorbed without damage outside the live phase', () => {
+  const { engine, target } = createDuel();
+  fire(engine, 'shooter');
+  engine.match.setPhase(MATCH_PHASES.ROUND_OVER);
+
+  stepUntilShellsLand(engine);
+  assert.equal(target.attributes.health, TANK_ATTRIBUTES.HEALTH.max);
+});
+
+test('teammates cannot damage each other unless friendly fire is on', () => {
+  const { engine, target } = createDuel({ mode: 'tdm', shooterTeam: TEAMS.NATO, targetTeam: TEAMS.NATO });
+
+  fire(engine, 'shooter');
+  stepUntilShellsLand(engine);
+  assert.equal(target.attributes.health, TANK_ATTRIBUTES.HEALTH.max);
+
+  engine.updateSettings({ modeParams: { friendlyFire: true } });
+  step(engine, Math.ceil(engine.gameSettings.gameParams.reloadTime / TICK) + 1);
+  fire(engine, 'shooter');
+  stepUntilShellsLand(engine);
+  assert.ok(target.attributes.health < TANK_ATTRIBUTES.HEALTH.max);
+});
+
+test('a flag carrier is slowed without losing speed attribute points, even at the speed minimum', () => {
+  const { engine, target: carrier } = createDuel({ mode: 'ctf', shooterTeam: TEAMS.CSTO, targetTeam: TEAMS.NATO });
+  const speedMin = engine.gameSettings.attributeLimits.speed.min;
+  const flag = engine.gameState.flags.find(candidate => candidate.team === 'CSTO');
+  carrier.attributes.speed = speedMin;
+  carrier.position = flag.position.clone();
+
+  step(engine);
+  assert.equal(flag.carrierId, 'target');
+  assert.equal(carrier.speedFactor, engine.gameMode.params.carrierSpeedFactor);
+  assert.equal(carrier.attributes.speed, speedMin);
+
+  carrier.takeDamage();
+  assert.equal(carrier.attributes.speed, speedMin);
+
+  engine.gameMode.dropFlag(flag, carrier.position.clone());
+  assert.equal(carrier.speedFactor, 1);
+  assert.equal(carrier.attributes.speed, speedMin);
+});
+
+test('a tree trunk in the way stops the shell and shakes the tree', () => {
+  const { engine, target } = createDuel();
+  // Trunk at (200, 300)
+  const tree = placeTree(engine, 200, 310, 20);
+
+  fire(engine, 'shooter');
+  stepUntilShellsLand(engine);
+
+  assert.equal(target.attributes.health, TANK_ATTRIBUTES.HEALTH.max);
+  assert.ok(tree.lastImpactTime > 0, 'tree was hit');
+});
+
+test('a fast shell cannot skip over a thin trunk between ticks', () => {
+  const { engine, target } = createDuel();
+  const tree = placeTree(engine, 200, 310, 20); // 2.5 px trunk at (200, 300)
+
+  fire(engine, 'shooter');
+  const [shell] = engine.gameState.shells;
+  shell.velocity.x *= 10; // well over the trunk and shell together per tick
+  stepUntilShellsLand(engine);
+
+  assert.equal(target.attributes.health, TANK_ATTRIBUTES.HEALTH.max);
+  assert.ok(tree.lastImpactTime > 0, 'tree was hit');
+});
+
+test('shells hit a turned tank across its turned hull', () => {
+  const { engine, target } = createDuel();
+  // Turned side-on, the hull reaches 24 px above its center; the shell flies 22 px above it
+  target.position.y = 322;
+  target.angle = Math.PI / 2;
+  target.updateBounds();
+
+  fire(engine, 'shooter');
+  stepUntilShellsLand(engine);
+  assert.ok(target.attributes.health < TANK_ATTRIBUTES.HEALTH.max);
+});
+
+test('tanks push each other instead of driving through', () => {
+  const engine = createTestEngine();
+  const pusher = placeTank(engine, 'pusher', 200, 300);
+  const parked = placeTank(engine, 'parked', 260, 300);
+  goLive(engine);
+
+  engine.updatePlayerInput('pusher', { movement: { x: 1, y: 0 } });
+  for (let i = 0; i < 180; i++) {
+    engine.update(TICK);
+    const contact = checkOBBCollision(pusher.getOrientedBoundingBox(), parked.getOrientedBoundingBox());
+    assert.ok(!contact || contact.depth < 1e-6, `hulls overlap by ${contact?.depth} on tick ${i}`);
+  }
+  assert.ok(parked.position.x > 280, 'the parked tank was shoved along');
+  assert.ok(pusher.position.x < parked.position.x);
+});
+
+// Two tanks meeting head on at full speed
+function collide(gameParams = {}) {
+  const engine = createTestEngine();
+  engine.updateSettings({ gameParams });
+  const left = placeTank(engine, 'left', 200, 300);
+  const right = placeTank(engine, 'right', 252, 300, { angle: Math.PI });
+  goLive(engine);
+  left.velocity.x = left.targetVelocity.x = left.attributes.speed;
+  right.velocity.x = right.targetVelocity.x = -right.attributes.speed;
+  step(engine, 10);
+  return { engine, left, right };
+}
+
+test('ramming only does damage when the rammingDamage setting is on', () => {
+  const harmless = collide();
+  assert.equal(harmless.left.attributes.health, TANK_ATTRIBUTES.HEALTH.max);
+  assert.equal(harmless.right.attributes.health, TANK_ATTRIBUTES.HEALTH.max);
+
+  const { engine, left, right } = collide({ rammingDamage: 1 });
+  assert.ok(left.attributes.health < TANK_ATTRIBUTES.HEALTH.max);
+  assert.equal(left.attributes.health, right.attributes.health, 'even tanks share the blow');
+  const entries = engine.gameState.scoreboard.getEntries();
+  assert.equal(entries.find(e => e.playerId === 'left').damageDealt, TANK_ATTRIBUTES.HEALTH.max - right.attributes.health);
+  assert.equal(entries.find(e => e.playerId === 'left').shotsHit, 0, 'a ram is not a shell hit');
+});
+
+test('a ramming kill is credited to the other tank', () => {
+  const engine = createTestEngine();
+  engine.updateSettings({ gameParams: { rammingDamage: 10 } });
+  const rammer = placeTank(engine, 'rammer', 200, 300);
+  const victim = placeTank(engine, 'victim', 250, 300);
+  victim.attributes.health = 1;
+  goLive(engine);
+  rammer.velocity.x = rammer.targetVelocity.x = rammer.attributes.speed;
+  step(engine, 10);
+
+  assert.equal(victim.isAlive, false);
+  assert.equal(rammer.isAlive, true, 'the healthy tank shrugs it off');
+  assert.equal(engine.gameState.scoreboard.getEntries().find(e => e.playerId === 'rammer').kills, 1);
+});
+
+test('driving over an upgrade applies it, capped at the attribute maximum', () => {
+  const engine = createTestEngine();
+  const tank = placeTank(engine, 'tank', 200, 200);
+  goLive(engine);
+  tank.attributes.ammunition = 3;
+  placeUpgrade(engine, 'AMMUNITION', 210, 200);
+
+  engine.checkCollisions();
+
+  assert.equal(tank.attributes.ammunition, 3 + UPGRADE_TYPES.AMMUNITION.value);
+  assert.equal(engine.gameState.upgrades.length, 0);
+  assert.equal(engine.gameState.scoreboard.getEntries()[0].upgrades.AMMUNITION, 1);
+
+  tank.attributes.ammunition = TANK_ATTRIBUTES.AMMUNITION.max - 1;
+  placeUpgrade(engine, 'AMMUNITION', 200, 210);
+  engine.checkCollisions();
+  assert.equal(tank.attributes.ammunition, TANK_ATTRIBUTES.AMMUNITION.max);
+});
+
+test('upgrades stop at the match attribute limits', () => {
+  const engine = createTestEngine();
+  const tank = placeTank(engine, 'tank', 200, 200);
+  goLive(engine);
+  engine.setPlayerAttributeLimit('kinetics', 'max', 200);
+  tank.attributes.kinetics = 190;
+  placeUpgrade(engine, 'KINETICS', 210, 200);
+
+  engine.checkCollisions();
+  assert.equal(tank.attributes.kinetics, 200);
+});
+
+test('upgrades out of reach or under a destroyed tank stay on the field', () => {
+  const engine = createTestEngine();
+  const tank = placeTank(engine, 'tank', 200, 200);
+  goLive(engine);
+  placeUpgrade(engine, 'SPEED', 400, 400);
+  placeUpgrade(engine, 'KINETICS', 205, 200);
+  tank.die();
+
+  engine.checkCollisions();
+  assert.equal(engine.gameState.upgrades.length, 2);
+});
+
+test('collected upgrades are replaced to keep the configured count on the field', () => {
+  const engine = createTestEngine();
+  const tank = placeTank(engine, 'tank', 200, 200);
+  goLive(engine);
+  engine.updateSettings({ upgradeTypes: { gasoline: { count: 1 } } });
+  assert.deepEqual(engine.gameState.upgrades.map(upgrade => upgrade.type), ['GASOLINE']);
+
+  // Move the one on the field under the tank
+  const upgrade = engine.gameState.upgrades[0];
+  upgrade.position.x = 200;
+  upgrade.position.y = 200;
+  upgrade.updateBounds();
+  tank.attributes.gasoline = 10;
+
+  step(engine, 1);
+
+  assert.ok(tank.attributes.gasoline > 10);
+  assert.equal(engine.gameState.upgrades.length, 1);
+  assert.notEqual(engine.gameState.upgrades[0], upgrade, 'a new one was spawned');
+});
+
+test('destroyed tanks respawn at full strength after the respawn time', () => {
+  const engine = createTestEngine();
+  const tank = placeTank(engine, 'tank', 200, 200);
+  placeTank(engine, 'other', 600, 600);
+  goLive(engine);
+  tank.attributes.ammunition = 0;
+  tank.die();
+
+  step(engine, Math.floor(engine.gameSettings.gameParams.respawnTime / TICK) - 1);
+  assert.equal(tank.isAlive, false);
+  step(engine, 2);
+
+  assert.equal(tank.isAlive, true);
+  assert.equal(tank.attributes.ammunition, engine.gameSettings.attributeLimits.ammunition.max);
+  assert.equal(tank.attributes.health, engine.gameSettings.attributeLimits.health.max);
+});
+
+test('a client without an acked snapshot gets a full one, then deltas of what changed since its ack', () => {
+  const engine = createTestEngine();
+  const tank = placeTank(engine, 'tank', 200, 200);
+  placeTank(engine, 'other', 600, 600);
+  goLive(engine);
+
+  const first = engine.captureSnapshot();
+  const full = engine.snapshots.getUpdate(null);
+  assert.equal(full.type, 'full');
+  assert.equal(full.snapshotId, first.id);
+  assert.deepEqual(full.data.tanks.map(t => t.id), ['tank', 'other']);
+  assert.equal(full.data.players.length, 2);
+
+  tank.position.x += 10;
+  engine.captureSnapshot();
+  const delta = engine.snapshots.getUpdate(first.id);
+  assert.equal(delta.type, 'delta');
+  assert.equal(delta.baselineId, first.id);
+  assert.deepEqual(delta.tanks.updated.map(t => t.id), ['tank']);
+  assert.equal(delta.tanks.updated[0].position.x, 210);
+  assert.ok(!('players' in delta) && !('scoreboard' in delta) && !('patches' in delta), 'unchanged sections left out');
+  assert.ok(!delta.upgrades && !delta.trees, 'unchanged entities left out');
+
+  // Still on the first ack: the delta covers both changes
+  tank.attributes.health -= 5;
+  engine.captureSnapshot();
+  const later = engine.snapshots.getUpdate(first.id);
+  assert.equal(later.tanks.updated[0].position.x, 210);
+  assert.equal(later.tanks.updated[0].attributes.health, TANK_ATTRIBUTES.HEALTH.max - 5);
+});
+
+test('snapshot deltas add and remove shells, upgrades and tanks', () => {
+  const { engine, target } = createDuel();
+  const upgrade = placeUpgrade(engine, 'HEALTH', 600, 600);
+  const before = engine.captureSnapshot();
+
+  fire(engine, 'shooter');
+  const fired = engine.captureSnapshot();
+  const delta = engine.snapshots.getUpdate(before.id);
+  assert.equal(delta.shells.added.length, 1);
+  assert.equal(delta.shells.added[0].shooterId, 'shooter');
+  assert.ok(delta.scoreboard, 'shotsFired changed');
+
+  stepUntilShellsLand(engine);
+  engine.gameState.upgrades.splice(engine.gameState.upgrades.indexOf(upgrade), 1);
+  engine.removePlayer('target');
+  engine.captureSnapshot();
+  const landed = engine.snapshots.getUpdate(fired.id);
+  assert.deepEqual(landed.shells.removed, [fired.state.shells[0].id]);
+  assert.deepEqual(landed.upgrades.removed, [upgrade.id]);
+  assert.deepEqual(landed.tanks.removed, [target.id]);
+});
+
+test('a client whose ack has left the snapshot history gets a full snapshot', () => {
+  const engine = createTestEngine();
+  placeTank(engine, 'tank', 200, 200);
+  const acked = engine.captureSnapshot();
+
+  for (let i = 0; i < engine.snapshots.size - 1; i++) engine.captureSnapshot();
+  assert.equal(engine.snapshots.getUpdate(acked.id).type, 'delta');
+
+  engine.captureSnapshot();
+  assert.equal(engine.snapshots.getUpdate(acked.id).type, 'full');
+});
@@ -0,0 +1,51 @@
+// Shared setup for engine tests: a seeded engine on a simulation clock with an empty battlefield,
+// so every test places exactly the trees, upgrades and tanks it needs.
+
+import { mock } from 'node:test';
+import { GameEngine } from '../src/server/gameEngine.js';
+import { MATCH_PHASES } from '../src/server/matchLifecycle.js';
+import { SimulationClock } from '../src/shared/simulation.js';
+import { Vector2, Tree, Upgrade } from '../src/shared/types.js';
+import { UPGRADE_TYPES } from '../src/shared/constants.js';
+
+export const TICK = 1000 / 60;
+
+// The engine logs every collision check; keep test output readable
+export function silenceLogs() {
+  mock.method(console, 'log', () => {});
+}
+
+export function createTestEngine(seed = 1) {
+  const engine = new GameEngine({ seed, clock: new SimulationClock() });
+  engine.gameState.trees = [];
+  engine.gameState.patches = [];
+  engine.updateSettings({
+    upgradeTypes: Object.fromEntries(Object.keys(UPGRADE_TYPES).map(type => [type.toLowerCase(), { count: 0 }]))
+  });
+  return engine;
+}
+
+// Skip the countdown: damage, scoring and AI only run while the round is live
+export function goLive(engine) {
+  engine.match.setPhase(MATCH_PHASES.LIVE);
+}
+
+export function placeTank(engine, id, x, y, { angle = 0, team = null } = {}) {
+  const { tank } = engine.addPlayer(id, id, '#50654D', 'none', team);
+  tank.position = new Vector2(x, y);
+  tank.angle = angle;
+  tank.updateBounds();
+  return tank;
+}
+
+export function placeTree(engine, x, y, size = 40) {
+  const tree = new Tree(new Vector2(x, y), size, engine.simulation);
+  engine.gameState.trees.push(tree);
+  return tree;
+}
+
+export function placeUpgrade(engine, type, x, y) {
+  const upgrade = new Upgrade(type, new Vector2(x, y), 30, engine.simulation);
+  engine.gameState.upgrades.push(upgrade);
+  return upgrade;
+}
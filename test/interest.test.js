@@ -0,0 +1,140 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClientView } from '../src/server/interest.js';
+import { SnapshotBuffer } from '../src/shared/snapshots.js';
+import { StateDecoder } from '../src/shared/protocol.js';
+import { StateEncoder } from '../src/server/stateEncoder.js';
+import { TICK, silenceLogs, createTestEngine, goLive, placeTank, placeTree } from './helpers.js';
+
+beforeEach(() => silenceLogs());
+
+function createBattle() {
+  const engine = createTestEngine();
+  placeTank(engine, 'player_1', 100, 200);
+  placeTank(engine, 'player_2', 1300, 700);
+  placeTree(engine, 200, 250, 42);
+  placeTree(engine, 1200, 600, 42);
+  goLive(engine);
+  engine.update(TICK); // fills the spatial index
+  return engine;
+}
+
+// Broadcast one snapshot to a page holding `buffer` that acks everything it gets
+function broadcast(engine, view, buffer, playerId = null) {
+  engine.captureSnapshot();
+  const { update } = view.getUpdate(engine, playerId);
+  const state = buffer.receive(update);
+  view.ack(state.snapshotId);
+  return { update, state };
+}
+
+const ids = entities => entities.map(entity => entity.id).sort();
+
+test('a full-arena battlefield gets every entity and shares the room update', () => {
+  const engine = createBattle();
+  const first = new ClientView();
+  const second = new ClientView();
+  engine.captureSnapshot();
+
+  const { update, baseline } = first.getUpdate(engine, null);
+  assert.equal(baseline, null);
+  assert.equal(update, second.getUpdate(engine, null).update);
+  assert.equal(update.data, engine.snapshots.latest.state);
+});
+
+test('controllers only get their own tank, the trees and the match, spectators every tank', () => {
+  const engine = createBattle();
+  const view = new ClientView();
+  const buffer = new SnapshotBuffer();
+  view.set({ kind: 'controller' });
+
+  let { state } = broadcast(engine, view, buffer, 'player_1');
+  assert.deepEqual(ids(state.tanks), ['player_1']);
+  assert.deepEqual([state.shells, state.upgrades], [[], []]);
+  assert.equal(state.trees.length, 2, 'trees for the predicted tank to bump into');
+  assert.equal(state.gameMode.name, engine.snapshots.latest.state.gameMode.name);
+  assert.ok(state.match);
+  assert.equal('patches' in state, false);
+  assert.equal('scoreboard' in state, false);
+
+  view.set({ kind: 'spectator' });
+  const { update } = broadcast(engine, view, buffer, 'player_1');
+  assert.deepEqual(ids(update.tanks.added), ['player_2'], 'the other tanks arrive as a delta');
+  state = buffer.get(update.snapshotId);
+  assert.deepEqual(ids(state.tanks), ['player_1', 'player_2']);
+});
+
+test('controller and spectator views encode to binary deltas without the scoreboard', () => {
+  for (const kind of ['controller', 'spectator']) {
+    const engine = createBattle();
+    const encoder = new StateEncoder(engine);
+    const decoder = new StateDecoder();
+    const view = new ClientView();
+    view.set({ kind });
+
+    let state;
+    for (let i = 0; i < 3; i++) {
+      engine.update(TICK);
+      engine.captureSnapshot();
+      const { update, baseline } = view.getUpdate(engine, 'player_1');
+      state = decoder.decode(encoder.encode(update, baseline));
+      view.ack(state.snapshotId);
+      assert.equal(update.type, i === 0 ? 'full' : 'delta', `${kind} update ${i}`);
+    }
+    assert.deepEqual(ids(state.tanks), kind === 'controller' ? ['player_1'] : ['player_1', 'player_2']);
+    assert.equal('scoreboard' in state, false);
+  }
+});
+
+test('a battlefield viewport only gets entities inside it as they come and go', () => {
+  const engine = createBattle();
+  const view = new ClientView();
+  const buffer = new SnapshotBuffer();
+  view.set({ kind: 'battlefield', viewport: { x: 0, y: 0, width: 400, height: 400 } });
+
+  let { state } = broadcast(engine, view, buffer);
+  assert.deepEqual(ids(state.tanks), ['player_1']);
+  assert.equal(state.trees.length, 1);
+  assert.ok(state.scoreboard && state.patches, 'every section still comes along');
+
+  // The far tank drives into view, ours out of it
+  const far = engine.gameState.tanks.get('player_2');
+  far.position.x = 300;
+  far.position.y = 300;
+  far.updateBounds();
+  const near = engine.gameState.tanks.get('player_1');
+  near.position.x = 1000;
+  near.updateBounds();
+  engine.update(TICK);
+
+  const { update } = broadcast(engine, view, buffer);
+  assert.deepEqual(ids(update.tanks.added), ['player_2']);
+  assert.deepEqual(update.tanks.removed, ['player_1']);
+  state = buffer.get(update.snapshotId);
+  assert.deepEqual(ids(state.tanks), ['player_2']);
+});
+
+test('acks only count for snapshots the socket was sent', () => {
+  const engine = createBattle();
+  const view = new ClientView();
+  view.set({ kind: 'controller' });
+  const sent = engine.captureSnapshot();
+  view.getUpdate(engine, 'player_1');
+
+  view.ack(engine.captureSnapshot().id);
+  assert.equal(view.ackedSnapshotId, null);
+  view.ack(sent.id);
+  assert.equal(view.ackedSnapshotId, sent.id);
+  assert.equal(view.getUpdate(engine, 'player_1').update.baselineId, sent.id);
+
+  view.reset();
+  assert.equal(view.getUpdate(engine, 'player_1').update.type, 'full');
+});
+
+test('the controller player state leaves out the tank object', () => {
+  const engine = createBattle();
+  const playerState = engine.getPlayerGameState('player_1');
+  assert.equal('tank' in playerState, false);
+  assert.equal(playerState.isAlive, true);
+  assert.equal(engine.getPlayerGameState('nobody'), null);
+});
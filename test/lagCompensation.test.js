@@ -0,0 +1,82 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TankHistory } from '../src/server/lagCompensation.js';
+import { TICK, silenceLogs, createTestEngine, goLive, placeTank } from './helpers.js';
+
+beforeEach(() => silenceLogs());
+
+const LATENCY = 150; // ms, 9 ticks
+
+function createRange({ latency = LATENCY, maxLagCompensation } = {}) {
+  const engine = createTestEngine();
+  if (maxLagCompensation !== undefined) engine.updateSettings({ gameParams: { maxLagCompensation } });
+  const shooter = placeTank(engine, 'player_1', 300, 450);
+  const target = placeTank(engine, 'player_2', 500, 450);
+  goLive(engine);
+  for (let i = 0; i < 20; i++) engine.update(TICK);
+  engine.setPlayerLatency('player_1', latency);
+  return { engine, shooter, target };
+}
+
+const moveTo = (tank, x, y) => {
+  tank.position.x = x;
+  tank.position.y = y;
+  tank.updateBounds();
+};
+
+test('poses are interpolated between ticks and unknown before the history starts', () => {
+  const history = new TankHistory(100);
+  const tank = { position: { x: 0, y: 0 }, angle: 3, isAlive: true };
+  const tanks = new Map([['a', tank]]);
+  history.record(0, tanks);
+  Object.assign(tank, { position: { x: 10, y: 20 }, angle: -3 });
+  history.record(50, tanks);
+
+  const pose = history.getPose('a', 25);
+  assert.deepEqual(pose.position, { x: 5, y: 10 });
+  assert.ok(Math.abs(Math.abs(pose.angle) - Math.PI) < 0.01, 'turns the short way round');
+  assert.deepEqual(history.getPose('a', 80).position, { x: 10, y: 20 });
+  assert.equal(history.getPose('a', -1), null);
+
+  history.record(200, new Map());
+  assert.equal(history.getPose('a', 50), null, 'tanks that left are forgotten');
+});
+
+test('a shot leaves from where the shooter saw its tank', () => {
+  const { engine, shooter } = createRange();
+  const start = shooter.position.x;
+  for (let i = 0; i < 20; i++) {
+    moveTo(shooter, shooter.position.x + 2, 450);
+    engine.update(TICK);
+  }
+
+  engine.updatePlayerInput('player_1', { shoot: true });
+  const [shell] = engine.gameState.shells;
+  assert.equal(shell.rewind, LATENCY);
+  // 9 ticks (18 px) behind, plus the 20 px barrel
+  assert.ok(Math.abs(shell.position.x - (start + 40 - 18 + 20)) < 0.001, `shell at ${shell.position.x}`);
+});
+
+// The target steps out of the line of fire 100 ms before the shell arrives: the shooter still saw it there
+function dodge(options) {
+  const { engine, target } = createRange(options);
+  engine.updatePlayerInput('player_1', { shoot: true });
+  for (let i = 0; i < 60; i++) {
+    if (i === 24) moveTo(target, 500, 550);
+    engine.update(TICK);
+  }
+  return target.attributes.health;
+}
+
+test('shells hit tanks where the shooter saw them', () => {
+  assert.ok(dodge() < 100, 'lag-compensated hit');
+  assert.equal(dodge({ latency: 0 }), 100, 'without latency the shell misses');
+});
+
+test('the rewind is capped by the maxLagCompensation setting', () => {
+  const { engine } = createRange({ latency: 500 });
+  engine.updatePlayerInput('player_1', { shoot: true });
+  assert.equal(engine.gameState.shells[0].rewind, 200);
+
+  assert.equal(dodge({ maxLagCompensation: 0 }), 100, 'compensation turned off');
+});
@@ -0,0 +1,144 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TankPredictor } from '../src/shared/prediction.js';
+import { TICK, silenceLogs, createTestEngine, goLive, placeTank, placeTree } from './helpers.js';
+
+beforeEach(() => silenceLogs());
+
+const LATENCY = 9; // ticks each way, 150 ms
+
+// A controller on a 150 ms link: inputs reach the engine and player states reach the page LATENCY ticks late
+// setup(engine) places the rest of the battlefield before the link starts
+function createLink(setup = () => {}) {
+  const engine = createTestEngine();
+  placeTank(engine, 'player_1', 300, 300);
+  setup(engine);
+  goLive(engine);
+  const predictor = new TankPredictor();
+  predictor.setTrees(engine.captureSnapshot().state.trees);
+  predictor.setGameParams(engine.gameSettings.gameParams);
+  predictor.reconcile(engine.getPlayerGameState('player_1'));
+
+  const inFlight = [];
+  let tick = 0;
+  const deliver = (message, handler) => inFlight.push({ at: tick + LATENCY, message: JSON.parse(JSON.stringify(message)), handler });
+
+  return {
+    engine,
+    predictor,
+    send(input) {
+      const seq = predictor.recordInput(input);
+      deliver({ ...input, seq }, message => engine.updatePlayerInput('player_1', message));
+    },
+    // One tick on both sides; the server reports every 6th tick like the 100 ms playerState broadcast
+    tick() {
+      tick++;
+      for (const item of inFlight.filter(item => item.at < tick)) {
+        inFlight.splice(inFlight.indexOf(item), 1);
+        item.handler(item.message);
+      }
+      engine.update(TICK);
+      predictor.advance(TICK);
+      if (tick % 6 === 0) deliver(engine.getPlayerGameState('player_1'), state => predictor.reconcile(state));
+    }
+  };
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+test('the predicted tank moves as soon as the input is given', () => {
+  const link = createLink();
+  link.send({ movement: { x: 1, y: 0 } });
+  for (let i = 0; i < 6; i++) link.tick();
+
+  assert.ok(link.predictor.tank.position.x > 300, 'predicted tank already moving');
+  assert.equal(link.engine.gameState.tanks.get('player_1').position.x, 300, 'the server has not seen the input yet');
+});
+
+// Drive the link through `inputs`, 40 ticks each; returns where the page and the server had the tank every tick
+function drive(link, inputs) {
+  const predicted = [];
+  const server = [];
+  for (let i = 0; i < inputs.length * 40; i++) {
+    if (i % 40 === 0) link.send({ movement: inputs[i / 40] });
+    link.tick();
+    const { position } = link.predictor.tank;
+    predicted.push({ x: position.x, y: position.y });
+    const tank = link.engine.gameState.tanks.get('player_1');
+    server.push({ x: tank.position.x, y: tank.position.y });
+  }
+  return { predicted, server };
+}
+
+// What the page predicts now is what the server shows once the input arrives
+function assertAheadByLatency({ predicted, server }) {
+  for (let i = 20; i < predicted.length - LATENCY; i++) {
+    assert.ok(distance(predicted[i], server[i + LATENCY]) < 0.01, `tick ${i}: off by ${distance(predicted[i], server[i + LATENCY])}`);
+  }
+}
+
+test('reconciled predictions run ahead of the server by exactly the input latency', () => {
+  const link = createLink();
+  assertAheadByLatency(drive(link, [{ x: 1, y: 0 }, { x: 0.5, y: 0.8 }, { x: -1, y: 0.2 }, { x: 0, y: 0 }]));
+});
+
+test('predictions bump into trunks and slow down on an empty tank like the server', () => {
+  const link = createLink(engine => {
+    placeTree(engine, 340, 320, 40); // trunk at (340, 300), in the way
+    engine.updateSettings({ gameParams: { gasolineSpeedPenalty: 0.3 } });
+    engine.gameState.tanks.get('player_1').attributes.gasoline = 0;
+  });
+  const path = drive(link, [{ x: 1, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }]);
+  assert.ok(path.server.every(position => position.x < 320), 'the trunk stopped the tank');
+  assertAheadByLatency(path);
+});
+
+test('predictions keep a game mode slowdown (flag carrier) like the server', () => {
+  const link = createLink(engine => {
+    engine.gameState.tanks.get('player_1').speedFactor = 0.7;
+  });
+  assertAheadByLatency(drive(link, [{ x: 1, y: 0 }, { x: 0, y: 1 }]));
+});
+
+// A predictor that ran `ticks` of one input since the server state it started from
+function predictFor(ticks) {
+  const engine = createTestEngine();
+  placeTank(engine, 'player_1', 300, 300);
+  const state = engine.getPlayerGameState('player_1');
+  const predictor = new TankPredictor();
+  predictor.reconcile(state);
+  const seq = predictor.recordInput({ movement: { x: 1, y: 0 } });
+  for (let i = 0; i < ticks; i++) predictor.advance(TICK);
+  return { predictor, state, seq };
+}
+
+test('an ack the predictor does not hold replays every pending input', () => {
+  for (const inputSeq of [null, 99]) {
+    const { predictor, state } = predictFor(10);
+    const moved = predictor.tank.position.x;
+    predictor.reconcile({ ...state, inputSeq, inputTicks: 0 });
+    assert.equal(predictor.inputs.length, 1);
+    assert.ok(Math.abs(predictor.tank.position.x - moved) < 1e-9, `ack ${inputSeq}: all 10 ticks replayed`);
+  }
+});
+
+test('an ack for more ticks than the page ran replays nothing of that input', () => {
+  const { predictor, state, seq } = predictFor(3);
+  predictor.reconcile({ ...state, inputSeq: seq, inputTicks: 10 });
+  assert.deepEqual({ x: predictor.tank.position.x, y: predictor.tank.position.y }, state.position);
+  assert.equal(predictor.inputs.length, 1, 'the input stays until a newer one is acked');
+});
+
+test('inputs the server never saw are corrected away', () => {
+  const link = createLink();
+  link.predictor.recordInput({ movement: { x: 0, y: 1 } }); // lost on the way
+  for (let i = 0; i < 20; i++) link.tick();
+  assert.ok(link.predictor.tank.position.y > 300);
+
+  link.send({ movement: { x: 0, y: 0 } });
+  for (let i = 0; i < 40; i++) link.tick();
+  const tank = link.engine.gameState.tanks.get('player_1');
+  assert.equal(tank.position.y, 300);
+  assert.ok(distance(link.predictor.tank.position, tank.position) < 0.01, 'back where the server has the tank');
+  assert.equal(link.predictor.inputs.length, 1, 'inputs before the acked one are dropped');
+});
@@ -0,0 +1,106 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProfileStore } from '../src/server/profileStore.js';
+import { silenceLogs, createTestEngine, goLive, placeTank } from './helpers.js';
+
+let dir;
+let store;
+
+beforeEach(() => {
+  silenceLogs();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+  store = new ProfileStore(path.join(dir, 'profiles.json'));
+});
+
+afterEach(() => {
+  clearTimeout(store.saveTimer);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Engine wired to the store the way the server wires each room
+function createRoom() {
+  const engine = createTestEngine();
+  engine.events.on('roundOver', (result) => store.recordRound(result, engine.gameState.scoreboard.profileIds));
+  engine.events.on('roundAbandoned', (result) => store.recordRound(result, engine.gameState.scoreboard.profileIds));
+  return engine;
+}
+
+function joinWithProfile(engine, playerId, profile, x) {
+  placeTank(engine, playerId, x, 300);
+  engine.setPlayerProfile(playerId, profile.id);
+}
+
+test('kills of a player who left before the round ended still reach their profile', () => {
+  const engine = createRoom();
+  const leaver = store.resolve(null, { callname: 'Leaver' });
+  const stayer = store.resolve(null, { callname: 'Stayer' });
+  joinWithProfile(engine, 'leaver', leaver, 100);
+  joinWithProfile(engine, 'stayer', stayer, 300);
+  goLive(engine);
+
+  engine.recordKill('stayer', 'leaver');
+  engine.recordKill('stayer', 'leaver');
+  engine.removePlayer('leaver');
+  engine.endRound({ reason: 'timeLimit', winnerId: 'stayer' });
+
+  assert.equal(leaver.stats.matchesPlayed, 1);
+  assert.equal(leaver.stats.kills, 2);
+  assert.equal(leaver.stats.wins, 0);
+  assert.equal(stayer.stats.deaths, 2);
+  assert.equal(stayer.stats.wins, 1);
+});
+
+test('a live round restarted by an admin is credited without a winner', () => {
+  const engine = createRoom();
+  const profile = store.resolve(null, { callname: 'Player' });
+  joinWithProfile(engine, 'player', profile, 100);
+  placeTank(engine, 'enemy', 300, 300);
+  goLive(engine);
+
+  engine.recordKill('enemy', 'player');
+  engine.match.restart();
+
+  assert.equal(profile.stats.matchesPlayed, 1);
+  assert.equal(profile.stats.kills, 1);
+  assert.equal(profile.stats.wins, 0);
+
+  // The new round keeps the profile link; a restart before it goes live credits nothing
+  assert.equal(engine.gameState.scoreboard.profileIds.get('player'), profile.id);
+  engine.match.restart();
+  assert.equal(profile.stats.matchesPlayed, 1);
+});
+
+test('a game reset settles the live round before clearing the scoreboard', () => {
+  const engine = createRoom();
+  const profile = store.resolve(null, { callname: 'Player' });
+  joinWithProfile(engine, 'player', profile, 100);
+  placeTank(engine, 'enemy', 300, 300);
+  goLive(engine);
+
+  engine.recordKill('enemy', 'player');
+  engine.resetGame();
+
+  assert.equal(profile.stats.matchesPlayed, 1);
+  assert.equal(profile.stats.kills, 1);
+});
+
+test('a rejoin under a new player id counts as one match for the profile', () => {
+  const engine = createRoom();
+  const profile = store.resolve(null, { callname: 'Player' });
+  joinWithProfile(engine, 'first', profile, 100);
+  placeTank(engine, 'enemy', 300, 300);
+  goLive(engine);
+
+  engine.recordKill('enemy', 'first');
+  engine.removePlayer('first');
+  joinWithProfile(engine, 'second', profile, 500);
+  engine.recordKill('enemy', 'second');
+  engine.endRound({ reason: 'scoreLimit', winnerId: 'second' });
+
+  assert.equal(profile.stats.matchesPlayed, 1);
+  assert.equal(profile.stats.kills, 2);
+  assert.equal(profile.stats.wins, 1);
+});
@@ -0,0 +1,153 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { BinaryReader, BinaryWriter, StateDecoder, PROTOCOL_VERSION } from '../src/shared/protocol.js';
+import { SnapshotBuffer } from '../src/shared/snapshots.js';
+import { StateEncoder } from '../src/server/stateEncoder.js';
+import { TICK, silenceLogs, createTestEngine, goLive, placeTank, placeTree, placeUpgrade } from './helpers.js';
+
+beforeEach(() => silenceLogs());
+
+const close = (actual, expected, epsilon, message) =>
+  assert.ok(Math.abs(actual - expected) <= epsilon, `${message}: ${actual} vs ${expected}`);
+
+function createBattle() {
+  const engine = createTestEngine();
+  placeTank(engine, 'player_1', 100.04, 200.06, { angle: 1.2345 });
+  placeTank(engine, 'ai_2', 1400, 850, { angle: 5.5 }).isAI = true;
+  placeTree(engine, 600, 400, 42);
+  placeUpgrade(engine, 'HEALTH', 300, 300);
+  goLive(engine);
+  return { engine, encoder: new StateEncoder(engine), decoder: new StateDecoder() };
+}
+
+// Capture a snapshot and decode the binary update a page that acked `ackedId` would get
+function sendUpdate({ engine, encoder, decoder }, ackedId = null) {
+  engine.captureSnapshot();
+  const message = encoder.encode(engine.snapshots.getUpdate(ackedId), engine.snapshots.get(ackedId));
+  return { message, state: decoder.decode(message) };
+}
+
+test('varints, clamped int16s and strings survive the round trip', () => {
+  const writer = new BinaryWriter(4); // forces the buffer to grow
+  [0, 127, 128, 300, 2 ** 40].forEach(value => writer.varint(value));
+  writer.varint(-5);
+  writer.i16(40000);
+  writer.i16(-40000);
+  writer.string('Tänk 🚀');
+
+  const reader = new BinaryReader(writer.finish());
+  assert.deepEqual([0, 127, 128, 300, 2 ** 40].map(() => reader.varint()), [0, 127, 128, 300, 2 ** 40]);
+  assert.equal(reader.varint(), 0, 'negatives are sent as 0');
+  assert.equal(reader.i16(), 0x7FFF);
+  assert.equal(reader.i16(), -0x8000);
+  assert.equal(reader.string(), 'Tänk 🚀');
+});
+
+test('a full update decodes to the snapshot state with quantized values', () => {
+  const battle = createBattle();
+  const { engine } = battle;
+  engine.gameState.patches = [{ position: { x: 50, y: 60 }, size: 30.5, type: 'mud', rotation: 1 }];
+  const { state } = sendUpdate(battle);
+  const expected = engine.snapshots.latest.state;
+
+  assert.equal(state.snapshotId, expected.snapshotId);
+  assert.deepEqual(state.tanks.map(tank => tank.id), ['player_1', 'ai_2']);
+  const [tank, ai] = state.tanks;
+  close(tank.position.x, 100.04, 0.05, 'x');
+  close(tank.position.y, 200.06, 0.05, 'y');
+  close(tank.angle, expected.tanks[0].angle, 0.0001, 'angle');
+  assert.deepEqual(tank.attributes, expected.tanks[0].attributes);
+  assert.equal(tank.isAlive, true);
+  assert.equal(tank.isAI, false);
+  assert.equal(ai.isAI, true);
+  close(ai.angle, expected.tanks[1].angle, 0.0001, 'angle');
+
+  assert.deepEqual(state.players, expected.players);
+  assert.deepEqual(state.scoreboard, expected.scoreboard);
+  assert.deepEqual(state.match, expected.match);
+  assert.deepEqual(state.treeParams, expected.treeParams);
+  assert.equal(state.roundResult, null);
+  assert.equal(state.upgrades.length, 1);
+  assert.equal(state.upgrades[0].type, 'HEALTH');
+  close(state.upgrades[0].rotation, expected.upgrades[0].rotation, 0.0001, 'upgrade rotation');
+  assert.equal(state.trees.length, 1);
+  close(state.trees[0].size, 42, 0.05, 'tree size');
+  assert.equal(state.trees[0].treeType, expected.trees[0].treeType);
+  assert.equal(state.patches.length, 1);
+  assert.equal(state.patches[0].type, 'mud');
+  close(state.patches[0].size, 30.5, 0.05, 'patch size');
+  close(state.patches[0].rotation, 1, 0.0001, 'patch rotation');
+});
+
+test('binary updates are a fraction of the size of the JSON ones', () => {
+  const battle = createBattle();
+  const { engine } = battle;
+  for (let i = 0; i < 20; i++) engine.addAITank('hard');
+
+  const { message, state } = sendUpdate(battle);
+  const json = Buffer.byteLength(JSON.stringify(engine.snapshots.getUpdate(null)));
+  assert.ok(message.length * 2 < json, `binary ${message.length} bytes, JSON ${json} bytes`);
+
+  // Once acked, the next update only carries what moved
+  for (let i = 0; i < 6; i++) engine.update(TICK);
+  const delta = sendUpdate(battle, state.snapshotId).message;
+  assert.ok(delta.length * 10 < json, `then ${delta.length} bytes`);
+});
+
+test('binary and JSON deltas rebuild the same state', () => {
+  const battle = createBattle();
+  const { engine } = battle;
+  const json = new SnapshotBuffer();
+  let acked = sendUpdate(battle).state.snapshotId;
+  json.receive(engine.snapshots.getUpdate(null));
+
+  engine.updatePlayerInput('player_1', { shoot: true });
+  engine.gameState.trees[0].impact({ x: 200, y: 0 }, 200);
+  for (let tick = 1; tick <= 180; tick++) {
+    engine.update(TICK);
+    if (tick % 6 !== 0) continue;
+
+    const { state } = sendUpdate(battle, acked);
+    const expected = json.receive(engine.snapshots.getUpdate(acked));
+    acked = state.snapshotId;
+
+    assert.deepEqual(state.tanks.map(tank => tank.id), expected.tanks.map(tank => tank.id));
+    state.tanks.forEach((tank, i) => close(tank.position.x, expected.tanks[i].position.x, 0.05, 'tank x'));
+    assert.deepEqual(state.shells.map(shell => shell.shooterId), expected.shells.map(shell => shell.shooterId));
+    state.shells.forEach((shell, i) => close(shell.position.x, expected.shells[i].position.x, 0.05, 'shell x'));
+    close(state.trees[0].foliageOffsetX, expected.trees[0].foliageOffsetX, 0.001, 'foliage offset');
+    close(state.trees[0].swingAngle, expected.trees[0].swingAngle, 0.0001, 'swing angle');
+    assert.deepEqual(state.scoreboard, expected.scoreboard);
+    assert.equal(state.gameTime, expected.gameTime);
+  }
+  assert.equal(engine.gameState.shells.length, 0, 'the shell landed');
+});
+
+test('tank ids and scoreboard names only go to clients that lack them', () => {
+  const battle = createBattle();
+  const { engine } = battle;
+  const acked = sendUpdate(battle).state.snapshotId;
+  engine.gameState.tanks.get('player_1').position.x += 5;
+  const quiet = sendUpdate(battle, acked).message;
+
+  engine.updatePlayerInput('player_1', { shoot: true });
+  const { message, state } = sendUpdate(battle, acked);
+  const entry = state.scoreboard.find(entry => entry.playerId === 'player_1');
+  assert.equal(entry.shotsFired, 1);
+  assert.equal(entry.callname, engine.snapshots.latest.state.scoreboard[0].callname, 'name kept from the baseline');
+  assert.ok(message.length - quiet.length < 80, `a shell and the scoreboard cost ${message.length - quiet.length} bytes`);
+
+  // A newcomer gets every id and name
+  const newcomer = new StateDecoder();
+  const full = newcomer.decode(battle.encoder.encode(engine.snapshots.getUpdate(null)));
+  assert.equal(full.scoreboard.find(entry => entry.playerId === 'player_1').callname, entry.callname);
+  assert.equal(full.shells[0].shooterId, 'player_1');
+});
+
+test('messages from another protocol version are rejected', () => {
+  const { engine, encoder } = createBattle();
+  engine.captureSnapshot();
+  const message = encoder.encode(engine.snapshots.getUpdate(null));
+  message[1] = PROTOCOL_VERSION + 1;
+  assert.throws(() => new StateDecoder().decode(message), /Unsupported protocol version/);
+});
@@ -0,0 +1,87 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapshotHistory, SnapshotBuffer } from '../src/shared/snapshots.js';
+import { TICK, silenceLogs, createTestEngine, goLive, placeTank, placeTree } from './helpers.js';
+
+beforeEach(() => silenceLogs());
+
+function createBattle() {
+  const engine = createTestEngine();
+  placeTank(engine, 'player_1', 100, 200);
+  placeTank(engine, 'ai_2', 1000, 700).isAI = true;
+  placeTree(engine, 600, 400, 42);
+  goLive(engine);
+  return engine;
+}
+
+test('applying each delta to the acked snapshot rebuilds the server state exactly', () => {
+  const engine = createBattle();
+  const buffer = new SnapshotBuffer();
+  engine.captureSnapshot();
+  let acked = buffer.receive(engine.snapshots.getUpdate(null)).snapshotId;
+
+  engine.updatePlayerInput('player_1', { shoot: true });
+  engine.gameState.trees[0].impact({ x: 200, y: 0 }, 200);
+  for (let tick = 1; tick <= 120; tick++) {
+    engine.update(TICK);
+    if (tick % 6 !== 0) continue;
+
+    engine.captureSnapshot();
+    const state = buffer.receive(engine.snapshots.getUpdate(acked));
+    assert.deepEqual(state, engine.snapshots.latest.state);
+    // Every other ack gets lost: the next delta reaches back to the older one
+    if (tick % 12 === 0) acked = state.snapshotId;
+  }
+});
+
+test('unchanged records and sections are shared between snapshots and left out of deltas', () => {
+  const engine = createBattle();
+  const first = engine.captureSnapshot();
+  engine.gameState.tanks.get('player_1').position.x += 10;
+  engine.gameState.gameTime += 100;
+  const second = engine.captureSnapshot();
+
+  assert.equal(second.entities.tanks.get('ai_2'), first.entities.tanks.get('ai_2'));
+  assert.notEqual(second.entities.tanks.get('player_1'), first.entities.tanks.get('player_1'));
+  assert.equal(second.sections.players, first.sections.players);
+  assert.equal(second.sections.patches, first.sections.patches);
+
+  const delta = engine.snapshots.getUpdate(first.id);
+  assert.deepEqual(Object.keys(delta).sort(), ['baselineId', 'gameTime', 'snapshotId', 'tanks', 'type']);
+  assert.equal(engine.snapshots.getUpdate(first.id), delta, 'clients on the same baseline share the update');
+});
+
+test('terrain sections are only re-read when the terrain version changes', () => {
+  const engine = createBattle();
+  const first = engine.captureSnapshot();
+  engine.gameState.patches = [];
+  assert.equal(engine.captureSnapshot().sections.patches, first.sections.patches);
+
+  engine.changeTerrainMap('snowlands');
+  const changed = engine.captureSnapshot();
+  assert.notEqual(changed.sections.patches, first.sections.patches);
+  assert.ok('patches' in engine.snapshots.getUpdate(first.id));
+});
+
+test('a page cannot apply a delta against a snapshot it does not hold', () => {
+  const history = new SnapshotHistory(4);
+  const buffer = new SnapshotBuffer(2);
+  const engine = createBattle();
+  const capture = () => history.capture(engine.getOptimizedGameState(), engine.terrainVersion);
+
+  const first = capture();
+  buffer.receive(history.getUpdate(null));
+  capture();
+  buffer.receive(history.getUpdate(first.id));
+  capture();
+  buffer.receive(history.getUpdate(first.id));
+
+  // The page only keeps its last two snapshots
+  capture();
+  assert.equal(buffer.receive(history.getUpdate(first.id)), null);
+
+  // Pages may replace fields of the state they are given without touching the snapshot they hold
+  const state = buffer.receive(history.getUpdate(null));
+  state.match = null;
+  assert.notEqual(buffer.get(state.snapshotId).match, null);
+});
@@ -0,0 +1,208 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Tank, Tree, Vector2, createCombatRules } from '../src/shared/types.js';
+import { Simulation, SimulationClock } from '../src/shared/simulation.js';
+import { ARENA_BOUNDS, TANK_ATTRIBUTES } from '../src/shared/constants.js';
+
+const TICK = 1000 / 60;
+
+function createTank({ x = 200, y = 200, angle = 0, combatRules = createCombatRules() } = {}) {
+  // Start the clock past zero so timestamps like firing immunity are meaningful
+  const simulation = new Simulation({ seed: 1, clock: new SimulationClock(10000) });
+  const tank = new Tank('tank', new Vector2(x, y), angle, combatRules, simulation);
+  return { tank, simulation };
+}
+
+// Advance the tank's clock with the tank, like the engine does
+function step(tank, ticks = 1, trees = []) {
+  for (let i = 0; i < ticks; i++) {
+    tank.simulation.clock.advance(TICK);
+    tank.update(TICK, 0.01, 0.5, trees);
+  }
+}
+
+test('a tank accelerates along its facing direction towards its speed', () => {
+  const { tank } = createTank();
+  tank.targetVelocity = new Vector2(tank.attributes.speed, 0);
+
+  step(tank, 1);
+  assert.ok(tank.velocity.x > 0 && tank.velocity.x < tank.attributes.speed, 'velocity eases in');
+  step(tank, 119);
+
+  assert.ok(Math.abs(tank.velocity.x - tank.attributes.speed) < 0.01);
+  assert.equal(tank.velocity.y, 0);
+  assert.ok(tank.position.x > 240, `moved to ${tank.position.x}`);
+  assert.equal(tank.position.y, 200);
+});
+
+test('a tank turns towards the input direction at its rotation rate before driving there', () => {
+  const { tank } = createTank();
+  tank.targetVelocity = new Vector2(0, tank.attributes.speed);
+  const maxTurnPerTick = tank.attributes.rotation * 0.06 * (TICK / 1000);
+
+  step(tank, 1);
+  assert.ok(Math.abs(tank.angle - maxTurnPerTick) < 1e-9, 'one tick of turning');
+
+  step(tank, 120);
+  assert.ok(Math.abs(tank.angle - Math.PI / 2) < 0.01, `facing down, angle ${tank.angle}`);
+  assert.ok(tank.position.y > 230, 'then drives that way');
+});
+
+test('a tank without input coasts to a full stop', () => {
+  const { tank } = createTank();
+  tank.velocity = new Vector2(50, 0);
+
+  step(tank, 30);
+  assert.deepEqual(tank.velocity, new Vector2(0, 0));
+});
+
+test('driving burns gasoline, and an empty tank drives at the penalty speed', () => {
+  const { tank } = createTank();
+  tank.targetVelocity = new Vector2(tank.attributes.speed, 0);
+  step(tank, 60);
+  assert.ok(tank.attributes.gasoline < 100);
+
+  const { tank: empty } = createTank();
+  empty.attributes.gasoline = 0;
+  empty.targetVelocity = new Vector2(empty.attributes.speed, 0);
+  step(empty, 180);
+  assert.ok(Math.abs(empty.velocity.x - empty.attributes.speed * 0.5) < 0.01);
+});
+
+test('a tank is kept inside the arena', () => {
+  const { tank } = createTank({ x: ARENA_BOUNDS.maxX - 1, y: 300 });
+  tank.targetVelocity = new Vector2(tank.attributes.speed, 0);
+
+  step(tank, 120);
+  assert.equal(tank.position.x, ARENA_BOUNDS.maxX);
+});
+
+test('a tank driving into a tree trunk is pushed out and shakes the tree', () => {
+  const { tank, simulation } = createTank({ x: 100, y: 100 });
+  // The trunk sits half a tree size above the tree position: (160, 100)
+  const tree = new Tree(new Vector2(160, 120), 40, simulation);
+  const minDistance = 20 + tree.size / 16;
+  tank.targetVelocity = new Vector2(tank.attributes.speed, 0);
+
+  let touched = false;
+  for (let i = 0; i < 180; i++) {
+    step(tank, 1, [tree]);
+    const distance = Math.hypot(tank.position.x - 160, tank.position.y - 100);
+    assert.ok(distance >= minDistance - 1e-6, `tank overlapped the trunk (${distance})`);
+    if (distance < minDistance + 0.5) touched = true;
+  }
+
+  assert.ok(touched, 'the tank reached the trunk');
+  assert.ok(tank.position.x < 160, 'and never got past it');
+  assert.ok(tree.lastImpactTime > 10000, 'the tree was hit');
+});
+
+test('a tank weighs more with more armor, fuel and shells on board', () => {
+  const { tank } = createTank();
+  const full = tank.getMass();
+  tank.attributes.ammunition = 0;
+  tank.attributes.gasoline = 0;
+  assert.ok(tank.getMass() < full);
+  tank.attributes.health = -5;
+  assert.equal(tank.getMass(), 20, 'an empty hull');
+});
+
+test('colliding tanks are parted and bounce apart by mass', () => {
+  const heavy = createTank({ x: 200, y: 200 }).tank;
+  const light = createTank({ x: 240, y: 200 }).tank;
+  light.attributes.ammunition = 0;
+  light.attributes.gasoline = 0;
+  light.attributes.health = 20;
+  heavy.velocity = new Vector2(30, 0);
+
+  const contact = heavy.collideWith(light);
+  assert.equal(contact.closingSpeed, 30);
+  assert.equal(light.position.x - heavy.position.x, 48, 'hulls just touch');
+  assert.ok(light.position.x - 240 > 200 - heavy.position.x, 'the lighter tank gave way more');
+  assert.ok(light.velocity.x > heavy.velocity.x, 'moving apart');
+  const momentum = heavy.getMass() * heavy.velocity.x + light.getMass() * light.velocity.x;
+  assert.ok(Math.abs(momentum - heavy.getMass() * 30) < 1e-9, 'momentum is kept');
+
+  assert.equal(heavy.collideWith(createTank({ x: 400, y: 400 }).tank), null);
+});
+
+test('shoot fires a shell from the barrel and starts reloading', () => {
+  const { tank, simulation } = createTank({ angle: Math.PI / 2 });
+  const ammo = tank.attributes.ammunition;
+
+  const shell = tank.shoot();
+  assert.ok(shell);
+  assert.equal(shell.shooterId, 'tank');
+  assert.ok(Math.abs(shell.position.x - 200) < 1e-9);
+  assert.ok(Math.abs(shell.position.y - 220) < 1e-9);
+  assert.ok(Math.abs(shell.velocity.y - tank.attributes.kinetics) < 1e-9);
+  assert.equal(tank.attributes.ammunition, ammo - 1);
+  assert.equal(tank.reloadTime, tank.combatRules.reloadTime);
+  assert.equal(tank.firingImmunity, simulation.now() + 200);
+
+  assert.equal(tank.shoot(), null, 'cannot shoot while reloading');
+  step(tank, Math.ceil(tank.combatRules.reloadTime / TICK) + 1);
+  assert.ok(tank.shoot(), 'reloaded');
+});
+
+test('shoot does nothing without ammunition or when destroyed', () => {
+  const { tank } = createTank();
+  tank.attributes.ammunition = 0;
+  assert.equal(tank.shoot(), null);
+
+  const { tank: dead } = createTank();
+  dead.die();
+  assert.equal(dead.shoot(), null);
+});
+
+test('AI tanks keep their shell for the engine to pick up', () => {
+  const { tank } = createTank();
+  tank.isAI = true;
+  const shell = tank.shoot();
+  assert.equal(tank.lastShotShell, shell);
+});
+
+test('takeDamage wears attributes down by the damage params, never below their minimums', () => {
+  const combatRules = createCombatRules({ damageParams: { health: 10, speed: 5, rotation: 5, kinetics: 20, gasoline: 30 } });
+  const { tank } = createTank({ combatRules });
+  tank.attributes.speed = TANK_ATTRIBUTES.SPEED.min + 2;
+  tank.attributes.gasoline = 20;
+
+  assert.equal(tank.takeDamage(), true);
+  assert.equal(tank.attributes.health, 90);
+  assert.equal(tank.attributes.speed, TANK_ATTRIBUTES.SPEED.min);
+  assert.equal(tank.attributes.rotation, 45);
+  assert.equal(tank.attributes.kinetics, 280);
+  assert.equal(tank.attributes.gasoline, 0);
+  assert.equal(tank.isAlive, true);
+});
+
+test('a tank is immune to damage just after firing', () => {
+  const { tank } = createTank();
+  tank.shoot();
+
+  assert.equal(tank.takeDamage(), false);
+  assert.equal(tank.attributes.health, 100);
+
+  step(tank, Math.ceil(200 / TICK) + 1);
+  assert.equal(tank.takeDamage(), true);
+});
+
+test('a tank dies at zero health and respawns at full strength after the respawn time', () => {
+  const combatRules = createCombatRules({ damageParams: { health: 60, speed: 0, rotation: 0, kinetics: 0, gasoline: 0 }, respawnTime: 1000 });
+  const { tank } = createTank({ combatRules });
+
+  tank.takeDamage();
+  assert.equal(tank.isAlive, true);
+  tank.takeDamage();
+  assert.equal(tank.isAlive, false);
+  assert.equal(tank.respawnTime, 1000);
+  assert.equal(tank.takeDamage(), false, 'no damage once destroyed');
+
+  step(tank, 30);
+  assert.equal(tank.isAlive, false);
+  step(tank, 31);
+  assert.equal(tank.isAlive, true);
+  assert.equal(tank.attributes.health, TANK_ATTRIBUTES.HEALTH.max);
+  assert.equal(tank.attributes.ammunition, TANK_ATTRIBUTES.AMMUNITION.max);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector2 } from '../src/shared/types.js';
+
+const close = (actual, expected, epsilon = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+
+test('arithmetic returns new vectors and leaves the operands alone', () => {
+  const a = new Vector2(1, 2);
+  const b = new Vector2(3, -4);
+
+  assert.deepEqual(a.add(b), new Vector2(4, -2));
+  assert.deepEqual(a.subtract(b), new Vector2(-2, 6));
+  assert.deepEqual(a.multiply(3), new Vector2(3, 6));
+  assert.deepEqual(a, new Vector2(1, 2));
+  assert.deepEqual(b, new Vector2(3, -4));
+});
+
+test('in-place operations modify and return the vector itself', () => {
+  const v = new Vector2(1, 2);
+
+  assert.equal(v.addInPlace(new Vector2(1, 1)), v);
+  assert.deepEqual(v, new Vector2(2, 3));
+  v.subtractInPlace(new Vector2(2, 0)).multiplyInPlace(2);
+  assert.deepEqual(v, new Vector2(0, 6));
+  v.set(5, 5).setFrom({ x: 7, y: 8 });
+  assert.deepEqual(v, new Vector2(7, 8));
+});
+
+test('magnitude, distance and dot product', () => {
+  const v = new Vector2(3, 4);
+
+  assert.equal(v.magnitude(), 5);
+  assert.equal(v.magnitudeSquared(), 25);
+  assert.equal(v.distance(new Vector2(0, 0)), 5);
+  assert.equal(v.distanceSquared(new Vector2(3, 0)), 16);
+  assert.equal(v.dot(new Vector2(-4, 3)), 0);
+});
+
+test('normalizing gives a unit vector, and the zero vector stays zero', () => {
+  const unit = new Vector2(3, 4).normalize();
+  close(unit.x, 0.6);
+  close(unit.y, 0.8);
+
+  assert.deepEqual(new Vector2(0, 0).normalize(), new Vector2(0, 0));
+  assert.deepEqual(new Vector2(0, 0).normalizeInPlace(), new Vector2(0, 0));
+
+  const v = new Vector2(0, -2).normalizeInPlace();
+  assert.deepEqual(v, new Vector2(0, -1));
+});
+
+test('lerp moves part of the way towards the target', () => {
+  assert.deepEqual(new Vector2(0, 0).lerp(new Vector2(10, -20), 0.25), new Vector2(2.5, -5));
+
+  const v = new Vector2(10, 10);
+  v.lerpInPlace(new Vector2(20, 0), 0.5);
+  assert.deepEqual(v, new Vector2(15, 5));
+});
+
+test('rotate turns by the angle in radians, from the x axis towards the y axis', () => {
+  const rotated = new Vector2(1, 0).rotate(Math.PI / 2);
+  close(rotated.x, 0);
+  close(rotated.y, 1);
+
+  const v = new Vector2(0, 2);
+  v.rotateInPlace(Math.PI);
+  close(v.x, 0);
+  close(v.y, -2);
+});
+
+test('clone is an independent copy', () => {
+  const v = new Vector2(1, 1);
+  const copy = v.clone();
+  copy.x = 5;
+
+  assert.equal(v.x, 1);
+  assert.notEqual(copy, v);
+});